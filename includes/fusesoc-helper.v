@@ -0,0 +1,4 @@
+// Helper macros for a FuseSoC build (see icechips_helpers.core): helper.v is an include file
+// there, included once here, ahead of the chip sources
+
+`include "helper.v"
@@ -0,0 +1,4 @@
+// Test bench helper macros for a FuseSoC build (see icechips_helpers.core): tbhelper.v is an
+// include file there, included once here, ahead of the test bench sources
+
+`include "tbhelper.v"
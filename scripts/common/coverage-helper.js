@@ -0,0 +1,102 @@
+// coverage-helper.js
+//
+// read the code coverage that a simulation built with Verilator's --coverage records, and
+// summarize it per source file and kind of coverage
+//
+// - the coverage data file (logs/coverage.dat) has one line per coverage point:
+//   C '<fields>' <count>, where each field is \x01 <key> \x02 <value>; the keys used here are
+//   'f' (source file), 'l' (line number) and 'page' (e.g. 'v_line/ttl_74161', 'v_toggle/...')
+// - the kinds summarized are 'line', which counts Verilator's line and branch points (both
+//   given by --coverage-line), and 'toggle'
+// - a summary is { line, toggle }, each { covered, total, percent }; percent is null if there
+//   are no points of that kind
+//
+// © 2026 Tim Rudy
+
+import path from 'path';
+
+import { EOL } from './constants.js';
+
+export const COVERAGE_KINDS = ['line', 'toggle'];
+
+// the coverage kind of each Verilator page prefix
+const pageKinds = {
+	v_line: 'line',
+	v_branch: 'line',
+	v_toggle: 'toggle'
+};
+
+// read the coverage points of a coverage data file: [{ fileName, lineNumber, kind, count }];
+// points of other kinds (e.g. user cover properties) have a kind of null
+//
+export function parseVerilatorCoverage(coverageData) {
+	const pointRegExp = new RegExp("^C '(.*)' ([0-9]+)$");
+
+	return coverageData
+		.split(EOL)
+		.map((line) => pointRegExp.exec(line.trim()))
+		.filter((subMatches) => subMatches)
+		.map((subMatches) => {
+			const fields = {};
+
+			subMatches[1]
+				.split('\x01')
+				.filter((field) => field)
+				.forEach((field) => {
+					const [key, value] = field.split('\x02');
+					fields[key] = value;
+				});
+
+			return {
+				fileName: fields.f || '',
+				lineNumber: Number(fields.l),
+				kind: pageKinds[(fields.page || '').split('/')[0]] || null,
+				count: Number(subMatches[2])
+			};
+		});
+}
+
+// summarize the coverage points of one source file, by its file name (without directory)
+//
+export function summarizeCoverage(points, fileName) {
+	const filePoints = points.filter((point) => path.basename(point.fileName) === fileName);
+
+	return Object.fromEntries(
+		COVERAGE_KINDS.map((kind) => {
+			const kindPoints = filePoints.filter((point) => point.kind === kind);
+
+			return [kind, createCoverageCount(
+				kindPoints.filter(({ count }) => count > 0).length,
+				kindPoints.length
+			)];
+		})
+	);
+}
+
+// add up the summaries of several source files
+//
+export function combineCoverage(summaries) {
+	return Object.fromEntries(
+		COVERAGE_KINDS.map((kind) => [
+			kind,
+			createCoverageCount(
+				summaries.reduce((sum, summary) => sum + summary[kind].covered, 0),
+				summaries.reduce((sum, summary) => sum + summary[kind].total, 0)
+			)
+		])
+	);
+}
+
+// give a summary as text, e.g. 'line 92.5% (37/40), toggle 75.0% (12/16)'
+//
+export function formatCoverage(summary) {
+	return COVERAGE_KINDS.map((kind) => kind + ' ' + formatCoverageCount(summary[kind])).join(', ');
+}
+
+export function formatCoverageCount({ covered, total, percent }) {
+	return (percent === null ? 'n/a' : percent.toFixed(1) + '%') + ' (' + covered + '/' + total + ')';
+}
+
+function createCoverageCount(covered, total) {
+	return { covered, total, percent: total ? (100 * covered) / total : null };
+}
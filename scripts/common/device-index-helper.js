@@ -0,0 +1,88 @@
+// device-index-helper.js
+//
+// utility functions: read the library's index file 'device-index.md', which lists the devices
+// under category headings
+//
+// - a category is a '## ' heading; a device is a line with a hyperlink to its file, followed by
+//   the description, and optionally a hyperlink to its pinout drawing:
+//   [{deviceNumber}]({deviceFilePath}) {description} [pinout]({pinoutFilePath})<br />
+//
+// © 2026 Tim Rudy
+
+import { EOL } from './constants.js';
+import { isRegExpMatchStrictMinLength } from './text-helper.js';
+
+export const INDEX_FILE_NAME = 'device-index.md';
+
+const headingRegExp = new RegExp('^##\\s+(.*?)\\s*$'),
+	deviceLineRegExp = new RegExp(
+		'^\\[([0-9]+[A-Z]{0,1})\\]\\((.*?)\\)\\s*(.*?)\\s*' +
+			'(?:\\[pinout\\]\\((.*?)\\))?\\s*(<br\\s*/>)?\\s*$',
+		'i'
+	);
+
+// parse a device line of the index file, or give null if the line is not one
+//
+export function parseDeviceIndexLine(line) {
+	const deviceMatches = deviceLineRegExp.exec(line);
+
+	if (!isRegExpMatchStrictMinLength(deviceMatches, 3)) {
+		return null;
+	}
+
+	return {
+		deviceNumber: deviceMatches[1],
+		devicePath: deviceMatches[2],
+		description: deviceMatches[3],
+		pinoutPath: deviceMatches[4] || null
+	};
+}
+
+// give the index file line of a device
+//
+export function formatDeviceIndexLine({ deviceNumber, devicePath, description, pinoutPath }) {
+	return (
+		'[' + deviceNumber + '](' + devicePath + ') ' + description +
+		(pinoutPath ? ' [pinout](' + pinoutPath + ')' : '') + '<br />'
+	);
+}
+
+// parse the index file text into its categories, in order, each with its devices in order
+//
+export function parseDeviceIndex(indexFileText) {
+	const categories = [];
+
+	let category = null;
+
+	indexFileText.split(EOL).forEach((line) => {
+		const headingMatches = headingRegExp.exec(line);
+
+		if (headingMatches) {
+			category = { heading: headingMatches[1], devices: [] };
+			categories.push(category);
+			return;
+		}
+
+		const device = parseDeviceIndexLine(line);
+
+		if (device && category) {
+			category.devices.push(device);
+		}
+	});
+
+	return categories;
+}
+
+// create a lookup from device number to the heading of the category that lists it
+//
+export function getDeviceCategoryMap(indexFileText) {
+	const categoryMap = {};
+
+	parseDeviceIndex(indexFileText).forEach(({ heading, devices }) => {
+		devices.forEach(({ deviceNumber }) => {
+			categoryMap[deviceNumber] = heading;
+		});
+	});
+
+	return categoryMap;
+}
@@ -0,0 +1,78 @@
+// device-ports-helper.js
+//
+// utility functions: the ports of an IC device at its default parameters, and the concatenation
+// of port values in declaration order (the first port gives the most significant bits), as a
+// generated test bench applies and displays them
+//
+// © 2026 Tim Rudy
+
+import { evaluateExpression, evaluateParameters } from './verilog-expression-helper.js';
+import { parseVerilogModule } from './verilog-module-parser.js';
+
+// read a device's ports at its default parameters: { moduleName, parameterValues, inputs,
+// outputs }, where inputs and outputs are [{ name, width }]
+//
+export function getDevicePorts(verilogText) {
+	const verilogModule = parseVerilogModule(verilogText),
+		parameterValues = evaluateParameters(verilogModule.parameters);
+
+	const toPorts = (direction) =>
+		verilogModule.ports
+			.filter((port) => port.direction === direction)
+			.map(({ name, width }) => ({
+				name,
+				width: width ? evaluateExpression(width, parameterValues) : 1
+			}));
+
+	return {
+		moduleName: verilogModule.name,
+		parameterValues,
+		inputs: toPorts('input'),
+		outputs: toPorts('output')
+	};
+}
+
+// split a concatenation of port values, given as a number or BigInt, into the port values
+// (as BigInt)
+//
+export function splitPorts(concatenation, ports) {
+	const values = {};
+
+	let remaining = BigInt(concatenation);
+
+	[...ports].reverse().forEach(({ name, width }) => {
+		values[name] = remaining & ((1n << BigInt(width)) - 1n);
+		remaining >>= BigInt(width);
+	});
+
+	return values;
+}
+
+// give the concatenation of port values, as a BigInt
+//
+export function concatenatePorts(values, ports) {
+	return ports.reduce(
+		(concatenation, { name, width }) =>
+			(concatenation << BigInt(width)) | (BigInt(values[name]) & ((1n << BigInt(width)) - 1n)),
+		0n
+	);
+}
+
+export function getPortsWidth(ports) {
+	return ports.reduce((sum, { width }) => sum + width, 0);
+}
+
+// split a concatenation in binary into the ports' binary values, keeping any x and z bits
+//
+export function splitBinaryPorts(bits, ports) {
+	const values = {};
+
+	let index = 0;
+
+	ports.forEach(({ name, width }) => {
+		values[name] = bits.substring(index, index + width);
+		index += width;
+	});
+
+	return values;
+}
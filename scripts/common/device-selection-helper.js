@@ -0,0 +1,104 @@
+// device-selection-helper.js
+//
+// utility functions: choose a subset of the devices to work on, e.g. to run the test benches
+// for only one chip
+//
+// - a selector is one of:
+//   - a device number, e.g. '74161'
+//   - a glob of device numbers, with '*' for any characters and '?' for one, e.g. '741*'
+//   - a category heading of device-index.md, in any letter case, e.g. 'Counters'
+// - the changed devices are found with git, relative to a ref: a device is changed if its .v
+//   or -tb.v file is, or its metadata file (source-7400/metadata/<device>.json, which gives its
+//   generated code and its sweeps), and every device is changed if a file in includes/ is
+//
+// © 2026 Tim Rudy
+
+import { execFileSync } from 'child_process';
+
+const deviceFileRegExp = new RegExp('^source-7400/([0-9]+)(-tb)?\\.v$'),
+	metadataFileRegExp = new RegExp('^source-7400/metadata/([0-9]+)\\.json$'),
+	includesFileRegExp = new RegExp('^includes/');
+
+function globToRegExp(glob) {
+	const pattern = glob
+		.split('')
+		.map((character) => {
+			if (character === '*') {
+				return '.*';
+			} else if (character === '?') {
+				return '.';
+			}
+
+			return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+		})
+		.join('');
+
+	return new RegExp('^' + pattern + '$');
+}
+
+// give the device numbers that the selectors pick out, in the order of deviceNumbers;
+// fails if any selector picks out nothing, since that is most likely a typing mistake
+//
+export function selectDevices(deviceNumbers, selectors, categoryMap) {
+	const selected = new Set();
+
+	selectors.forEach((selector) => {
+		const globRegExp = globToRegExp(selector),
+			heading = selector.toLowerCase();
+
+		const matches = deviceNumbers.filter(
+			(deviceNumber) =>
+				globRegExp.test(deviceNumber) ||
+				(categoryMap[deviceNumber] || '').toLowerCase() === heading
+		);
+
+		if (!matches.length) {
+			throw 'Error: No device number or category matches: ' + selector;
+		}
+
+		matches.forEach((deviceNumber) => selected.add(deviceNumber));
+	});
+
+	return deviceNumbers.filter((deviceNumber) => selected.has(deviceNumber));
+}
+
+// give the device numbers whose files differ from the git ref, in the working tree, including
+// new files not yet added
+//
+export function getChangedDevices(deviceNumbers, projectRoot, gitRef) {
+	// git is run without a shell, and a ref cannot be taken for an option
+	const runGit = (gitArgs) =>
+		execFileSync('git', gitArgs, { cwd: projectRoot, encoding: 'utf8', stdio: 'pipe' });
+
+	if (gitRef.startsWith('-')) {
+		throw 'Error: Not a git ref: ' + gitRef;
+	}
+
+	let changedFilePaths;
+
+	try {
+		changedFilePaths = [
+			...runGit(['diff', '--name-only', gitRef, '--']).split('\n'),
+			...runGit(['ls-files', '--others', '--exclude-standard']).split('\n')
+		].filter((filePath) => filePath);
+	} catch (error) {
+		throw 'Error: Could not compare with git ref "' + gitRef + '": ' +
+			String(error.stderr || error.message).trim();
+	}
+
+	if (changedFilePaths.some((filePath) => includesFileRegExp.test(filePath))) {
+		return [...deviceNumbers];
+	}
+
+	const changed = new Set();
+
+	changedFilePaths.forEach((filePath) => {
+		const subMatches = deviceFileRegExp.exec(filePath) || metadataFileRegExp.exec(filePath);
+
+		if (subMatches) {
+			changed.add(subMatches[1]);
+		}
+	});
+
+	return deviceNumbers.filter((deviceNumber) => changed.has(deviceNumber));
+}
@@ -0,0 +1,167 @@
+// icestudio-helper.js
+//
+// utility functions: build the JSON content of an Icestudio .ice file that holds one
+// Verilog code block, wired to an input block per input port and an output block per output port
+//
+// - block ids are derived from the block's name and role, so that regenerating a file
+//   with the same content gives an identical file
+//
+// © 2026 Tim Rudy
+
+import crypto from 'crypto';
+
+const iceFileVersion = '1.2';
+
+const inputBlockX = 0,
+	codeBlockX = 320,
+	outputBlockX = 1280,
+	portSpacingY = 80,
+	codeBlockWidth = 800;
+
+// create a stable, uuid-formatted id from the given name parts
+//
+export function createBlockId(...nameParts) {
+	const hex = crypto.createHash('sha1').update(nameParts.join('/')).digest('hex');
+
+	return [
+		hex.substring(0, 8),
+		hex.substring(8, 12),
+		hex.substring(12, 16),
+		hex.substring(16, 20),
+		hex.substring(20, 32)
+	].join('-');
+}
+
+function createPinList(size) {
+	return Array.from({ length: size || 1 }, (value, i) => ({
+		index: String((size || 1) - 1 - i),
+		name: '',
+		value: ''
+	}));
+}
+
+// port: { name, size (optional: absent for a single bit), range (optional: e.g. '[3:0]') }
+//
+function toCodePort({ name, size, range }) {
+	return size ? { name, range, size } : { name };
+}
+
+/**
+ * Build an Icestudio .ice file object for a single code block
+ * @param {Object} config - Configuration object
+ * @param {string} config.name - Package name shown in Icestudio (e.g., "7485")
+ * @param {string} config.version - Package version string
+ * @param {string} config.description - Package description
+ * @param {string} config.author - Package author
+ * @param {string} config.code - Verilog code placed inside the code block
+ * @param {Object[]} config.inputs - Input ports: { name, size, range }
+ * @param {Object[]} config.outputs - Output ports: { name, size, range }
+ * @param {Object[]} [config.params] - Parameters: { name, value }, each fed by a constant block
+ * @returns {Object} - .ice file content, ready for JSON.stringify
+ */
+export function createIceFile({ name, version, description, author, code, inputs, outputs, params = [] }) {
+	const codeBlockId = createBlockId(name, 'code'),
+		blocks = [],
+		wires = [];
+
+	params.forEach((param, i) => {
+		const blockId = createBlockId(name, 'param', param.name);
+
+		blocks.push({
+			id: blockId,
+			type: 'basic.constant',
+			data: {
+				name: param.name,
+				value: String(param.value),
+				local: false
+			},
+			position: { x: codeBlockX + i * 160, y: -portSpacingY * 2 }
+		});
+
+		wires.push({
+			source: { block: blockId, port: 'constant-out' },
+			target: { block: codeBlockId, port: param.name }
+		});
+	});
+
+	inputs.forEach((port, i) => {
+		const blockId = createBlockId(name, 'input', port.name);
+
+		blocks.push({
+			id: blockId,
+			type: 'basic.input',
+			data: {
+				name: port.name,
+				...(port.size ? { range: port.range } : {}),
+				pins: createPinList(port.size),
+				virtual: true,
+				clock: false
+			},
+			position: { x: inputBlockX, y: i * portSpacingY }
+		});
+
+		wires.push({
+			source: { block: blockId, port: 'out' },
+			target: { block: codeBlockId, port: port.name },
+			...(port.size ? { size: port.size } : {})
+		});
+	});
+
+	outputs.forEach((port, i) => {
+		const blockId = createBlockId(name, 'output', port.name);
+
+		blocks.push({
+			id: blockId,
+			type: 'basic.output',
+			data: {
+				name: port.name,
+				...(port.size ? { range: port.range } : {}),
+				pins: createPinList(port.size),
+				virtual: true
+			},
+			position: { x: outputBlockX, y: i * portSpacingY }
+		});
+
+		wires.push({
+			source: { block: codeBlockId, port: port.name },
+			target: { block: blockId, port: 'in' },
+			...(port.size ? { size: port.size } : {})
+		});
+	});
+
+	blocks.push({
+		id: codeBlockId,
+		type: 'basic.code',
+		data: {
+			code,
+			params: params.map((param) => ({ name: param.name })),
+			ports: {
+				in: inputs.map(toCodePort),
+				out: outputs.map(toCodePort)
+			}
+		},
+		position: { x: codeBlockX, y: 0 },
+		size: {
+			width: codeBlockWidth,
+			height: Math.max(inputs.length, outputs.length, 4) * portSpacingY
+		}
+	});
+
+	return {
+		version: iceFileVersion,
+		package: {
+			name,
+			version,
+			description,
+			author,
+			image: ''
+		},
+		design: {
+			graph: {
+				blocks,
+				wires
+			}
+		},
+		dependencies: {}
+	};
+}
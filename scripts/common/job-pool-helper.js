@@ -0,0 +1,56 @@
+// job-pool-helper.js
+//
+// utility functions: run asynchronous jobs, e.g. simulator processes, a few at a time
+//
+// - results are given in the order of the items, whatever order the jobs finish in
+//
+// © 2026 Tim Rudy
+
+import os from 'os';
+
+// the number of jobs to run at once when not specified: one per processor
+//
+export function getDefaultJobCount() {
+	return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+}
+
+// read the option '--jobs <count>' (or '-j <count>') from command line arguments
+//
+export function getJobCountOption(args) {
+	const optionIndex = Math.max(args.indexOf('--jobs'), args.indexOf('-j'));
+
+	if (optionIndex === -1) {
+		return getDefaultJobCount();
+	}
+
+	const jobCount = Number(args[optionIndex + 1]);
+
+	if (!Number.isInteger(jobCount) || jobCount < 1) {
+		throw 'Error: --jobs must be a whole number of at least 1: ' + args[optionIndex + 1];
+	}
+
+	return jobCount;
+}
+
+// run the job for every item, with at most jobCount running at once;
+// resolves to the results, in the order of the items
+//
+export async function runJobPool(items, jobCount, runJob) {
+	const results = new Array(items.length);
+
+	let nextIndex = 0;
+
+	async function runWorker() {
+		while (nextIndex < items.length) {
+			const index = nextIndex++;
+
+			results[index] = await runJob(items[index], index);
+		}
+	}
+
+	const workerCount = Math.max(1, Math.min(jobCount, items.length));
+
+	await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+	return results;
+}
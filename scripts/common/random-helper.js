@@ -0,0 +1,55 @@
+// random-helper.js
+//
+// utility functions: pseudo-random numbers from a seed, so that a random test can be repeated
+// exactly by giving the same seed
+//
+// © 2026 Tim Rudy
+
+// give a new seed, for a run where none is given
+//
+export function createSeed() {
+	return Math.floor(Math.random() * 0x100000000);
+}
+
+// give a seed of its own for each item of a run (e.g. each device), from the run's seed, so
+// that one item can be repeated alone
+//
+export function deriveSeed(seed, text) {
+	let hash = seed >>> 0;
+
+	for (const character of String(text)) {
+		hash = Math.imul(hash ^ character.charCodeAt(0), 0x01000193) >>> 0;
+	}
+
+	return hash;
+}
+
+// give a function that returns the next number in [0, 1) of the sequence of the seed
+// (mulberry32)
+//
+export function createRandom(seed) {
+	let current = seed >>> 0;
+
+	return () => {
+		current = (current + 0x6d2b79f5) >>> 0;
+
+		let value = current;
+
+		value = Math.imul(value ^ (value >>> 15), value | 1);
+		value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+
+		return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+	};
+}
+
+// give a random value of the given number of bits
+//
+export function randomBits(random, width) {
+	let value = 0;
+
+	for (let index = 0; index < width; index++) {
+		value += random() < 0.5 ? 0 : 2 ** index;
+	}
+
+	return value;
+}
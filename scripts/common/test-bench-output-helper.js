@@ -0,0 +1,208 @@
+// test-bench-output-helper.js
+//
+// analyze the simulation output of a test bench that uses the assertions of tbhelper.v
+//
+// - each output line is one of: 'Passed: <label>', '-Failed: <label>' or
+//   '-Failed === x value: <label>', where the label ends with either one index number or two
+//   dash-separated numbers: the first is the inner index and the second is the outer or main index
+// - the result is:
+//   - testCount: number of 'Passed' lines
+//   - testLabels: the labels of the numbered tests, in order of first appearance
+//   - failures: [{ kind, deviceNumber, testLabel, outputLineNumber, outputLine }], one per failed
+//     assertion, out of sequence test number, or unexpected output line
+//
+// © 2019-2026 Tim Rudy
+
+import { EOL } from './constants.js';
+import { isRegExpMatchMinLength } from './text-helper.js';
+
+// kinds of failure, as reported per test
+export const TEST_FAILURE_KINDS = {
+	failed: 'Failed',
+	failedXValue: 'Failed === x value',
+	testNumberSequence: 'Test number sequence incorrect',
+	testGroupNumber: 'Group consists of only one test (or minor/major index numbers are swapped)',
+	unexpectedLine: 'Unexpected output line',
+	unexpectedFile: 'Unexpected file',
+	noTestBench: 'No test bench file',
+	sweepParameter: 'Sweep parameter not declared',
+	execution: 'Compile or simulation error',
+	coverageThreshold: 'Coverage below threshold',
+	goldenWaveform: 'Waveform differs from golden dump',
+	noGoldenDump: 'No golden dump file',
+	simulatorDiscrepancy: 'Simulator results differ'
+};
+
+export function createTestFailure(kind, deviceNumber, testLabel, outputLineNumber, outputLine) {
+	return { kind, deviceNumber, testLabel, outputLineNumber, outputLine };
+}
+
+// give the failure as one line of text
+//
+export function formatTestFailure({ kind, deviceNumber, testLabel, outputLineNumber, outputLine }) {
+	return (
+		kind +
+		': Device ' +
+		deviceNumber +
+		(testLabel ? ' ' + testLabel : '') +
+		(outputLineNumber !== null ? ' Output Line ' + outputLineNumber : '') +
+		': ' +
+		outputLine
+	);
+}
+
+// analyze the output of one device's test bench
+//
+// - the first line may be the simulator's note about the dump file, and the last line its
+//   note about '$finish'; every other line must be a test result
+//
+export function analyzeTestBenchOutput(results, deviceNumber) {
+	const resultsSplitRegExp = new RegExp('[^' + EOL + ']+', 'g'),
+		resultLinePassedRegExp = new RegExp('Passed: (Test.*? (([0-9]+)-)?([0-9]+))[ ]*$', 'm'),
+		resultLineFailedRegExp = new RegExp('-Failed( === x value)?: (.*?)[ ]*$', 'm'),
+		testLabelRegExp = new RegExp('^Test.*? (([0-9]+)-)?([0-9]+)$'),
+		resultExtraStartRegExp = new RegExp('(.*opened for output\\.)|(.*dumping is suppressed\\.)$', 'm'),
+		resultExtraFinishRegExp = new RegExp('.+\\$finish called.+');
+
+	const testLabels = [],
+		failures = [];
+
+	let subMatches;
+
+	let testLineNumber = 0,
+		testLineOuterCount = 0,
+		testLineInnerCount = 0,
+		lastSequenceLabel = null,
+		lastSequenceLineIndex = -1,
+		isLastSequenceLabelFailed = false;
+
+	// split into array of lines
+	const resultLines = results.match(resultsSplitRegExp) || [],
+		resultLinesLastIndex = resultLines.length - 1;
+
+	resultLines.forEach((resultLine, resultLineIndex) => {
+		if (
+			resultLine.length &&
+			!(
+				(resultLineIndex === 0 &&
+					!!resultExtraStartRegExp.exec(resultLine)) ||
+				(resultLineIndex === resultLinesLastIndex &&
+					!!resultExtraFinishRegExp.exec(resultLine))
+			)
+		) {
+			// parse the standard output line form of 'Passed: ___'
+			subMatches = resultLinePassedRegExp.exec(resultLine);
+
+			if (isRegExpMatchMinLength(subMatches, 3)) {
+				testLineNumber++;
+
+				// a test that already failed may go on to pass its remaining assertions:
+				// its index numbers were already counted
+				if (!(isLastSequenceLabelFailed && subMatches[1] === lastSequenceLabel)) {
+					checkTestNumberSequence(subMatches[1], subMatches[3], subMatches[4], resultLineIndex);
+				}
+
+				isLastSequenceLabelFailed = false;
+				return;
+			}
+
+			// parse the failed output line form of '-Failed: ___' or '-Failed === x value: ___',
+			// and count its test index numbers the same as for a passed test
+			subMatches = resultLineFailedRegExp.exec(resultLine);
+
+			if (subMatches) {
+				const testLabel = subMatches[2],
+					labelMatches = testLabelRegExp.exec(testLabel);
+
+				if (labelMatches && testLabel !== lastSequenceLabel) {
+					checkTestNumberSequence(testLabel, labelMatches[2], labelMatches[3], resultLineIndex);
+				}
+
+				failures.push(createTestFailure(
+					subMatches[1] ? TEST_FAILURE_KINDS.failedXValue : TEST_FAILURE_KINDS.failed,
+					deviceNumber,
+					testLabel,
+					resultLineIndex,
+					resultLine
+				));
+
+				isLastSequenceLabelFailed = true;
+				return;
+			}
+
+			failures.push(createTestFailure(
+				TEST_FAILURE_KINDS.unexpectedLine,
+				deviceNumber,
+				null,
+				resultLineIndex,
+				resultLine
+			));
+		}
+	});
+
+	// validate that test index numbers are strictly incrementing (outer, and then inner
+	// if present), from value '1'; after an error, continue from the numbers found
+	function checkTestNumberSequence(testLabel, innerNumber, outerNumber, resultLineIndex) {
+		if (!testLabels.includes(testLabel)) {
+			testLabels.push(testLabel);
+		}
+
+		if (!innerNumber) {
+			testLineOuterCount++;
+			testLineInnerCount = 0;
+
+			if (Number(outerNumber) !== testLineOuterCount) {
+				reportTestNumberSequenceError(testLabel, resultLineIndex);
+				testLineOuterCount = Number(outerNumber);
+			}
+		} else {
+			if (
+				!testLineInnerCount ||
+				Number(outerNumber) === testLineOuterCount + 1
+			) {
+				testLineOuterCount++;
+
+				// validate that if inner test index number is starting over,
+				// it did not end at only '1' for previous outer index
+				if (testLineInnerCount === 1) {
+					// report the offending previous line, not current line
+					failures.push(createTestFailure(
+						TEST_FAILURE_KINDS.testGroupNumber,
+						deviceNumber,
+						lastSequenceLabel,
+						lastSequenceLineIndex,
+						resultLines[lastSequenceLineIndex]
+					));
+				}
+
+				testLineInnerCount = 1;
+			} else {
+				testLineInnerCount++;
+			}
+
+			if (
+				Number(outerNumber) !== testLineOuterCount ||
+				Number(innerNumber) !== testLineInnerCount
+			) {
+				reportTestNumberSequenceError(testLabel, resultLineIndex);
+				testLineOuterCount = Number(outerNumber);
+				testLineInnerCount = Number(innerNumber);
+			}
+		}
+
+		lastSequenceLabel = testLabel;
+		lastSequenceLineIndex = resultLineIndex;
+	}
+
+	function reportTestNumberSequenceError(testLabel, resultLineIndex) {
+		failures.push(createTestFailure(
+			TEST_FAILURE_KINDS.testNumberSequence,
+			deviceNumber,
+			testLabel,
+			resultLineIndex,
+			resultLines[resultLineIndex]
+		));
+	}
+
+	return { testCount: testLineNumber, testLabels, failures };
+}
@@ -0,0 +1,62 @@
+// test-count-helper.js
+//
+// utility functions: keep the number of test bench tests of each device from a full
+// exec-verilog.js run, for the documentation to show
+//
+// - the counts are kept in '<directory>/test-counts.json', which is committed (see
+//   exec-verilog.js --test-counts): { "<deviceNumber>": { tests, failures } }, where failures
+//   is the number of failed tests (or 1 for a test bench that did not run through); a run
+//   writes the counts of all devices afresh, so a removed device is not kept
+//
+// © 2026 Tim Rudy
+
+import { EOL } from './constants.js';
+import { FsWriteDirectoryHelper } from './fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from './fs-file-helper.js';
+import { FsPathHelper } from './fs-path-helper.js';
+
+export const TEST_COUNTS_FILE_NAME = 'test-counts.json';
+
+// read the test counts kept in a directory, or an empty lookup if none are
+//
+export function readTestCounts(testCountsDirectory) {
+	const fsInput = new FsReadFileHelper(testCountsDirectory);
+
+	if (!fsInput.isExistingFile(TEST_COUNTS_FILE_NAME)) {
+		return {};
+	}
+
+	return JSON.parse(fsInput.readFile(TEST_COUNTS_FILE_NAME));
+}
+
+// keep the test counts of a run's device results, and give the file path; a sweep
+// combination's result (device number with its parameters, e.g. '74161 [WIDTH=8]') is not kept
+//
+export function writeTestCounts(testCountsDirectory, deviceResults) {
+	const testCounts = {};
+
+	deviceResults
+		.filter(({ deviceNumber }) => /^[0-9]+[A-Z]?$/i.test(deviceNumber))
+		.sort((a, b) => parseInt(a.deviceNumber, 10) - parseInt(b.deviceNumber, 10))
+		.forEach(({ deviceNumber, testCount, testLabels, failures }) => {
+			const failedTestLabels = new Set(
+				failures
+					.map(({ testLabel }) => testLabel)
+					.filter((testLabel) => testLabels.includes(testLabel))
+			);
+
+			testCounts[deviceNumber] = {
+				tests: testCount,
+				failures: failedTestLabels.size || (failures.length ? 1 : 0)
+			};
+		});
+
+	FsWriteDirectoryHelper.confirmDirectoryExists(testCountsDirectory);
+
+	new FsReadWriteFileHelper(testCountsDirectory).writeFile(
+		TEST_COUNTS_FILE_NAME,
+		JSON.stringify(testCounts, null, 2) + EOL
+	);
+
+	return FsPathHelper.resolve(testCountsDirectory, TEST_COUNTS_FILE_NAME);
+}
@@ -0,0 +1,163 @@
+// test-report-helper.js
+//
+// write the results of a test run as reports for CI viewers: JUnit XML, and the same report
+// as JSON
+//
+// - a report is:
+//   - name, timestamp (ISO), time (seconds), tests, failures, errors
+//   - testsuites: [{ name, time, tests, failures, errors, testcases }], e.g. one per device,
+//     where time is that of the whole suite (e.g. the device's test bench run)
+//   - testcases: [{ name, classname, time?, failures, errors }], e.g. one per numbered test,
+//     where failures and errors are [{ type, message }]; time is left out when the test case is
+//     not timed on its own (a test bench gives no time per numbered test)
+//
+// © 2026 Tim Rudy
+
+import path from 'path';
+
+import { EOL } from './constants.js';
+import { FsWriteDirectoryHelper } from './fs-directory-helper.js';
+import { FsReadWriteFileHelper } from './fs-file-helper.js';
+
+function toSeconds(durationMs) {
+	return Math.round(durationMs) / 1000;
+}
+
+function sumOf(items, propertyName) {
+	return items.reduce((sum, item) => sum + item[propertyName], 0);
+}
+
+function escapeXml(text) {
+	return String(text)
+		// characters not allowed in XML 1.0, e.g. from simulator output
+		.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+// an attribute value keeps its line breaks only as character references
+//
+function escapeXmlAttribute(text) {
+	return escapeXml(text).replace(/\r/g, '&#13;').replace(/\n/g, '&#10;');
+}
+
+/**
+ * Create a test suite
+ * @param {Object} config - Configuration object
+ * @param {string} config.name - Suite name (e.g., "7400")
+ * @param {number} config.durationMs - Run time of the suite in milliseconds
+ * @param {Object[]} config.testcases - Test cases: { name, durationMs?, failures?, errors? }
+ * @returns {Object} - Test suite
+ */
+export function createTestSuite({ name, durationMs, testcases }) {
+	const suiteTestcases = testcases.map((testcase) => ({
+		name: testcase.name,
+		classname: name,
+		...(testcase.durationMs !== undefined ? { time: toSeconds(testcase.durationMs) } : {}),
+		failures: testcase.failures || [],
+		errors: testcase.errors || []
+	}));
+
+	return {
+		name,
+		time: toSeconds(durationMs),
+		tests: suiteTestcases.length,
+		failures: suiteTestcases.filter(({ failures }) => failures.length).length,
+		errors: suiteTestcases.filter(({ errors }) => errors.length).length,
+		testcases: suiteTestcases
+	};
+}
+
+/**
+ * Create a test report
+ * @param {Object} config - Configuration object
+ * @param {string} config.name - Report name (e.g., "exec-verilog")
+ * @param {Date} config.startTime - Start of the run
+ * @param {number} config.durationMs - Run time in milliseconds
+ * @param {Object[]} config.testsuites - Test suites from createTestSuite()
+ * @returns {Object} - Test report
+ */
+export function createTestReport({ name, startTime, durationMs, testsuites }) {
+	return {
+		name,
+		timestamp: startTime.toISOString(),
+		time: toSeconds(durationMs),
+		tests: sumOf(testsuites, 'tests'),
+		failures: sumOf(testsuites, 'failures'),
+		errors: sumOf(testsuites, 'errors'),
+		testsuites
+	};
+}
+
+/**
+ * Convert a test report to JUnit XML
+ * @param {Object} report - Test report from createTestReport()
+ * @returns {string} - XML file content
+ */
+export function toJUnitXml(report) {
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<testsuites name="${escapeXmlAttribute(report.name)}" tests="${report.tests}" ` +
+			`failures="${report.failures}" errors="${report.errors}" time="${report.time}" ` +
+			`timestamp="${report.timestamp}">`
+	];
+
+	report.testsuites.forEach((testsuite) => {
+		lines.push(
+			`  <testsuite name="${escapeXmlAttribute(testsuite.name)}" tests="${testsuite.tests}" ` +
+				`failures="${testsuite.failures}" errors="${testsuite.errors}" time="${testsuite.time}">`
+		);
+
+		testsuite.testcases.forEach((testcase) => {
+			const attributes =
+				`name="${escapeXmlAttribute(testcase.name)}" ` +
+				`classname="${escapeXmlAttribute(testcase.classname)}"` +
+				(testcase.time !== undefined ? ` time="${testcase.time}"` : '');
+
+			if (!testcase.failures.length && !testcase.errors.length) {
+				lines.push(`    <testcase ${attributes} />`);
+				return;
+			}
+
+			lines.push(`    <testcase ${attributes}>`);
+
+			[['failure', testcase.failures], ['error', testcase.errors]].forEach(([element, results]) => {
+				results.forEach(({ type, message }) => {
+					lines.push(
+						`      <${element} type="${escapeXmlAttribute(type)}" ` +
+							`message="${escapeXmlAttribute(message)}">${escapeXml(message)}</${element}>`
+					);
+				});
+			});
+
+			lines.push('    </testcase>');
+		});
+
+		lines.push('  </testsuite>');
+	});
+
+	lines.push('</testsuites>');
+
+	return lines.join(EOL) + EOL;
+}
+
+/**
+ * Write a test report as JUnit XML and as JSON
+ * @param {Object} report - Test report from createTestReport()
+ * @param {string} reportDirectory - Absolute path of the directory to hold the reports
+ * @returns {string[]} - Absolute paths of the files written: <name>.xml and <name>.json
+ */
+export function writeTestReports(report, reportDirectory) {
+	FsWriteDirectoryHelper.confirmDirectoryExists(reportDirectory);
+
+	const fsReport = new FsReadWriteFileHelper(reportDirectory),
+		xmlFileName = `${report.name}.xml`,
+		jsonFileName = `${report.name}.json`;
+
+	fsReport.writeFile(xmlFileName, toJUnitXml(report));
+	fsReport.writeFile(jsonFileName, JSON.stringify(report, null, 2) + EOL);
+
+	return [xmlFileName, jsonFileName].map((fileName) => path.join(reportDirectory, fileName));
+}
@@ -26,3 +26,13 @@ export function isRegExpMatchStrictMinLength(subMatches, minLength) {
 		subMatches[minLength - 1] !== undefined
 	);
 }
+
+// escape text for an XML (SVG, HTML) attribute value or element content
+//
+export function escapeXml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
@@ -0,0 +1,249 @@
+// vcd-helper.js
+//
+// read a waveform dump in Value Change Dump format (the '*.vcd' that a test bench writes with
+// $dumpfile and $dumpvars), and compare two dumps signal by signal
+//
+// - a dump is { signals, changesById, endTime }:
+//   - signals: [{ name, width, id }], where the name is hierarchical from the test bench
+//     module, e.g. 'test.dut.Q' (Verilator's top scope TOP is left out, so the names are as in
+//     Icarus Verilog), and signals that are the same net share an id
+//   - changesById: the changes of each signal as [{ time, value }] in time order, where the
+//     value is in binary at the signal's full width ('0', '1', 'x', 'z'), or the text of a
+//     real or string
+//   - endTime: the time of the last time step
+// - times are whole femtoseconds, from the dump's $timescale, so that dumps of different time
+//   scales compare
+// - a signal pattern is a glob of signal names: '*' for any characters within one scope level,
+//   '**' for any across levels, and '?' for one character, e.g. 'test.*' (the test bench's own
+//   signals, which include the device's ports) or 'test.dut.**'
+//
+// © 2026 Tim Rudy
+
+// femtoseconds per time unit
+const timeUnitFs = {
+	s: 1e15,
+	ms: 1e12,
+	us: 1e9,
+	ns: 1e6,
+	ps: 1e3,
+	fs: 1
+};
+
+const verilatorTopScopeName = 'TOP';
+
+// give a time such as '2ns', '1.5 us' or '500' (in the default unit) in femtoseconds
+//
+export function parseTime(text, defaultUnit = 'ns') {
+	const subMatches = /^\s*([0-9]+(\.[0-9]+)?)\s*([a-z]*)\s*$/.exec(String(text));
+
+	if (!subMatches || !timeUnitFs[subMatches[3] || defaultUnit]) {
+		throw 'Error: Not a time (e.g. 2ns, 500ps): ' + text;
+	}
+
+	return Math.round(Number(subMatches[1]) * timeUnitFs[subMatches[3] || defaultUnit]);
+}
+
+// give a time in femtoseconds as text in nanoseconds, the unit of the test benches
+//
+export function formatTime(timeFs) {
+	return timeFs / timeUnitFs.ns + 'ns';
+}
+
+// read the text of a dump
+//
+export function parseVcd(vcdText) {
+	const tokens = vcdText.split(/\s+/).filter((token) => token),
+		signals = [],
+		changesById = {},
+		widthsById = {},
+		scopes = [];
+
+	let timescaleFs = 1,
+		time = 0,
+		index = 0;
+
+	// give the tokens of a declaration up to its $end, moving past it
+	const readDeclaration = () => {
+		const declarationTokens = [];
+
+		while (index < tokens.length && tokens[index] !== '$end') {
+			declarationTokens.push(tokens[index++]);
+		}
+
+		index++;
+		return declarationTokens;
+	};
+
+	const addChange = (id, value) => {
+		const changes = changesById[id];
+
+		if (!changes) {
+			return;
+		}
+
+		// a value dumped again unchanged (e.g. by $dumpall) is not a change
+		if (changes.length && changes[changes.length - 1].value === value) {
+			return;
+		}
+
+		if (changes.length && changes[changes.length - 1].time === time) {
+			changes[changes.length - 1].value = value;
+		} else {
+			changes.push({ time, value });
+		}
+	};
+
+	while (index < tokens.length) {
+		const token = tokens[index++];
+
+		if (token === '$timescale') {
+			timescaleFs = parseTime(readDeclaration().join(''), 's');
+		} else if (token === '$scope') {
+			const [, scopeName] = readDeclaration();
+
+			scopes.push(scopeName);
+		} else if (token === '$upscope') {
+			readDeclaration();
+			scopes.pop();
+		} else if (token === '$var') {
+			const [, size, id, reference, range] = readDeclaration(),
+				scopeNames = scopes[0] === verilatorTopScopeName ? scopes.slice(1) : scopes;
+
+			// a bit of a vector that is dumped on its own is named with its index, e.g. 'Q[0]'
+			const name = [
+				...scopeNames,
+				reference + (range && !range.includes(':') ? range : '')
+			].join('.');
+
+			signals.push({ name, width: Number(size), id });
+			widthsById[id] = Number(size);
+			changesById[id] = changesById[id] || [];
+		} else if (token.startsWith('$')) {
+			// $dumpvars, $dumpon and the like only enclose value changes; others are skipped
+			if (!['$dumpvars', '$dumpall', '$dumpon', '$dumpoff', '$end'].includes(token)) {
+				readDeclaration();
+			}
+		} else if (token.startsWith('#')) {
+			time = Number(token.slice(1)) * timescaleFs;
+		} else if (/^[bB]/.test(token)) {
+			const id = tokens[index++];
+
+			addChange(id, extendVector(token.slice(1).toLowerCase(), widthsById[id]));
+		} else if (/^[rRsS]/.test(token)) {
+			addChange(tokens[index++], token.slice(1));
+		} else {
+			addChange(token.slice(1), token[0].toLowerCase());
+		}
+	}
+
+	return { signals, changesById, endTime: time };
+}
+
+// give the signals whose names match any of the patterns
+//
+export function selectSignals(signals, signalPatterns) {
+	const patternRegExps = signalPatterns.map(globToRegExp);
+
+	return signals.filter(({ name }) => patternRegExps.some((regExp) => regExp.test(name)));
+}
+
+// compare a dump with its golden dump, for the signals selected by the patterns: each signal
+// must change to the same values in the same order, each change within the time tolerance
+// (in femtoseconds) of the golden one; gives the first difference of each signal that
+// differs, as [{ signalName, message }]
+//
+export function compareVcd(vcd, goldenVcd, signalPatterns, timeTolerance = 0) {
+	const signals = selectSignals(vcd.signals, signalPatterns),
+		goldenSignals = selectSignals(goldenVcd.signals, signalPatterns),
+		differences = [];
+
+	goldenSignals.forEach(({ name, id }) => {
+		const signal = signals.find((signal) => signal.name === name);
+
+		if (!signal) {
+			differences.push({ signalName: name, message: 'Not in the dump' });
+			return;
+		}
+
+		const message = compareChanges(
+			vcd.changesById[signal.id],
+			goldenVcd.changesById[id],
+			timeTolerance
+		);
+
+		if (message) {
+			differences.push({ signalName: name, message });
+		}
+	});
+
+	signals
+		.filter(({ name }) => !goldenSignals.some((goldenSignal) => goldenSignal.name === name))
+		.forEach(({ name }) => {
+			differences.push({ signalName: name, message: 'Not in the golden dump' });
+		});
+
+	return differences;
+}
+
+// give the first difference between the changes of a signal and the golden ones as text, or
+// null if there is none
+//
+function compareChanges(changes, goldenChanges, timeTolerance) {
+	const toText = ({ time, value }) => value + ' at ' + formatTime(time);
+
+	for (let changeIndex = 0; changeIndex < goldenChanges.length; changeIndex++) {
+		const change = changes[changeIndex],
+			goldenChange = goldenChanges[changeIndex];
+
+		if (!change) {
+			return 'Missing change to ' + toText(goldenChange);
+		}
+
+		if (change.value !== goldenChange.value) {
+			return 'Changed to ' + toText(change) + ', golden ' + toText(goldenChange);
+		}
+
+		if (Math.abs(change.time - goldenChange.time) > timeTolerance) {
+			return (
+				'Changed to ' + toText(change) + ', golden at ' + formatTime(goldenChange.time) +
+				' (tolerance ' + formatTime(timeTolerance) + ')'
+			);
+		}
+	}
+
+	if (changes.length > goldenChanges.length) {
+		return 'Extra change to ' + toText(changes[goldenChanges.length]);
+	}
+
+	return null;
+}
+
+// give a vector value at its full width: a value is dumped without its leading zeros, and one
+// that starts with x or z is extended with that
+//
+function extendVector(value, width) {
+	if (!width || value.length >= width) {
+		return value;
+	}
+
+	return (/[xz]/.test(value[0]) ? value[0] : '0').repeat(width - value.length) + value;
+}
+
+function globToRegExp(glob) {
+	const pattern = glob
+		.split(/(\*\*|\*|\?)/)
+		.map((part) => {
+			if (part === '**') {
+				return '.*';
+			} else if (part === '*') {
+				return '[^.]*';
+			} else if (part === '?') {
+				return '[^.]';
+			}
+
+			return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+		})
+		.join('');
+
+	return new RegExp('^' + pattern + '$');
+}
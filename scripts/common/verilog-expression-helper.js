@@ -0,0 +1,129 @@
+// verilog-expression-helper.js
+//
+// utility functions: evaluate the constant expressions found in IceChips module headers,
+// such as parameter defaults 'WIDTH_IN = $clog2(WIDTH_OUT)' and port widths 'BLOCKS*WIDTH_IN'
+//
+// - supports integer literals, parameter names, + - * / % ( ) and $clog2()
+//
+// © 2026 Tim Rudy
+
+const tokenRegExp = /\s*(?:([0-9]+)|(\$?[A-Za-z_][A-Za-z0-9_]*)|(.))/y;
+
+function clog2(value) {
+	let result = 0;
+
+	for (let remaining = value - 1; remaining > 0; remaining >>= 1) {
+		result++;
+	}
+
+	return result;
+}
+
+// evaluate one expression, given a lookup of already-known parameter values
+//
+export function evaluateExpression(expression, parameterValues = {}) {
+	const tokens = [],
+		trimmedExpression = String(expression).trim();
+
+	let subMatches;
+
+	tokenRegExp.lastIndex = 0;
+
+	while (tokenRegExp.lastIndex < trimmedExpression.length) {
+		subMatches = tokenRegExp.exec(trimmedExpression);
+		tokens.push(subMatches[1] || subMatches[2] || subMatches[3]);
+	}
+
+	let position = 0;
+
+	const peek = () => tokens[position],
+		next = () => tokens[position++],
+		expect = (token) => {
+			if (next() !== token) {
+				throw 'Error: Expected "' + token + '" in expression: ' + expression;
+			}
+		};
+
+	// expression := term (('+' | '-') term)*
+	function parseSum() {
+		let value = parseProduct();
+
+		while (peek() === '+' || peek() === '-') {
+			value = next() === '+' ? value + parseProduct() : value - parseProduct();
+		}
+
+		return value;
+	}
+
+	// term := factor (('*' | '/' | '%') factor)*
+	function parseProduct() {
+		let value = parseFactor();
+
+		while (peek() === '*' || peek() === '/' || peek() === '%') {
+			const operator = next(),
+				operand = parseFactor();
+
+			if (operator === '*') {
+				value *= operand;
+			} else if (operator === '/') {
+				value = Math.trunc(value / operand);
+			} else {
+				value %= operand;
+			}
+		}
+
+		return value;
+	}
+
+	// factor := number | name | '$clog2' '(' expression ')' | '(' expression ')' | '-' factor
+	function parseFactor() {
+		const token = next();
+
+		if (token === undefined) {
+			throw 'Error: Unexpected end of expression: ' + expression;
+		} else if (token === '(') {
+			const value = parseSum();
+
+			expect(')');
+			return value;
+		} else if (token === '-') {
+			return -parseFactor();
+		} else if (token === '$clog2') {
+			expect('(');
+
+			const value = parseSum();
+
+			expect(')');
+			return clog2(value);
+		} else if (/^[0-9]+$/.test(token)) {
+			return Number(token);
+		} else if (Object.prototype.hasOwnProperty.call(parameterValues, token)) {
+			return parameterValues[token];
+		}
+
+		throw 'Error: Unknown name "' + token + '" in expression: ' + expression;
+	}
+
+	const result = parseSum();
+
+	if (position < tokens.length) {
+		throw 'Error: Unexpected "' + peek() + '" in expression: ' + expression;
+	}
+
+	return result;
+}
+
+// evaluate a list of parameters in declaration order (later defaults may refer to earlier ones),
+// with optional overrides given by name
+//
+export function evaluateParameters(parameters, overrides = {}) {
+	const parameterValues = {};
+
+	parameters.forEach(({ name, value }) => {
+		parameterValues[name] = Object.prototype.hasOwnProperty.call(overrides, name)
+			? Number(overrides[name])
+			: evaluateExpression(value, parameterValues);
+	});
+
+	return parameterValues;
+}
@@ -0,0 +1,130 @@
+// verilog-macro-helper.js
+//
+// utility functions: read the `define macros of a Verilog include file such as 'helper.v',
+// and expand their uses inline, for targets that can't rely on the include file
+// (e.g. Verilog embedded in an Icestudio .ice block)
+//
+// - only single-line macros are supported, which is the form used in the includes directory
+//
+// © 2026 Tim Rudy
+
+import { EOL } from './constants.js';
+
+const defineRegExp = /^\s*`define\s+([A-Za-z_][A-Za-z0-9_]*)(\(([^)]*)\))?\s*(.*)$/;
+
+// split a macro argument list on top-level commas (commas nested inside parentheses,
+// e.g. '$clog2(A, B)', don't separate arguments)
+//
+function splitArguments(argumentText) {
+	const args = [];
+
+	let depth = 0,
+		current = '';
+
+	for (const character of argumentText) {
+		if (character === ',' && depth === 0) {
+			args.push(current.trim());
+			current = '';
+		} else {
+			if (character === '(') {
+				depth++;
+			} else if (character === ')') {
+				depth--;
+			}
+
+			current += character;
+		}
+	}
+
+	args.push(current.trim());
+
+	return args;
+}
+
+// parse the macro definitions in the given Verilog text: returns a map keyed by macro name,
+// each with its formal parameter names and body
+//
+export function parseMacroDefinitions(verilogText) {
+	const macros = {};
+
+	verilogText.split(EOL).forEach((line) => {
+		const subMatches = defineRegExp.exec(line);
+
+		if (subMatches) {
+			macros[subMatches[1]] = {
+				parameters: subMatches[2] ? splitArguments(subMatches[3]) : [],
+				body: subMatches[4]
+			};
+		}
+	});
+
+	return macros;
+}
+
+// replace each use of a known macro in the given Verilog text with its expanded body
+//
+export function expandMacros(verilogText, macros) {
+	const useRegExp = /`([A-Za-z_][A-Za-z0-9_]*)/g;
+
+	let result = '',
+		lastIndex = 0,
+		subMatches;
+
+	while ((subMatches = useRegExp.exec(verilogText))) {
+		const macro = macros[subMatches[1]];
+
+		if (!macro) {
+			continue;
+		}
+
+		let endIndex = useRegExp.lastIndex,
+			args = [];
+
+		if (macro.parameters.length) {
+			const openIndex = verilogText.indexOf('(', endIndex);
+
+			if (openIndex === -1 || verilogText.slice(endIndex, openIndex).trim()) {
+				throw 'Error: Macro `' + subMatches[1] + ' used without arguments';
+			}
+
+			let depth = 0,
+				closeIndex = openIndex;
+
+			for (; closeIndex < verilogText.length; closeIndex++) {
+				if (verilogText[closeIndex] === '(') {
+					depth++;
+				} else if (verilogText[closeIndex] === ')' && --depth === 0) {
+					break;
+				}
+			}
+
+			args = splitArguments(verilogText.slice(openIndex + 1, closeIndex));
+			endIndex = closeIndex + 1;
+
+			if (args.length !== macro.parameters.length) {
+				throw (
+					'Error: Macro `' +
+					subMatches[1] +
+					' expects ' +
+					macro.parameters.length +
+					' arguments, got ' +
+					args.length
+				);
+			}
+		}
+
+		// substitute whole-word occurrences of the formal parameters, all in one pass so that
+		// an argument is never itself substituted
+		const body = macro.parameters.length
+			? macro.body.replace(
+				new RegExp('\\b(' + macro.parameters.join('|') + ')\\b', 'g'),
+				(parameter) => args[macro.parameters.indexOf(parameter)]
+			)
+			: macro.body;
+
+		result += verilogText.slice(lastIndex, subMatches.index) + body;
+		lastIndex = useRegExp.lastIndex = endIndex;
+	}
+
+	return result + verilogText.slice(lastIndex);
+}
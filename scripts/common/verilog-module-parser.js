@@ -0,0 +1,227 @@
+// verilog-module-parser.js
+//
+// parse the module declared in a Verilog source file into a descriptor that generators and
+// validators can share, instead of each one matching the Verilog text with its own expressions
+//
+// - the descriptor is:
+//   - name: module name, e.g. 'ttl_74161' (or 'test' for a test bench)
+//   - description: text of the leading comment line, e.g. '4-bit modulo 16 binary counter ...'
+//   - notes: any further leading comment lines before the module, as an array of lines
+//   - parameters: [{ name, value }] in declaration order, value being the default expression
+//   - ports: [{ direction, name, range, width }] in declaration order, where range is
+//     e.g. '[WIDTH-1:0]' and width is the expression for the number of bits, e.g. 'WIDTH'
+//     (both are null for a single-bit port)
+//   - body: the text between the end of the port list and 'endmodule'
+// - supports the ANSI-style headers used in this library: '#(parameter ...)' list, then
+//   ports each with 'input' or 'output', optionally 'wire', 'reg', 'logic' or 'signed'
+//
+// © 2026 Tim Rudy
+
+import { EOL } from './constants.js';
+
+const leadingCommentRegExp = /^\/\/\s?(.*)$/;
+
+// blank out comments, keeping every other character at its index
+//
+function maskComments(verilogText) {
+	return verilogText
+		.replace(/\/\*[\s\S]*?\*\//g, (comment) => comment.replace(/[^\n]/g, ' '))
+		.replace(/\/\/[^\n]*/g, (comment) => ' '.repeat(comment.length));
+}
+
+function findClosingParenthesis(text, openIndex) {
+	let depth = 0;
+
+	for (let i = openIndex; i < text.length; i++) {
+		if (text[i] === '(') {
+			depth++;
+		} else if (text[i] === ')' && --depth === 0) {
+			return i;
+		}
+	}
+
+	throw 'Error: Unbalanced parentheses from: ' + text.substring(openIndex, openIndex + 40);
+}
+
+// split a list on commas that are not nested inside parentheses, brackets or braces
+//
+function splitTopLevel(text) {
+	const items = [];
+
+	let depth = 0,
+		current = '';
+
+	for (const character of text) {
+		if (character === ',' && depth === 0) {
+			items.push(current);
+			current = '';
+		} else {
+			if ('([{'.includes(character)) {
+				depth++;
+			} else if (')]}'.includes(character)) {
+				depth--;
+			}
+
+			current += character;
+		}
+	}
+
+	items.push(current);
+
+	return items.map((item) => item.replace(/\s+/g, ' ').trim()).filter((item) => item);
+}
+
+// give the number of bits of a range as an expression: '[WIDTH-1:0]' -> 'WIDTH',
+// '[3:0]' -> '4', anything else -> '(msb)-(lsb)+1'
+//
+export function rangeToWidth(range) {
+	if (!range) {
+		return null;
+	}
+
+	const [msb, lsb] = range.slice(1, -1).split(':').map((bound) => bound.trim()),
+		minusOneMatch = /^(.*?)\s*-\s*1$/.exec(msb);
+
+	if (lsb === '0' && /^[0-9]+$/.test(msb)) {
+		return String(Number(msb) + 1);
+	} else if (lsb === '0' && minusOneMatch) {
+		return minusOneMatch[1];
+	}
+
+	return `(${msb})-(${lsb})+1`;
+}
+
+function parseLeadingComments(verilogText, moduleIndex) {
+	const commentLines = [];
+
+	for (const line of verilogText.substring(0, moduleIndex).split(EOL)) {
+		const subMatches = leadingCommentRegExp.exec(line.trim());
+
+		if (subMatches) {
+			commentLines.push(subMatches[1]);
+		} else if (line.trim()) {
+			break;
+		} else if (commentLines.length) {
+			commentLines.push('');
+		}
+	}
+
+	while (commentLines.length && !commentLines[commentLines.length - 1]) {
+		commentLines.pop();
+	}
+
+	const notes = commentLines.slice(1);
+
+	while (notes.length && !notes[0]) {
+		notes.shift();
+	}
+
+	return {
+		description: commentLines.length ? commentLines[0] : null,
+		notes
+	};
+}
+
+function parseParameters(parameterListText) {
+	return splitTopLevel(parameterListText.replace(/^\s*parameter\s+/, ''))
+		.map((item) => item.replace(/^parameter\s+(integer\s+)?/, ''))
+		.map((item) => {
+			const equalsIndex = item.indexOf('=');
+
+			if (equalsIndex === -1) {
+				return { name: item, value: null };
+			}
+
+			return {
+				name: item.substring(0, equalsIndex).trim(),
+				value: item.substring(equalsIndex + 1).trim()
+			};
+		});
+}
+
+function parsePorts(portListText) {
+	const portRegExp =
+		/^(?:(input|output|inout)\s+)?(?:(?:wire|reg|logic|signed)\s+)*(\[[^\]]+\]\s*)?([A-Za-z_][A-Za-z0-9_]*)$/;
+
+	let previous = null;
+
+	return splitTopLevel(portListText).map((item) => {
+		const subMatches = portRegExp.exec(item);
+
+		if (!subMatches) {
+			throw 'Error: Unrecognized port declaration: ' + item;
+		}
+
+		// a name alone continues the previous declaration: 'input [3:0] A, B'
+		const direction = subMatches[1] || (previous && previous.direction),
+			range = subMatches[1] || subMatches[2]
+				? (subMatches[2] ? subMatches[2].replace(/\s+/g, '') : null)
+				: previous && previous.range;
+
+		if (!direction) {
+			throw 'Error: Port declaration without direction: ' + item;
+		}
+
+		previous = { direction, range };
+
+		return {
+			direction,
+			name: subMatches[3],
+			range,
+			width: rangeToWidth(range)
+		};
+	});
+}
+
+/**
+ * Parse the first module in Verilog source text
+ * @param {string} verilogText - The content of the Verilog file
+ * @returns {Object|null} - Module descriptor (see above) or null if there is no module
+ */
+export function parseVerilogModule(verilogText) {
+	const maskedText = maskComments(verilogText),
+		moduleMatch = /(^|\s)module\s+([A-Za-z_][A-Za-z0-9_]*)\s*/.exec(maskedText);
+
+	if (!moduleMatch) {
+		return null;
+	}
+
+	const moduleIndex = moduleMatch.index + moduleMatch[1].length;
+
+	let index = moduleMatch.index + moduleMatch[0].length,
+		parameters = [],
+		ports = [];
+
+	if (maskedText[index] === '#') {
+		const openIndex = maskedText.indexOf('(', index),
+			closeIndex = findClosingParenthesis(maskedText, openIndex);
+
+		parameters = parseParameters(maskedText.substring(openIndex + 1, closeIndex));
+		index = closeIndex + 1;
+	}
+
+	while (/\s/.test(maskedText[index])) {
+		index++;
+	}
+
+	if (maskedText[index] === '(') {
+		const closeIndex = findClosingParenthesis(maskedText, index);
+
+		ports = parsePorts(maskedText.substring(index + 1, closeIndex));
+		index = closeIndex + 1;
+	}
+
+	const bodyStartIndex = maskedText.indexOf(';', index) + 1,
+		endModuleMatch = /(^|\s)endmodule\b/.exec(maskedText.substring(bodyStartIndex)),
+		bodyEndIndex = endModuleMatch
+			? bodyStartIndex + endModuleMatch.index + endModuleMatch[1].length
+			: verilogText.length;
+
+	return {
+		name: moduleMatch[2],
+		...parseLeadingComments(verilogText, moduleIndex),
+		parameters,
+		ports,
+		body: verilogText.substring(bodyStartIndex, bodyEndIndex)
+	};
+}
@@ -0,0 +1,163 @@
+// generate-catalog.js
+//
+// Generate the machine-readable device catalog 'devices.json' for all TTL chips in
+// source-7400 directory, so that other tools can query the library
+//
+// - each device entry gives: part number, category heading (from the device metadata, or else
+//   as listed in device-index.md), description, module name, parameters (default expression
+//   and value), ports (direction, width expression and width at default parameters), source and
+//   test bench files, FuseSoC core name, and the package pinout when the device has metadata
+// - with --check, write nothing and fail if devices.json is not up to date
+//
+// Usage: node generate-catalog.js [--check] [--output <file>]
+// Example: node generate-catalog.js
+// Example: node generate-catalog.js --check
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+import { EOL } from '../common/constants.js';
+import { getDeviceCategoryMap, INDEX_FILE_NAME } from '../common/device-index-helper.js';
+import { FsReadFileHelper } from '../common/fs-file-helper.js';
+import { evaluateExpression, evaluateParameters } from '../common/verilog-expression-helper.js';
+import { parseVerilogModule } from '../common/verilog-module-parser.js';
+import { getCoreName, getVersionFromPackageJson } from './generate-core.js';
+import { getDevicePins, readDeviceMetadata } from './generate-device.js';
+
+export const CATALOG_FILE_NAME = 'devices.json';
+
+/**
+ * Build the catalog entry for one device
+ * @param {Object} config - Configuration object
+ * @param {string} config.chipNumber - Chip number (e.g., "74161")
+ * @param {string} config.projectRoot - Absolute path to project root
+ * @param {string} config.version - Version string (e.g., "0.9.2")
+ * @param {Object} config.categoryMap - Lookup from chip number to index category heading
+ * @returns {Object} - Catalog entry
+ */
+export function buildCatalogEntry({ chipNumber, projectRoot, version, categoryMap }) {
+	const fsSource = new FsReadFileHelper(projectRoot, 'source-7400'),
+		rtlFileName = `${chipNumber}.v`,
+		tbFileName = `${chipNumber}-tb.v`,
+		verilogModule = parseVerilogModule(fsSource.readFile(rtlFileName));
+
+	if (!verilogModule) {
+		throw new Error(`Could not find the module in ${rtlFileName}`);
+	}
+
+	const parameterValues = evaluateParameters(verilogModule.parameters),
+		metadata = readDeviceMetadata(chipNumber, projectRoot);
+
+	return {
+		partNumber: chipNumber,
+		category: (metadata && metadata.category) || categoryMap[chipNumber] || null,
+		description: verilogModule.description,
+		moduleName: verilogModule.name,
+		file: `source-7400/${rtlFileName}`,
+		testBenchFile: fsSource.isExistingFile(tbFileName) ? `source-7400/${tbFileName}` : null,
+		coreName: getCoreName(chipNumber, version),
+		parameters: verilogModule.parameters.map(({ name, value }) => ({
+			name,
+			default: value,
+			value: parameterValues[name]
+		})),
+		ports: verilogModule.ports.map(({ direction, name, width }) => ({
+			name,
+			direction,
+			width,
+			defaultWidth: width ? evaluateExpression(width, parameterValues) : 1
+		})),
+		package: metadata
+			? {
+				pinCount: metadata.package.pins,
+				vcc: metadata.package.vcc,
+				gnd: metadata.package.gnd,
+				pins: getDevicePins(metadata).map(({ pin, label, port, bit }) => ({ pin, label, port, bit }))
+			}
+			: null
+	};
+}
+
+/**
+ * Build the device catalog
+ * @param {string} projectRoot - Absolute path to project root
+ * @returns {Object} - Catalog: { name, version, devices }
+ */
+export function buildDeviceCatalog(projectRoot) {
+	const version = getVersionFromPackageJson(projectRoot),
+		packageJson = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8')),
+		categoryMap = getDeviceCategoryMap(new FsReadFileHelper(projectRoot).readFile(INDEX_FILE_NAME));
+
+	const chipNumbers = fs.readdirSync(path.join(projectRoot, 'source-7400'))
+		.map((fileName) => fileName.match(/^([0-9]+)\.v$/))
+		.filter((match) => match)
+		.map((match) => match[1])
+		.sort((a, b) => Number(a) - Number(b));
+
+	return {
+		name: packageJson.name,
+		version,
+		devices: chipNumbers.map((chipNumber) =>
+			buildCatalogEntry({ chipNumber, projectRoot, version, categoryMap })
+		)
+	};
+}
+
+/**
+ * Main function
+ */
+function main() {
+	const args = process.argv.slice(2);
+	const check = args.includes('--check');
+
+	// Get project root directory
+	const thisFilePath = url.fileURLToPath(import.meta.url);
+	const thisDirectory = path.dirname(thisFilePath);
+	const projectRoot = path.resolve(thisDirectory, '../../');
+
+	const outputIndex = args.indexOf('--output');
+	const catalogFilePath = outputIndex !== -1 && args[outputIndex + 1]
+		? path.resolve(args[outputIndex + 1])
+		: path.join(projectRoot, CATALOG_FILE_NAME);
+
+	let catalogContent;
+	try {
+		catalogContent = JSON.stringify(buildDeviceCatalog(projectRoot), null, 2) + EOL;
+	} catch (error) {
+		console.error(`Error: ${error.message || error}`);
+		process.exit(1);
+	}
+
+	if (check) {
+		const isUpToDate = fs.existsSync(catalogFilePath) &&
+			fs.readFileSync(catalogFilePath, 'utf8') === catalogContent;
+
+		if (!isUpToDate) {
+			console.log('Failed at: Catalog ' + CATALOG_FILE_NAME + ' is not up to date (run generate-catalog)');
+			process.exit(1);
+		}
+
+		console.log('Passed: Catalog ' + CATALOG_FILE_NAME + ' contents');
+		return;
+	}
+
+	fs.writeFileSync(catalogFilePath, catalogContent, 'utf8');
+
+	console.log(`Generated catalog: ${catalogFilePath}`);
+}
+
+// Only run main if this is the entry point (not imported as a module)
+try {
+	const scriptPath = process.argv[1];
+	if (scriptPath) {
+		const scriptUrl = url.pathToFileURL(scriptPath).href;
+		if (import.meta.url === scriptUrl || scriptPath.endsWith('generate-catalog.js')) {
+			main();
+		}
+	}
+} catch (error) {
+	// If we can't determine, assume it's being imported (don't run main)
+}
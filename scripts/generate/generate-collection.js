@@ -0,0 +1,221 @@
+// generate-collection.js
+//
+// Generate the Icestudio collection of all TTL chips in source-7400 directory
+//
+// - each ttl_74xx device becomes the .ice block that generate-device.js makes from its metadata
+//   and logic block: a port for each package pin, such as "pin12_A1", a block parameter for
+//   each module parameter (e.g. WIDTH, DELAY_RISE), and its Verilog code with the helper.v
+//   macros expanded inline
+// - blocks are grouped in folders by the category headings of device-index.md
+// - the collection directory holds package.json and blocks/<category>/<chip-number>.ice;
+//   with --zip, a .zip of the directory is written beside it, ready for
+//   Icestudio "Tools > Collections > Add"
+//
+// Usage: node generate-collection.js [--zip] [--output <directory>]
+// Example: node generate-collection.js
+// Example: node generate-collection.js --zip
+// Example: node generate-collection.js --zip --output /tmp/icechips
+//
+// © 2026 Tim Rudy
+
+import AdmZip from 'adm-zip';
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+import { EOL } from '../common/constants.js';
+import { getDeviceCategoryMap, INDEX_FILE_NAME } from '../common/device-index-helper.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { parseMacroDefinitions } from '../common/verilog-macro-helper.js';
+import { getVersionFromPackageJson } from './generate-core.js';
+import { generateIceFile, readDeviceMetadata, splitDeviceFile } from './generate-device.js';
+
+const collectionName = 'IceChips';
+
+const uncategorizedHeading = 'Uncategorized';
+
+/**
+ * Generate the .ice file content for one device, as generate-device.js does
+ * @param {Object} config - Configuration object
+ * @param {string} config.chipNumber - Chip number (e.g., "74161")
+ * @param {Object} config.metadata - Device metadata
+ * @param {string} config.verilogContent - The content of the device .v file
+ * @param {Object} config.macros - Macro definitions from helper.v
+ * @param {string} config.version - Version string (e.g., "0.9.2")
+ * @param {string} config.author - Author name
+ * @returns {string} - Icestudio file content (JSON)
+ */
+export function generateCollectionBlock({
+	chipNumber,
+	metadata,
+	verilogContent,
+	macros,
+	version,
+	author
+}) {
+	if (!metadata) {
+		throw new Error(`Metadata file not found: source-7400/metadata/${chipNumber}.json`);
+	}
+
+	const developerParts = splitDeviceFile(verilogContent);
+
+	if (!developerParts) {
+		throw new Error(`Could not find the logic block dividers in ${chipNumber}.v`);
+	}
+
+	return generateIceFile({
+		chipNumber,
+		metadata,
+		logicBlock: developerParts.logicBlock,
+		macros,
+		version,
+		author
+	});
+}
+
+/**
+ * Generate the collection directory, and optionally its .zip
+ * @param {string} projectRoot - Absolute path to project root
+ * @param {string} outputDir - Absolute path of the directory to hold the collection
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.zip] - Also write a .zip of the collection
+ * @returns {Object} - { collectionDir, zipFilePath, blocks, failures, uncategorized }
+ */
+export function generateCollection(projectRoot, outputDir, options = {}) {
+	const packageJson = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8')),
+		version = getVersionFromPackageJson(projectRoot),
+		author = (packageJson.author && packageJson.author.name) || '',
+		fsProjectRoot = new FsReadFileHelper(projectRoot),
+		fsSource = new FsReadFileHelper(projectRoot, 'source-7400'),
+		categoryMap = getDeviceCategoryMap(fsProjectRoot.readFile(INDEX_FILE_NAME)),
+		macros = parseMacroDefinitions(
+			new FsReadFileHelper(projectRoot, 'includes').readFile('helper.v')
+		),
+		collectionDir = path.join(outputDir, collectionName);
+
+	// start from an empty collection so removed devices don't linger
+	fs.rmSync(collectionDir, { recursive: true, force: true });
+	FsWriteDirectoryHelper.confirmDirectoryExists(collectionDir);
+
+	new FsReadWriteFileHelper(collectionDir).writeFile(
+		'package.json',
+		JSON.stringify({
+			name: collectionName,
+			version,
+			description: packageJson.description,
+			keywords: packageJson.keywords,
+			license: packageJson.license,
+			author: packageJson.author,
+			repository: packageJson.repository
+		}, null, 2) + EOL
+	);
+
+	const chipNumbers = fs.readdirSync(fsSource.directoryPath)
+		.map((fileName) => fileName.match(/^([0-9]+)\.v$/))
+		.filter((match) => match)
+		.map((match) => match[1])
+		.sort();
+
+	const blocks = [],
+		failures = [],
+		uncategorized = [];
+
+	chipNumbers.forEach((chipNumber) => {
+		try {
+			const category = categoryMap[chipNumber] || uncategorizedHeading,
+				categoryDir = path.join(collectionDir, 'blocks', category);
+
+			if (!categoryMap[chipNumber]) {
+				uncategorized.push(chipNumber);
+			}
+
+			FsWriteDirectoryHelper.confirmDirectoryExists(categoryDir);
+
+			new FsReadWriteFileHelper(categoryDir).writeFile(
+				`${chipNumber}.ice`,
+				generateCollectionBlock({
+					chipNumber,
+					metadata: readDeviceMetadata(chipNumber, projectRoot),
+					verilogContent: fsSource.readFile(`${chipNumber}.v`),
+					macros,
+					version,
+					author
+				})
+			);
+
+			blocks.push({ chipNumber, category });
+		} catch (error) {
+			failures.push({ chipNumber, message: error.message || String(error) });
+		}
+	});
+
+	let zipFilePath = null;
+
+	if (options.zip && !failures.length) {
+		const zip = new AdmZip();
+
+		zip.addLocalFolder(collectionDir, collectionName);
+		zipFilePath = path.join(outputDir, `${collectionName}-${version}.zip`);
+		zip.writeZip(zipFilePath);
+	}
+
+	return { collectionDir, zipFilePath, blocks, failures, uncategorized };
+}
+
+/**
+ * Main function
+ */
+function main() {
+	const args = process.argv.slice(2);
+	const zip = args.includes('--zip');
+
+	// Get project root directory
+	const thisFilePath = url.fileURLToPath(import.meta.url);
+	const thisDirectory = path.dirname(thisFilePath);
+	const projectRoot = path.resolve(thisDirectory, '../../');
+
+	const outputIndex = args.indexOf('--output');
+	const outputDir = outputIndex !== -1 && args[outputIndex + 1]
+		? path.resolve(args[outputIndex + 1])
+		: path.join(thisDirectory, 'output', 'collection');
+
+	const { collectionDir, zipFilePath, blocks, failures, uncategorized } = generateCollection(
+		projectRoot,
+		outputDir,
+		{ zip }
+	);
+
+	console.log(`Generated ${blocks.length} blocks in collection: ${collectionDir}`);
+
+	if (uncategorized.length > 0) {
+		console.log(`Not listed in ${INDEX_FILE_NAME} (placed in "${uncategorizedHeading}"): ` +
+			uncategorized.join(', '));
+	}
+
+	if (failures.length > 0) {
+		console.log('');
+		console.log('Failures:');
+		failures.forEach(({ chipNumber, message }) => {
+			console.error(`  ${chipNumber}: ${message}`);
+		});
+		process.exit(1);
+	}
+
+	if (zipFilePath) {
+		console.log(`Generated collection zip: ${zipFilePath}`);
+	}
+}
+
+// Only run main if this is the entry point (not imported as a module)
+try {
+	const scriptPath = process.argv[1];
+	if (scriptPath) {
+		const scriptUrl = url.pathToFileURL(scriptPath).href;
+		if (import.meta.url === scriptUrl || scriptPath.endsWith('generate-collection.js')) {
+			main();
+		}
+	}
+} catch (error) {
+	// If we can't determine, assume it's being imported (don't run main)
+}
@@ -2,6 +2,21 @@
 //
 // Generate FuseSoC core files for TTL chips
 //
+// - each chip core depends on the icechips:ttl:helpers core (icechips_helpers.core), which
+//   gives the macro files includes/helper.v and includes/tbhelper.v as include files, and
+//   includes each of them once ahead of the chip sources (includes/fusesoc-helper.v,
+//   includes/fusesoc-tbhelper.v); so a project with several chip cores gets the macros once
+// - the helpers core is written along with the chip core
+// - targets: "default" (the chip module), "sim" (its test bench, with Icarus Verilog), "lint"
+//   (the chip module, with Verilator in lint-only mode) and "synth" (the chip module, with
+//   yosys for iCE40); the module's WIDTH, WIDTH_IN, WIDTH_OUT, BLOCKS, DELAY_RISE and
+//   DELAY_FALL, those that it has with a whole-number default, are FuseSoC parameters of the
+//   default, lint and synth targets, e.g. fusesoc run --target=synth icechips:ttl:74161 --WIDTH=8
+// - the lint target leaves out the warnings that the Verilator simulator backend
+//   (validate/simulator-backends.js) also leaves out, the lint and style groups (e.g. WIDTH
+//   for a constant wider than its port), and has --timing for the output delays; any other
+//   warning stops it
+//
 // Usage: node generate-core.js <chip-number> [version]
 // Example: node generate-core.js 74161
 // Example: node generate-core.js 74161 0.9.2
@@ -15,19 +30,53 @@ import url from 'url';
 import { FsReadFileHelper } from '../common/fs-file-helper.js';
 import { FsPathHelper } from '../common/fs-path-helper.js';
 import { EOL } from '../common/constants.js';
+import { parseVerilogModule } from '../common/verilog-module-parser.js';
+
+/**
+ * Get the name of the module declared in Verilog file content
+ * @param {string} verilogContent - The content of the Verilog file
+ * @returns {string|null} - The module name or null if not found
+ */
+function getModuleName(verilogContent) {
+	const verilogModule = parseVerilogModule(verilogContent);
+	return verilogModule ? verilogModule.name : null;
+}
 
 /**
  * Extract module name from Verilog file content
+ * @deprecated Use parseVerilogModule (common/verilog-module-parser.js), which gives the name
+ *   along with the parameters and ports
  * @param {string} verilogContent - The content of the Verilog file
  * @returns {string|null} - The module name or null if not found
  */
 export function extractModuleName(verilogContent) {
-	// Match: module <name> (with optional parameters)
-	// Handles: module ttl_74161 #(parameter ...)
-	// Handles: module test;
-	const moduleRegex = /^\s*module\s+(\w+)\s*(?:#|\(|;)/m;
-	const match = verilogContent.match(moduleRegex);
-	return match ? match[1] : null;
+	return getModuleName(verilogContent);
+}
+
+// the module parameters that a core exposes as FuseSoC parameters, with their descriptions
+const coreParameterDescriptions = {
+	WIDTH: 'Width of the data ports, in bits',
+	WIDTH_IN: 'Width of the inputs (of each block), in bits',
+	WIDTH_OUT: 'Width of the outputs (of each block), in bits',
+	BLOCKS: 'Number of blocks, e.g. gates',
+	DELAY_RISE: 'Delay of an output rising, in time units',
+	DELAY_FALL: 'Delay of an output falling, in time units'
+};
+
+/**
+ * Get the module parameters that a chip core exposes: those named in coreParameterDescriptions
+ * whose default is a whole number
+ * @param {string} verilogContent - The content of the Verilog file
+ * @returns {Object[]} - Parameters: { name, value }
+ */
+export function getCoreParameters(verilogContent) {
+	const verilogModule = parseVerilogModule(verilogContent);
+
+	return verilogModule
+		? verilogModule.parameters.filter(
+			({ name, value }) => coreParameterDescriptions[name] && /^[0-9]+$/.test(value)
+		)
+		: [];
 }
 
 /**
@@ -41,6 +90,64 @@ export function getVersionFromPackageJson(projectRoot) {
 	return packageJson.version || '0.1.0';
 }
 
+/**
+ * Get the FuseSoC core name of a chip
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @param {string} version - Version string (e.g., "0.9.2")
+ * @returns {string} - Core name (e.g., "icechips:ttl:74161:0.9.2")
+ */
+export function getCoreName(chipNumber, version) {
+	return `icechips:ttl:${chipNumber}:${version}`;
+}
+
+/**
+ * Get the FuseSoC core name of the helpers core, which every chip core depends on
+ * @param {string} version - Version string (e.g., "0.9.2")
+ * @returns {string} - Core name (e.g., "icechips:ttl:helpers:0.9.2")
+ */
+export function getHelpersCoreName(version) {
+	return `icechips:ttl:helpers:${version}`;
+}
+
+export const HELPERS_CORE_FILE_NAME = 'icechips_helpers.core';
+
+/**
+ * Generate the helpers core file content
+ * @param {Object} config - Configuration object
+ * @param {string} config.version - Version string (e.g., "0.9.2")
+ * @returns {string} - Core file content
+ */
+export function generateHelpersCoreFile({ version }) {
+	const coreName = getHelpersCoreName(version);
+
+	return `CAPI=2:
+name: ${coreName}
+description: Verilog macros shared by the icechips TTL chip cores
+
+# The macro files are include files, each included once by a file that goes
+# ahead of the chip sources: a core that depends on this one gets the macros
+# defined before its own files, and only once however many chip cores a
+# project uses. The test bench macros are for the sim target only.
+
+filesets:
+  rtl:
+    files:
+      - includes/helper.v: {is_include_file: true}
+      - includes/fusesoc-helper.v
+    file_type: verilogSource
+
+  tb:
+    files:
+      - includes/tbhelper.v: {is_include_file: true}
+      - includes/fusesoc-tbhelper.v
+    file_type: verilogSource
+
+targets:
+  default:
+    filesets: [rtl, "target_sim ? (tb)"]
+`;
+}
+
 /**
  * Generate FuseSoC core file content
  * @param {Object} config - Configuration object
@@ -48,10 +155,33 @@ export function getVersionFromPackageJson(projectRoot) {
  * @param {string} config.version - Version string (e.g., "0.9.2")
  * @param {string} config.rtlModuleName - RTL module name (e.g., "ttl_74161")
  * @param {string} config.tbModuleName - Testbench module name (e.g., "test")
+ * @param {Object[]} [config.parameters] - Module parameters to expose, from getCoreParameters()
  * @returns {string} - Core file content
  */
-export function generateCoreFile({ chipNumber, version, rtlModuleName, tbModuleName }) {
-	const coreName = `icechips:ttl:${chipNumber}:${version}`;
+export function generateCoreFile({
+	chipNumber,
+	version,
+	rtlModuleName,
+	tbModuleName,
+	parameters = []
+}) {
+	const coreName = getCoreName(chipNumber, version);
+
+	const parametersSection = parameters.length
+		? `parameters:
+${parameters.map(({ name, value }) => `  ${name}:
+    datatype: int
+    default: ${value}
+    description: ${coreParameterDescriptions[name]}
+    paramtype: vlogparam
+`).join('')}
+`
+		: '';
+
+	const targetParameters = parameters.length
+		? `
+    parameters: [${parameters.map(({ name }) => name).join(', ')}]`
+		: '';
 
 	return `CAPI=2:
 name: ${coreName}
@@ -60,31 +190,43 @@ name: ${coreName}
 # the testbench instantiates the DUT module, so the module must be
 # defined before instantiation. Iverilog processes files sequentially
 # and doesn't do multiple passes.
-# Macro dependencies must also be defined first.
+# The macros come from the helpers core, whose files go first.
 
 filesets:
   rtl:
     files:
-      - includes/helper.v
       - source-7400/${chipNumber}.v
     file_type: verilogSource
+    depend:
+      - ${getHelpersCoreName(version)}
 
   tb:
     files:
-      - includes/tbhelper.v
       - source-7400/${chipNumber}-tb.v
     file_type: verilogSource
 
-targets:
+${parametersSection}targets:
   default:
     filesets: [rtl]
-    toplevel: ${rtlModuleName}
+    toplevel: ${rtlModuleName}${targetParameters}
   sim:
     filesets: [tb, rtl]
     toplevel: ${tbModuleName}
     default_tool: icarus
     tools:
       icarus: {iverilog_options: [-g2012]}
+  lint:
+    filesets: [rtl]
+    toplevel: ${rtlModuleName}${targetParameters}
+    default_tool: verilator
+    tools:
+      verilator: {mode: lint-only, verilator_options: [--timing, -Wno-lint, -Wno-style]}
+  synth:
+    filesets: [rtl]
+    toplevel: ${rtlModuleName}${targetParameters}
+    default_tool: yosys
+    tools:
+      yosys: {arch: ice40, output_format: json}
 `;
 }
 
@@ -134,8 +276,8 @@ function main() {
 	const rtlContent = fsSource.readFile(rtlFileName);
 	const tbContent = fsSource.readFile(tbFileName);
 
-	const rtlModuleName = extractModuleName(rtlContent);
-	const tbModuleName = extractModuleName(tbContent);
+	const rtlModuleName = getModuleName(rtlContent);
+	const tbModuleName = getModuleName(tbContent);
 
 	if (!rtlModuleName) {
 		console.error(`Error: Could not extract module name from ${rtlFileName}`);
@@ -155,7 +297,8 @@ function main() {
 		chipNumber,
 		version: finalVersion,
 		rtlModuleName,
-		tbModuleName
+		tbModuleName,
+		parameters: getCoreParameters(rtlContent)
 	});
 
 	// Write core file
@@ -165,6 +308,41 @@ function main() {
 	fs.writeFileSync(coreFilePath, coreContent, 'utf8');
 
 	console.log(`Generated core file: ${coreFilePath}`);
+
+	// the chip core depends on the helpers core
+	const helpersResult = generateHelpersCore(projectRoot, finalVersion);
+
+	if (!helpersResult.success) {
+		console.error(`Error: ${helpersResult.message}`);
+		process.exit(1);
+	}
+
+	console.log(helpersResult.message);
+}
+
+/**
+ * Generate the helpers core file
+ * @param {string} projectRoot - Absolute path to project root
+ * @param {string} version - Version string (optional, will read from package.json if not provided)
+ * @returns {Object} - Result object with success flag and message
+ */
+export function generateHelpersCore(projectRoot, version = null) {
+	try {
+		const finalVersion = version || getVersionFromPackageJson(projectRoot);
+		const coreFilePath = path.join(projectRoot, HELPERS_CORE_FILE_NAME);
+
+		fs.writeFileSync(coreFilePath, generateHelpersCoreFile({ version: finalVersion }), 'utf8');
+
+		return {
+			success: true,
+			message: `Generated core file: ${coreFilePath}`
+		};
+	} catch (error) {
+		return {
+			success: false,
+			message: `Error processing helpers: ${error.message || error}`
+		};
+	}
 }
 
 /**
@@ -205,8 +383,8 @@ export function generateCoreForChip(chipNumber, projectRoot, version = null) {
 		const rtlContent = fsSource.readFile(rtlFileName);
 		const tbContent = fsSource.readFile(tbFileName);
 
-		const rtlModuleName = extractModuleName(rtlContent);
-		const tbModuleName = extractModuleName(tbContent);
+		const rtlModuleName = getModuleName(rtlContent);
+		const tbModuleName = getModuleName(tbContent);
 
 		if (!rtlModuleName) {
 			return {
@@ -227,7 +405,8 @@ export function generateCoreForChip(chipNumber, projectRoot, version = null) {
 			chipNumber,
 			version: finalVersion,
 			rtlModuleName,
-			tbModuleName
+			tbModuleName,
+			parameters: getCoreParameters(rtlContent)
 		});
 
 		// Write core file
@@ -246,7 +425,7 @@ export function generateCoreForChip(chipNumber, projectRoot, version = null) {
 	} catch (error) {
 		return {
 			success: false,
-			message: `Error processing ${chipNumber}: ${error.message}`
+			message: `Error processing ${chipNumber}: ${error.message || error}`
 		};
 	}
 }
@@ -1,6 +1,7 @@
 // generate-cores.js
 //
-// Generate FuseSoC core files for all TTL chips in source-7400 directory
+// Generate FuseSoC core files for all TTL chips in source-7400 directory, and the helpers
+// core that they all depend on (see generate-core.js)
 //
 // Usage: node generate-cores.js [version]
 // Example: node generate-cores.js
@@ -12,7 +13,7 @@ import fs from 'fs';
 import path from 'path';
 import url from 'url';
 
-import { generateCoreForChip } from './generate-core.js';
+import { generateCoreForChip, generateHelpersCore } from './generate-core.js';
 
 /**
  * Extract chip number from file name
@@ -92,6 +93,17 @@ function main() {
 	let failureCount = 0;
 	const failures = [];
 
+	// the helpers core, which every chip core depends on
+	const helpersResult = generateHelpersCore(projectRoot, version);
+	if (helpersResult.success) {
+		successCount++;
+		console.log(`✓ helpers: ${helpersResult.message}`);
+	} else {
+		failureCount++;
+		failures.push({ chipNumber: 'helpers', message: helpersResult.message });
+		console.error(`✗ helpers: ${helpersResult.message}`);
+	}
+
 	chipNumbers.forEach((chipNumber) => {
 		const result = generateCoreForChip(chipNumber, projectRoot, version);
 		if (result.success) {
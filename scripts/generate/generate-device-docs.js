@@ -0,0 +1,293 @@
+// generate-device-docs.js
+//
+// Generate a datasheet-like page for every TTL chip in the source-7400 directory:
+// docs/devices/<chip-number>.md, with its description, ports, parameters, pinout, FuseSoC
+// core name, an instantiation template, and its test count
+//
+// - the ports, parameters and core name are those of the device catalog (see
+//   generate-catalog.js), the pins those of the device metadata, and the pinout drawing the one
+//   of generate-pinouts.js
+// - the test count is the device's in docs/devices/test-counts.json, which is committed and
+//   written by a full exec-verilog.js run with --test-counts, so the pages depend on no local
+//   output; a device without a count says so
+// - with --check, write nothing and fail if any page is not up to date
+//
+// Usage: node generate-device-docs.js [--check]
+// Example: node generate-device-docs.js
+// Example: node generate-device-docs.js --check
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+import { EOL } from '../common/constants.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { readTestCounts } from '../common/test-count-helper.js';
+import { DEFAULT_SIMULATOR, SIMULATOR_BACKENDS } from '../validate/simulator-backends.js';
+import { buildDeviceCatalog } from './generate-catalog.js';
+import { readDeviceMetadata } from './generate-device.js';
+import { getPackagePins } from './generate-dip-wrappers.js';
+import { getPinoutFilePath } from './generate-pinouts.js';
+
+export const DEVICE_DOCS_DIRECTORY_NAME = 'docs/devices';
+
+// the pages are two levels below the project root
+const rootPrefix = '../../';
+
+const testsHeading = '## Tests';
+
+function toMarkdownTable(headings, rows) {
+	return [
+		`| ${headings.join(' | ')} |`,
+		`| ${headings.map(() => '---').join(' | ')} |`,
+		...rows.map((cells) => `| ${cells.join(' | ')} |`)
+	];
+}
+
+// give a port's width, with its expression if it has one, e.g. "4 (WIDTH)"
+function formatPortWidth({ width, defaultWidth }) {
+	return width && width !== String(defaultWidth)
+		? `${defaultWidth} (\`${width}\`)`
+		: String(defaultWidth);
+}
+
+/**
+ * Give the instantiation template of a device, with its parameters at their defaults and its
+ * ports unconnected
+ * @param {Object} device - Catalog entry of the device
+ * @returns {string[]} - Lines of Verilog
+ */
+export function getInstantiationTemplate({ moduleName, parameters, ports }) {
+	const parameterOverrides = parameters.map(({ name, default: value }) => `.${name}(${value})`),
+		connections = ports.map(({ name }, portIndex) =>
+			`.${name}()${portIndex < ports.length - 1 ? ',' : ''}`
+		),
+		connectionWidth = Math.max(...connections.map((connection) => connection.length));
+
+	return [
+		moduleName + (parameterOverrides.length ? ` #(${parameterOverrides.join(', ')})` : '') +
+			' chip (',
+		...ports.map(({ direction, width }, portIndex) =>
+			`  ${connections[portIndex].padEnd(connectionWidth)}  // ${direction}` +
+			(width ? ` [${width}-1:0]` : '')
+		),
+		');'
+	];
+}
+
+/**
+ * Give the test count line of a device page
+ * @param {Object} testCount - The device's test count: { tests, failures }
+ * @returns {string} - Line of the page
+ */
+export function formatTestCount({ tests, failures }) {
+	const simulatorName = SIMULATOR_BACKENDS[DEFAULT_SIMULATOR].displayName;
+
+	if (!tests && failures) {
+		return (
+			'The test bench did not run through in the last recorded exec-verilog.js run ' +
+			`(${simulatorName}).`
+		);
+	}
+
+	return (
+		`${tests} test bench tests, ${failures ? `${failures} failed` : 'all passed'}, ` +
+		`in the last recorded exec-verilog.js run (${simulatorName}).`
+	);
+}
+
+/**
+ * Generate the page of a device
+ * @param {Object} config - Configuration object
+ * @param {Object} config.device - Catalog entry of the device
+ * @param {Object} config.metadata - Device metadata, or null
+ * @param {boolean} config.hasPinoutDrawing - Whether the device has a pinout drawing
+ * @param {string} config.testCountText - Test count line
+ * @returns {string} - Markdown file content
+ */
+export function generateDevicePage({ device, metadata, hasPinoutDrawing, testCountText }) {
+	const { partNumber, description, category, file, testBenchFile, coreName } = device,
+		packagePins = metadata && metadata.package ? getPackagePins(metadata) : null;
+
+	// the pins of a port, most significant bit first
+	const portPins = (portName) => {
+		const metadataPort = packagePins &&
+			[...metadata.inputs, ...metadata.outputs].find(({ name }) => name === portName);
+
+		return metadataPort ? metadataPort.pins.join(', ') : '';
+	};
+
+	const sections = [
+		[
+			`# ${partNumber}`,
+			'',
+			description,
+			'',
+			`Category: ${category || 'none'}<br />`,
+			`Source: [${file}](${rootPrefix}${file})<br />`,
+			'Test bench: ' + (testBenchFile ? `[${testBenchFile}](${rootPrefix}${testBenchFile})` : 'none')
+		],
+		[
+			'## Ports',
+			'',
+			...toMarkdownTable(
+				['Port', 'Direction', 'Width', 'Pins (MSB first)'],
+				device.ports.map((port) => [
+					`\`${port.name}\``,
+					port.direction,
+					formatPortWidth(port),
+					portPins(port.name)
+				])
+			)
+		],
+		[
+			'## Parameters',
+			'',
+			...(device.parameters.length
+				? toMarkdownTable(
+					['Parameter', 'Default'],
+					device.parameters.map(({ name, default: value }) => [`\`${name}\``, `\`${value}\``])
+				)
+				: ['None'])
+		],
+		[
+			'## Pinout',
+			'',
+			...(packagePins
+				? [
+					`DIP${packagePins.length}, at the default parameters; VCC is pin ` +
+						`${metadata.package.vcc}, GND pin ${metadata.package.gnd}.`,
+					'',
+					...(hasPinoutDrawing
+						? [
+							`![${partNumber} pinout](` +
+								path.posix.relative(DEVICE_DOCS_DIRECTORY_NAME, getPinoutFilePath(partNumber)) +
+								')',
+							''
+						]
+						: []),
+					...toMarkdownTable(
+						['Pin', 'Signal', 'Port'],
+						packagePins.map(({ pin, label, port }) => [
+							String(pin),
+							label,
+							port ? `\`${port}\`` : ''
+						])
+					)
+				]
+				: ['No pin metadata'])
+		],
+		[
+			'## FuseSoC core',
+			'',
+			`\`${coreName}\``
+		],
+		[
+			'## Instantiation',
+			'',
+			'```verilog',
+			...getInstantiationTemplate(device),
+			'```'
+		],
+		[
+			testsHeading,
+			'',
+			testCountText
+		]
+	];
+
+	return sections.map((lines) => lines.join(EOL)).join(EOL + EOL) + EOL;
+}
+
+/**
+ * Main function
+ */
+function main() {
+	const args = process.argv.slice(2);
+	const check = args.includes('--check');
+
+	// Get project root directory
+	const thisFilePath = url.fileURLToPath(import.meta.url);
+	const thisDirectory = path.dirname(thisFilePath);
+	const projectRoot = path.resolve(thisDirectory, '../../');
+
+	const docsDir = path.join(projectRoot, DEVICE_DOCS_DIRECTORY_NAME),
+		fsDocs = new FsReadWriteFileHelper(docsDir),
+		testCounts = readTestCounts(docsDir);
+
+	let catalog;
+	try {
+		catalog = buildDeviceCatalog(projectRoot);
+	} catch (error) {
+		console.error(`Error: ${error.message || error}`);
+		process.exit(1);
+	}
+
+	if (!check) {
+		FsWriteDirectoryHelper.confirmDirectoryExists(docsDir);
+	}
+
+	const failures = [];
+
+	catalog.devices.forEach((device) => {
+		const { partNumber } = device,
+			pageFileName = `${partNumber}.md`,
+			pageFilePath = `${DEVICE_DOCS_DIRECTORY_NAME}/${pageFileName}`,
+			existingPageText = fs.existsSync(docsDir) && fsDocs.isExistingFile(pageFileName)
+				? fsDocs.readFile(pageFileName)
+				: null;
+
+		let pageText;
+		try {
+			pageText = generateDevicePage({
+				device,
+				metadata: readDeviceMetadata(partNumber, projectRoot),
+				hasPinoutDrawing: fs.existsSync(path.join(projectRoot, getPinoutFilePath(partNumber))),
+				testCountText: testCounts[partNumber]
+					? formatTestCount(testCounts[partNumber])
+					: 'No test count recorded: run exec-verilog.js --test-counts, then ' +
+						'generate-device-docs.js.'
+			});
+		} catch (error) {
+			failures.push({ message: `Error processing ${partNumber}: ${error.message || error}` });
+			return;
+		}
+
+		if (check) {
+			if (existingPageText !== pageText) {
+				failures.push({ message: `Not generated from its device: ${pageFilePath}` });
+			}
+			return;
+		}
+
+		fsDocs.writeFile(pageFileName, pageText);
+		console.log(`✓ ${partNumber}: Generated ${pageFilePath}`);
+	});
+
+	if (failures.length > 0) {
+		failures.forEach(({ message }) => {
+			console.log('Failed at: ' + message);
+		});
+		process.exit(1);
+	}
+
+	if (check) {
+		console.log('Passed: Device docs ' + catalog.devices.length + ' .md files');
+	}
+}
+
+// Only run main if this is the entry point (not imported as a module)
+try {
+	const scriptPath = process.argv[1];
+	if (scriptPath) {
+		const scriptUrl = url.pathToFileURL(scriptPath).href;
+		if (import.meta.url === scriptUrl || scriptPath.endsWith('generate-device-docs.js')) {
+			main();
+		}
+	}
+} catch (error) {
+	// If we can't determine, assume it's being imported (don't run main)
+}
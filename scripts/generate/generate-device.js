@@ -0,0 +1,462 @@
+// generate-device.js
+//
+// Generate the Verilog (.v) and Icestudio (.ice) files for a TTL chip from its metadata
+//
+// - the metadata file source-7400/metadata/<chip-number>.json gives the form-factor of the device:
+//   description, parameters, and the input and output ports in order, with the package pin
+//   for each bit of a port (most significant bit first)
+// - the header (I/O declarations) and footer (output wiring) of both files are generated;
+//   the logic block between the two horizontal dividers of the .v file is written by the developer,
+//   and is carried over unchanged, as are any notes that follow the description line
+// - in the .ice file, individual pins such as "pin12_A1", "pin10_A0" are rolled up into
+//   the vectors used by the logic block, and helper.v macros are expanded inline
+// - the module parameters (e.g. WIDTH, DELAY_RISE) are parameters of the .ice code block, each
+//   fed by a constant block with its default value, except those given by an expression of
+//   others (e.g. WIDTH_IN = $clog2(WIDTH_OUT)), which stay local parameters of the code; the
+//   pins are those of the package, so a width set larger than its default has no pins for the
+//   extra bits
+//
+// Usage: node generate-device.js <chip-number> [--check]
+// Example: node generate-device.js 74161
+// Example: node generate-device.js 74161 --check
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+import { EOL } from '../common/constants.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { createIceFile } from '../common/icestudio-helper.js';
+import { evaluateExpression, evaluateParameters } from '../common/verilog-expression-helper.js';
+import { expandMacros, parseMacroDefinitions } from '../common/verilog-macro-helper.js';
+import { getVersionFromPackageJson } from './generate-core.js';
+
+export const DIVIDER = '//------------------------------------------------//';
+
+const maxHeaderLineLength = 100;
+
+const delayParameterNames = ['DELAY_RISE', 'DELAY_FALL'];
+
+/**
+ * Read the metadata of a chip
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @param {string} projectRoot - Absolute path to project root
+ * @returns {Object|null} - The parsed metadata or null if there is no metadata file
+ */
+export function readDeviceMetadata(chipNumber, projectRoot) {
+	const fsMetadata = new FsReadFileHelper(projectRoot, 'source-7400', 'metadata'),
+		metadataFileName = `${chipNumber}.json`;
+
+	if (!fsMetadata.isExistingFile(metadataFileName)) {
+		return null;
+	}
+
+	return JSON.parse(fsMetadata.readFile(metadataFileName));
+}
+
+/**
+ * Get the width of a port as a Verilog range
+ * @param {string} width - Width expression (e.g., "WIDTH_IN", "BLOCKS*WIDTH_IN", "4")
+ * @returns {string} - Range (e.g., "[WIDTH_IN-1:0]", "[3:0]")
+ */
+function toRange(width) {
+	return /^[0-9]+$/.test(width) ? `[${Number(width) - 1}:0]` : `[${width}-1:0]`;
+}
+
+/**
+ * List the package pins of every port bit, in port order and most significant bit first
+ *
+ * Pin names join the pin number to a label made from the port name and bit index:
+ * "pin12_A1" for A[1], "pin9_Y1_0" for bit 0 of block 1 of Y_2D, "pin5_A4_bar" for A_bar[4]
+ *
+ * @param {Object} metadata - Device metadata
+ * @returns {Object[]} - Pins: { pin, label, name, port, bit, direction }
+ */
+export function getDevicePins(metadata) {
+	const parameterValues = evaluateParameters(metadata.parameters),
+		devicePins = [];
+
+	[['input', metadata.inputs], ['output', metadata.outputs]].forEach(([direction, ports]) => {
+		ports.forEach((port) => {
+			const width = port.width ? evaluateExpression(port.width, parameterValues) : 1,
+				grouping = port.unpack || port.pack,
+				elementWidth = grouping && evaluateExpression(grouping.width, parameterValues),
+				isBar = port.name.endsWith('_bar'),
+				baseName = (isBar ? port.name.slice(0, -4) : port.name).replace(/_2D$/, ''),
+				suffix = isBar ? '_bar' : '';
+
+			if (port.pins.length !== width) {
+				throw (
+					'Error: Port ' +
+					port.name +
+					' has width ' +
+					width +
+					' but ' +
+					port.pins.length +
+					' pins'
+				);
+			}
+
+			port.pins.forEach((pin, i) => {
+				const bit = width - 1 - i;
+
+				let index = '';
+
+				if (grouping) {
+					index = Math.floor(bit / elementWidth) + '_' + (bit % elementWidth);
+				} else if (port.width) {
+					index = String(bit);
+				}
+
+				const label = baseName + index + suffix;
+
+				devicePins.push({
+					pin,
+					label,
+					name: `pin${pin}_${label}`,
+					port: port.name,
+					bit: port.width ? bit : null,
+					direction
+				});
+			});
+		});
+	});
+
+	return devicePins;
+}
+
+/**
+ * Split an existing device file into the parts written by the developer
+ * @param {string} verilogContent - The content of the .v file
+ * @returns {Object|null} - { notes, logicBlock } as arrays of lines, or null if the dividers
+ *   around the logic block are not found
+ */
+export function splitDeviceFile(verilogContent) {
+	const lines = verilogContent.split(EOL),
+		moduleLineIndex = lines.findIndex((line) => /^module\s/.test(line)),
+		firstDividerIndex = lines.indexOf(DIVIDER),
+		secondDividerIndex = lines.indexOf(DIVIDER, firstDividerIndex + 1);
+
+	if (moduleLineIndex === -1 || firstDividerIndex === -1 || secondDividerIndex === -1) {
+		return null;
+	}
+
+	// notes: anything between the description line (and its blank line) and the module line
+	const notes = lines.slice(2, moduleLineIndex);
+
+	while (notes.length && !notes[notes.length - 1].trim()) {
+		notes.pop();
+	}
+
+	return {
+		notes,
+		logicBlock: lines.slice(firstDividerIndex + 1, secondDividerIndex)
+	};
+}
+
+/**
+ * Lay out the module declaration line, wrapping parameters to keep within the line length
+ * (the DELAY parameters stay together on one line)
+ * @param {string} moduleName - Module name (e.g., "ttl_74161")
+ * @param {Object[]} parameters - Parameters: { name, value }
+ * @returns {string[]} - Lines
+ */
+function generateModuleDeclaration(moduleName, parameters) {
+	const prefix = `module ${moduleName} #(parameter `,
+		indent = ' '.repeat(`module ${moduleName} #(`.length),
+		groups = [];
+
+	parameters.forEach(({ name, value }) => {
+		const text = `${name} = ${value}`;
+
+		if (name === delayParameterNames[1] && groups.length &&
+			groups[groups.length - 1].startsWith(delayParameterNames[0] + ' ')) {
+			groups[groups.length - 1] += ', ' + text;
+		} else {
+			groups.push(text);
+		}
+	});
+
+	const lines = [];
+
+	let line = prefix + groups[0];
+
+	groups.slice(1).forEach((group) => {
+		if ((line + ', ' + group + ',').length > maxHeaderLineLength) {
+			lines.push(line + ',');
+			line = indent + group;
+		} else {
+			line += ', ' + group;
+		}
+	});
+
+	lines.push(line + ')');
+
+	return lines;
+}
+
+function getDelayPrefix(metadata) {
+	const parameterNames = metadata.parameters.map(({ name }) => name);
+
+	return delayParameterNames.every((name) => parameterNames.includes(name))
+		? `#(${delayParameterNames.join(', ')}) `
+		: '';
+}
+
+/**
+ * Generate the .v file content
+ * @param {Object} config - Configuration object
+ * @param {string} config.chipNumber - Chip number (e.g., "74161")
+ * @param {Object} config.metadata - Device metadata
+ * @param {string[]} config.notes - Note lines following the description line
+ * @param {string[]} config.logicBlock - Logic block lines
+ * @returns {string} - Verilog file content
+ */
+export function generateVerilogFile({ chipNumber, metadata, notes, logicBlock }) {
+	const ports = [
+		...metadata.inputs.map((port) => ({ ...port, direction: 'input' })),
+		...metadata.outputs.map((port) => ({ ...port, direction: 'output' }))
+	];
+
+	const delayPrefix = getDelayPrefix(metadata);
+
+	const lines = [
+		`// ${metadata.description}`,
+		'',
+		...(notes.length ? [...notes, ''] : []),
+		...generateModuleDeclaration(`ttl_${chipNumber}`, metadata.parameters),
+		'(',
+		...ports.map(({ direction, name, width }, i) =>
+			`  ${direction} ${width ? toRange(width) + ' ' : ''}${name}` +
+			(i < ports.length - 1 ? ',' : '')
+		),
+		');',
+		'',
+		DIVIDER,
+		...logicBlock,
+		DIVIDER,
+		'',
+		...metadata.inputs
+			.filter(({ unpack }) => unpack)
+			.map(({ name, unpack }) =>
+				`\`ASSIGN_UNPACK_ARRAY(${unpack.length}, ${unpack.width}, ${unpack.array}, ${name})`
+			),
+		...metadata.outputs
+			.filter(({ pack }) => pack)
+			.map(({ pack }) => `\`PACK_ARRAY(${pack.length}, ${pack.width}, ${pack.array})`),
+		...metadata.outputs.map(({ name, pack, assign }) =>
+			`assign ${delayPrefix}${name} = ${pack ? 'PK_OUT_BUS' : assign};`
+		),
+		'',
+		'endmodule',
+		''
+	];
+
+	return lines.join(EOL);
+}
+
+/**
+ * Generate the .ice file content
+ * @param {Object} config - Configuration object
+ * @param {string} config.chipNumber - Chip number (e.g., "74161")
+ * @param {Object} config.metadata - Device metadata
+ * @param {string[]} config.logicBlock - Logic block lines
+ * @param {Object} config.macros - Macro definitions from helper.v
+ * @param {string} config.version - Version string (e.g., "0.9.2")
+ * @param {string} config.author - Author name
+ * @returns {string} - Icestudio file content (JSON)
+ */
+export function generateIceFile({ chipNumber, metadata, logicBlock, macros, version, author }) {
+	const devicePins = getDevicePins(metadata),
+		pinNamesOf = (portName) =>
+			devicePins.filter(({ port }) => port === portName).map(({ name }) => name),
+		joinPins = (pinNames) =>
+			pinNames.length > 1 ? `{${pinNames.join(', ')}}` : pinNames[0];
+
+	const delayPrefix = getDelayPrefix(metadata);
+
+	// a parameter given by an expression of others cannot be set from outside the block
+	const isLocalParameter = ({ value }) => !/^[0-9]+$/.test(value),
+		localParameters = metadata.parameters.filter(isLocalParameter);
+
+	const lines = [
+		`// ${metadata.description}`,
+		'',
+		...(localParameters.length
+			? [...localParameters.map(({ name, value }) => `localparam ${name} = ${value};`), '']
+			: []),
+		...metadata.inputs.map(({ name, width }) => `wire ${width ? toRange(width) + ' ' : ''}${name};`),
+		'',
+		DIVIDER,
+		...logicBlock,
+		DIVIDER,
+		'',
+		...metadata.inputs.map(({ name }) => `assign ${name} = ${joinPins(pinNamesOf(name))};`),
+		...metadata.inputs
+			.filter(({ unpack }) => unpack)
+			.map(({ name, unpack }) =>
+				`\`ASSIGN_UNPACK_ARRAY(${unpack.length}, ${unpack.width}, ${unpack.array}, ${name})`
+			),
+		...metadata.outputs
+			.filter(({ pack }) => pack)
+			.map(({ pack }) => `\`PACK_ARRAY(${pack.length}, ${pack.width}, ${pack.array})`),
+		...metadata.outputs.map(({ name, pack, assign }) =>
+			`assign ${delayPrefix}${joinPins(pinNamesOf(name))} = ` +
+			`${pack ? 'PK_OUT_BUS' : assign};`
+		)
+	];
+
+	const iceFile = createIceFile({
+		name: chipNumber,
+		version,
+		description: metadata.description,
+		author,
+		code: expandMacros(lines.join(EOL), macros),
+		inputs: devicePins
+			.filter(({ direction }) => direction === 'input')
+			.map(({ name }) => ({ name })),
+		outputs: devicePins
+			.filter(({ direction }) => direction === 'output')
+			.map(({ name }) => ({ name })),
+		params: metadata.parameters
+			.filter((parameter) => !isLocalParameter(parameter))
+			.map(({ name, value }) => ({ name, value }))
+	});
+
+	return JSON.stringify(iceFile, null, 2) + EOL;
+}
+
+/**
+ * Generate the .v and .ice files for a single chip
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @param {string} projectRoot - Absolute path to project root
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.check] - Only check that the .v file is up to date; write nothing
+ * @param {string} [options.version] - Version string (read from package.json if not provided)
+ * @param {string} [options.outputDir] - Absolute path of the directory for .ice files
+ * @returns {Object} - Result object with success flag and message
+ */
+export function generateDeviceForChip(chipNumber, projectRoot, options = {}) {
+	try {
+		const metadata = readDeviceMetadata(chipNumber, projectRoot);
+
+		if (!metadata) {
+			return {
+				success: false,
+				message: `Metadata file not found: source-7400/metadata/${chipNumber}.json`
+			};
+		}
+
+		const fsSource = new FsReadWriteFileHelper(projectRoot, 'source-7400'),
+			rtlFileName = `${chipNumber}.v`,
+			isExistingDevice = fsSource.isExistingFile(rtlFileName);
+
+		let developerParts = { notes: [], logicBlock: [''] };
+
+		if (isExistingDevice) {
+			developerParts = splitDeviceFile(fsSource.readFile(rtlFileName));
+
+			if (!developerParts) {
+				return {
+					success: false,
+					message: `Could not find the logic block dividers in ${rtlFileName}`
+				};
+			}
+		}
+
+		const verilogContent = generateVerilogFile({ chipNumber, metadata, ...developerParts });
+
+		if (options.check) {
+			const isUpToDate = isExistingDevice && fsSource.readFile(rtlFileName) === verilogContent;
+
+			return {
+				success: isUpToDate,
+				message: isUpToDate
+					? `Up to date: ${rtlFileName}`
+					: `Not generated from its metadata: ${rtlFileName}`
+			};
+		}
+
+		fsSource.writeFile(rtlFileName, verilogContent);
+
+		if (!isExistingDevice) {
+			return {
+				success: true,
+				message: `Generated skeleton ${rtlFileName}: write the logic block, then generate again`
+			};
+		}
+
+		const packageJson = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8')),
+			fsIncludes = new FsReadFileHelper(projectRoot, 'includes'),
+			outputDir = options.outputDir || path.join(projectRoot, 'scripts', 'generate', 'output', 'ice');
+
+		FsWriteDirectoryHelper.confirmDirectoryExists(outputDir);
+
+		const iceContent = generateIceFile({
+			chipNumber,
+			metadata,
+			logicBlock: developerParts.logicBlock,
+			macros: parseMacroDefinitions(fsIncludes.readFile('helper.v')),
+			version: options.version || getVersionFromPackageJson(projectRoot),
+			author: (packageJson.author && packageJson.author.name) || ''
+		});
+
+		new FsReadWriteFileHelper(outputDir).writeFile(`${chipNumber}.ice`, iceContent);
+
+		return {
+			success: true,
+			message: `Generated ${rtlFileName} and ${path.join(outputDir, chipNumber + '.ice')}`
+		};
+	} catch (error) {
+		return {
+			success: false,
+			message: `Error processing ${chipNumber}: ${error.message || error}`
+		};
+	}
+}
+
+/**
+ * Main function
+ */
+function main() {
+	const args = process.argv.slice(2);
+
+	if (args.length < 1 || args[0].startsWith('-')) {
+		console.error('Usage: node generate-device.js <chip-number> [--check]');
+		console.error('Example: node generate-device.js 74161');
+		console.error('Example: node generate-device.js 74161 --check');
+		process.exit(1);
+	}
+
+	// Get project root directory
+	const thisFilePath = url.fileURLToPath(import.meta.url);
+	const thisDirectory = path.dirname(thisFilePath);
+	const projectRoot = path.resolve(thisDirectory, '../../');
+
+	const result = generateDeviceForChip(args[0], projectRoot, {
+		check: args.includes('--check')
+	});
+
+	if (result.success) {
+		console.log(result.message);
+	} else {
+		console.error(`Error: ${result.message}`);
+		process.exit(1);
+	}
+}
+
+// Only run main if this is the entry point (not imported as a module)
+try {
+	const scriptPath = process.argv[1];
+	if (scriptPath) {
+		const scriptUrl = url.pathToFileURL(scriptPath).href;
+		if (import.meta.url === scriptUrl || scriptPath.endsWith('generate-device.js')) {
+			main();
+		}
+	}
+} catch (error) {
+	// If we can't determine, assume it's being imported (don't run main)
+}
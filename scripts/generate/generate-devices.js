@@ -0,0 +1,131 @@
+// generate-devices.js
+//
+// Generate the Verilog (.v) and Icestudio (.ice) files for all TTL chips that have metadata
+// in the source-7400/metadata directory
+//
+// - with --check, write nothing and fail if any .v file differs from what its metadata generates,
+//   or if any device in source-7400 has no metadata
+//
+// Usage: node generate-devices.js [--check]
+// Example: node generate-devices.js
+// Example: node generate-devices.js --check
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+import { generateDeviceForChip } from './generate-device.js';
+
+/**
+ * Get all chip numbers that have a metadata file or a device file
+ * @param {string} sourceDir - Absolute path to source-7400 directory
+ * @returns {Object} - { chipNumbers, missingMetadata } as sorted arrays of chip numbers
+ */
+function getAllChipNumbers(sourceDir) {
+	const metadataDir = path.join(sourceDir, 'metadata'),
+		metadataChipNumbers = fs.existsSync(metadataDir)
+			? fs.readdirSync(metadataDir)
+				.map((fileName) => fileName.match(/^([0-9]+)\.json$/))
+				.filter((match) => match)
+				.map((match) => match[1])
+			: [],
+		deviceChipNumbers = fs.readdirSync(sourceDir)
+			.map((fileName) => fileName.match(/^([0-9]+)\.v$/))
+			.filter((match) => match)
+			.map((match) => match[1]);
+
+	return {
+		chipNumbers: metadataChipNumbers.sort(),
+		missingMetadata: deviceChipNumbers.filter((chipNumber) =>
+			!metadataChipNumbers.includes(chipNumber)
+		).sort()
+	};
+}
+
+/**
+ * Main function
+ */
+function main() {
+	const args = process.argv.slice(2);
+	const check = args.includes('--check');
+
+	// Get project root directory
+	const thisFilePath = url.fileURLToPath(import.meta.url);
+	const thisDirectory = path.dirname(thisFilePath);
+	const projectRoot = path.resolve(thisDirectory, '../../');
+
+	// Get source directory
+	const sourceDir = path.join(projectRoot, 'source-7400');
+
+	// Check if source directory exists
+	if (!fs.existsSync(sourceDir)) {
+		console.error(`Error: Source directory not found: ${sourceDir}`);
+		process.exit(1);
+	}
+
+	const { chipNumbers, missingMetadata } = getAllChipNumbers(sourceDir);
+
+	if (chipNumbers.length === 0) {
+		console.error('Error: No metadata files found in source-7400/metadata directory');
+		process.exit(1);
+	}
+
+	if (!check) {
+		console.log(`Found ${chipNumbers.length} chips to process:`);
+		console.log(chipNumbers.join(', '));
+		console.log('');
+	}
+
+	// Process each chip
+	let successCount = 0;
+	const failures = missingMetadata.map((chipNumber) => ({
+		chipNumber,
+		message: `Metadata file not found: source-7400/metadata/${chipNumber}.json`
+	}));
+
+	chipNumbers.forEach((chipNumber) => {
+		const result = generateDeviceForChip(chipNumber, projectRoot, { check });
+		if (result.success) {
+			successCount++;
+			if (!check) {
+				console.log(`✓ ${chipNumber}: ${result.message}`);
+			}
+		} else {
+			failures.push({ chipNumber, message: result.message });
+			if (!check) {
+				console.error(`✗ ${chipNumber}: ${result.message}`);
+			}
+		}
+	});
+
+	if (check) {
+		if (failures.length > 0) {
+			failures.forEach(({ message }) => {
+				console.log('Failed at: ' + message);
+			});
+			process.exit(1);
+		}
+
+		console.log('Passed: Generated code ' + successCount + ' .v files');
+		return;
+	}
+
+	// Summary
+	console.log('');
+	console.log('Summary:');
+	console.log(`  Success: ${successCount}`);
+	console.log(`  Failed:  ${failures.length}`);
+
+	if (failures.length > 0) {
+		console.log('');
+		console.log('Failures:');
+		failures.forEach(({ chipNumber, message }) => {
+			console.error(`  ${chipNumber}: ${message}`);
+		});
+		process.exit(1);
+	}
+}
+
+main();
@@ -0,0 +1,303 @@
+// generate-dip-wrappers.js
+//
+// Generate the DIP package wrapper of every TTL chip that has metadata: a module such as
+// ttl_74161_dip16 with one port per package pin, named by pin number as in "pin12_A1", that
+// instantiates the device module, so a design can be wired pin-for-pin from a real schematic
+//
+// - the pins and their ports are taken from the device metadata (source-7400/metadata); the
+//   device module is instantiated at its default parameters, which the package pinout is for,
+//   and the wrapper passes on only DELAY_RISE and DELAY_FALL
+// - the power pins, and any pin that no port uses, are placeholder inputs, e.g. "pin16_VCC",
+//   "pin8_GND", "pin13_NC", not connected in simulation
+// - the wrappers are written to the source-7400-dip directory as <chip-number>-dip<pins>.v;
+//   with --check, write nothing and fail if any wrapper is not up to date
+//
+// Usage: node generate-dip-wrappers.js [--check]
+// Example: node generate-dip-wrappers.js
+// Example: node generate-dip-wrappers.js --check
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+import { EOL } from '../common/constants.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { getDevicePins, readDeviceMetadata } from './generate-device.js';
+
+export const DIP_DIRECTORY_NAME = 'source-7400-dip';
+
+const maxLineLength = 100;
+
+const delayParameterNames = ['DELAY_RISE', 'DELAY_FALL'];
+
+/**
+ * Get the module name of a chip's DIP package wrapper
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @param {Object} metadata - Device metadata
+ * @returns {string} - Module name (e.g., "ttl_74161_dip16")
+ */
+export function getDipModuleName(chipNumber, metadata) {
+	return `ttl_${chipNumber}_dip${metadata.package.pins}`;
+}
+
+/**
+ * Get the file name of a chip's DIP package wrapper
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @param {Object} metadata - Device metadata
+ * @returns {string} - File name (e.g., "74161-dip16.v")
+ */
+export function getDipFileName(chipNumber, metadata) {
+	return `${chipNumber}-dip${metadata.package.pins}.v`;
+}
+
+/**
+ * List every pin of the package in pin number order, with the power pins and unused pins
+ * @param {Object} metadata - Device metadata
+ * @returns {Object[]} - Pins: { pin, label, name, direction, port }, where port is null for
+ *   a placeholder pin (label "VCC", "GND" or "NC")
+ */
+export function getPackagePins(metadata) {
+	const { pins: pinCount, vcc, gnd } = metadata.package,
+		devicePins = getDevicePins(metadata),
+		packagePins = [];
+
+	for (let pin = 1; pin <= pinCount; pin++) {
+		const devicePin = devicePins.find((devicePin) => devicePin.pin === pin);
+
+		if (devicePin && (pin === vcc || pin === gnd)) {
+			throw new Error(`Pin ${pin} is a power pin, but is given for port ${devicePin.port}`);
+		}
+
+		if (devicePin) {
+			packagePins.push({
+				pin,
+				label: devicePin.label,
+				name: devicePin.name,
+				direction: devicePin.direction,
+				port: devicePin.port
+			});
+		} else {
+			const label = pin === vcc ? 'VCC' : pin === gnd ? 'GND' : 'NC';
+
+			packagePins.push({
+				pin,
+				label,
+				name: `pin${pin}_${label}`,
+				direction: 'input',
+				port: null
+			});
+		}
+	}
+
+	const extraPins = devicePins.filter(({ pin }) => pin < 1 || pin > pinCount);
+
+	if (extraPins.length) {
+		throw new Error(`Pin ${extraPins[0].pin} is not on a ${pinCount}-pin package`);
+	}
+
+	return packagePins;
+}
+
+// give the connection of a port to its pins, e.g. ".D({pin6_D3, pin5_D2, pin4_D1, pin3_D0})",
+// over several lines if it is too long
+function toPortConnection(port, portPinNames, isLast) {
+	const ending = isLast ? '' : ',';
+
+	if (!port.width) {
+		return [`  .${port.name}(${portPinNames[0]})${ending}`];
+	}
+
+	const line = `  .${port.name}({${portPinNames.join(', ')}})${ending}`;
+
+	if (line.length <= maxLineLength) {
+		return [line];
+	}
+
+	const lines = [`  .${port.name}({`];
+
+	let pinLine = '   ';
+
+	portPinNames.forEach((pinName, pinIndex) => {
+		const item = ` ${pinName}${pinIndex < portPinNames.length - 1 ? ',' : ''}`;
+
+		if (pinLine.length + item.length > maxLineLength) {
+			lines.push(pinLine);
+			pinLine = '   ';
+		}
+
+		pinLine += item;
+	});
+
+	lines.push(pinLine, `  })${ending}`);
+
+	return lines;
+}
+
+/**
+ * Generate the DIP package wrapper of a chip
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @param {Object} metadata - Device metadata
+ * @returns {string} - Verilog file content
+ */
+export function generateDipWrapper(chipNumber, metadata) {
+	const packagePins = getPackagePins(metadata),
+		{ vcc, gnd } = metadata.package,
+		ports = [...metadata.inputs, ...metadata.outputs],
+		delayParameters = metadata.parameters.filter(({ name }) => delayParameterNames.includes(name));
+
+	const portConnections = ports.flatMap((port, portIndex) =>
+		toPortConnection(
+			port,
+			port.pins.map((pin) => packagePins[pin - 1].name),
+			portIndex === ports.length - 1
+		)
+	);
+
+	const parameterList = delayParameters.map(({ name, value }) => `${name} = ${value}`).join(', '),
+		parameterOverrides = delayParameters.map(({ name }) => `.${name}(${name})`).join(', ');
+
+	return [
+		`// ${metadata.description}`,
+		`// DIP${metadata.package.pins} package of ttl_${chipNumber}: a port per pin, for wiring ` +
+			'pin-for-pin;',
+		`// VCC (pin ${vcc}), GND (pin ${gnd}) and any NC pins are placeholders, not connected`,
+		'',
+		`module ${getDipModuleName(chipNumber, metadata)}` +
+			(parameterList ? ` #(parameter ${parameterList})` : ''),
+		'(',
+		...packagePins.map(({ name, direction }, pinIndex) =>
+			`  ${direction} ${name}${pinIndex < packagePins.length - 1 ? ',' : ''}`
+		),
+		');',
+		'',
+		`ttl_${chipNumber}` + (parameterOverrides ? ` #(${parameterOverrides})` : '') + ' chip(',
+		...portConnections,
+		');',
+		'',
+		'endmodule',
+		''
+	].join(EOL);
+}
+
+/**
+ * Generate, or check, the DIP package wrapper of a chip
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @param {string} projectRoot - Absolute path to project root
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.check] - Write nothing; succeed only if the wrapper is up to date
+ * @returns {Object} - Result object with success flag and message
+ */
+export function generateDipWrapperForChip(chipNumber, projectRoot, options = {}) {
+	try {
+		const metadata = readDeviceMetadata(chipNumber, projectRoot);
+
+		if (!metadata) {
+			return {
+				success: false,
+				message: `Metadata file not found: source-7400/metadata/${chipNumber}.json`
+			};
+		}
+
+		if (!metadata.package) {
+			return {
+				success: false,
+				message: `No package in metadata: source-7400/metadata/${chipNumber}.json`
+			};
+		}
+
+		const dipDir = path.join(projectRoot, DIP_DIRECTORY_NAME),
+			dipFileName = getDipFileName(chipNumber, metadata),
+			verilogContent = generateDipWrapper(chipNumber, metadata);
+
+		if (options.check) {
+			const fsDip = new FsReadWriteFileHelper(dipDir),
+				dipFilePath = `${DIP_DIRECTORY_NAME}/${dipFileName}`,
+				isUpToDate =
+					fs.existsSync(dipDir) &&
+					fsDip.isExistingFile(dipFileName) &&
+					fsDip.readFile(dipFileName) === verilogContent;
+
+			return {
+				success: isUpToDate,
+				message: isUpToDate
+					? `Up to date: ${dipFilePath}`
+					: `Not generated from its metadata: ${dipFilePath}`
+			};
+		}
+
+		FsWriteDirectoryHelper.confirmDirectoryExists(dipDir);
+		new FsReadWriteFileHelper(dipDir).writeFile(dipFileName, verilogContent);
+
+		return { success: true, message: `Generated ${DIP_DIRECTORY_NAME}/${dipFileName}` };
+	} catch (error) {
+		return {
+			success: false,
+			message: `Error processing ${chipNumber}: ${error.message || error}`
+		};
+	}
+}
+
+/**
+ * Main function
+ */
+function main() {
+	const args = process.argv.slice(2);
+	const check = args.includes('--check');
+
+	// Get project root directory
+	const thisFilePath = url.fileURLToPath(import.meta.url);
+	const thisDirectory = path.dirname(thisFilePath);
+	const projectRoot = path.resolve(thisDirectory, '../../');
+
+	const chipNumbers = fs.readdirSync(path.join(projectRoot, 'source-7400', 'metadata'))
+		.map((fileName) => fileName.match(/^([0-9]+)\.json$/))
+		.filter((match) => match)
+		.map((match) => match[1])
+		.sort((a, b) => Number(a) - Number(b));
+
+	const failures = [];
+
+	chipNumbers.forEach((chipNumber) => {
+		const result = generateDipWrapperForChip(chipNumber, projectRoot, { check });
+
+		if (!result.success) {
+			failures.push(result);
+		}
+
+		if (!check) {
+			console.log(`${result.success ? '✓' : '✗'} ${chipNumber}: ${result.message}`);
+		}
+	});
+
+	if (check) {
+		if (failures.length > 0) {
+			failures.forEach(({ message }) => {
+				console.log('Failed at: ' + message);
+			});
+			process.exit(1);
+		}
+
+		console.log('Passed: DIP wrappers ' + chipNumbers.length + ' .v files');
+		return;
+	}
+
+	if (failures.length > 0) {
+		process.exit(1);
+	}
+}
+
+// Only run main if this is the entry point (not imported as a module)
+try {
+	const scriptPath = process.argv[1];
+	if (scriptPath) {
+		const scriptUrl = url.pathToFileURL(scriptPath).href;
+		if (import.meta.url === scriptUrl || scriptPath.endsWith('generate-dip-wrappers.js')) {
+			main();
+		}
+	}
+} catch (error) {
+	// If we can't determine, assume it's being imported (don't run main)
+}
@@ -0,0 +1,416 @@
+// generate-pinouts.js
+//
+// Generate the pinout drawing of every TTL chip that has metadata: an SVG image of the DIP
+// package seen from above, notch at the top, with each pin's number and signal name, and link
+// each drawing from device-index.md
+//
+// - the drawing follows the style of the chip outlines images/TTL_chip_14pin.svg,
+//   TTL_chip_16pin.svg and TTL_chip_24pin.svg (their proportions, pin pitch and colours), drawn
+//   for any number of pins; a package of 24 pins or more is the wide one
+// - pin 1 is at the top left, by the notch, and the pins count down the left side and up the
+//   right side; the signal names are taken from the device metadata (source-7400/metadata), at
+//   the device module's default parameters, with an overbar for an active-low signal ("_bar"),
+//   and the power pins and unused pins named "VCC", "GND" and "NC"
+// - the drawings are written to the docs/pinouts directory as <chip-number>.svg, and each
+//   device's line in device-index.md gets a "[pinout]" link to its drawing; with --check, write
+//   nothing and fail if any drawing or link is not up to date
+//
+// Usage: node generate-pinouts.js [--check]
+// Example: node generate-pinouts.js
+// Example: node generate-pinouts.js --check
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+import { EOL } from '../common/constants.js';
+import {
+	formatDeviceIndexLine,
+	INDEX_FILE_NAME,
+	parseDeviceIndexLine
+} from '../common/device-index-helper.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { escapeXml } from '../common/text-helper.js';
+import { getPackagePins } from './generate-dip-wrappers.js';
+import { readDeviceMetadata } from './generate-device.js';
+
+export const PINOUT_DIRECTORY_NAME = 'docs/pinouts';
+
+// layout of the drawing, in the units of the chip outline images (pin pitch 0.1" is 121)
+const layout = {
+	pinPitch: 121,
+	bodyEndLength: 80,
+	narrowBodyWidth: 292,
+	wideBodyWidth: 651,
+	widePinCount: 24,
+	pinGap: 3,
+	pinLength: 43,
+	pinWidth: 72,
+	tipLength: 14,
+	tipWidth: 28,
+	notchRadius: 38,
+	margin: 16,
+	labelGap: 12,
+	labelFontSize: 26,
+	characterWidth: 15.6,
+	pinNumberFontSize: 24,
+	pinNumberInset: 14,
+	narrowChipNumberFontSize: 112,
+	wideChipNumberFontSize: 156
+};
+
+const colors = {
+	background: '#ffffff',
+	label: '#222222',
+	placeholderLabel: '#777777',
+	pinNumber: '#c8c8c8',
+	chipNumber: '#9c9c9c',
+	bodyEdge: '#111111',
+	notch: '#121212',
+	notchEdge: '#b86060'
+};
+
+// stops of the gradients, from the chip outline images
+const bodyGradientStops = [
+	[0, '#0b0b0b'],
+	[0.704, '#0d0d0d'],
+	[1, '#1c1d19']
+];
+
+const pinGradientStops = [
+	[0, '#5f5f5f'],
+	[0.053, '#929292'],
+	[0.15, '#c3c3c3'],
+	[0.276, '#a0a0a0'],
+	[0.35, '#828282'],
+	[0.6, '#ffffff']
+];
+
+// round a coordinate for the SVG
+function toCoordinate(value) {
+	return Number(value.toFixed(1));
+}
+
+function toGradient(id, stops, x2, y2, isReversed = false) {
+	const [x1Value, x2Value] = isReversed ? [x2, 0] : [0, x2];
+
+	return [
+		`<linearGradient id="${id}" x1="${x1Value}" y1="0" x2="${x2Value}" y2="${y2}">`,
+		...stops.map(([offset, color]) => `  <stop offset="${offset}" stop-color="${color}"/>`),
+		'</linearGradient>'
+	];
+}
+
+/**
+ * Get the pinout file path of a chip, relative to the project root
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @returns {string} - File path (e.g., "docs/pinouts/74161.svg")
+ */
+export function getPinoutFilePath(chipNumber) {
+	return `${PINOUT_DIRECTORY_NAME}/${chipNumber}.svg`;
+}
+
+/**
+ * Generate the pinout drawing of a chip
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @param {Object} metadata - Device metadata
+ * @returns {string} - SVG file content
+ */
+export function generatePinoutSvg(chipNumber, metadata) {
+	const packagePins = getPackagePins(metadata),
+		rowCount = packagePins.length / 2,
+		isWide = packagePins.length >= layout.widePinCount,
+		bodyWidth = isWide ? layout.wideBodyWidth : layout.narrowBodyWidth,
+		chipNumberFontSize = isWide
+			? layout.wideChipNumberFontSize
+			: layout.narrowChipNumberFontSize;
+
+	// the left side has pins 1 to n/2 from the top, the right side the rest from the bottom
+	const sides = [
+		packagePins.slice(0, rowCount),
+		packagePins.slice(rowCount).reverse()
+	];
+
+	const toDisplayLabel = (label) => label.replace(/_bar$/, ''),
+		labelWidth = (pins) =>
+			Math.max(...pins.map(({ label }) => toDisplayLabel(label).length)) *
+			layout.characterWidth;
+
+	const leftLabelEnd = layout.margin + labelWidth(sides[0]),
+		leftTipLeft = leftLabelEnd + layout.labelGap,
+		bodyLeft = leftTipLeft + layout.tipLength + layout.pinLength + layout.pinGap,
+		bodyRight = bodyLeft + bodyWidth,
+		rightTipRight = bodyRight + layout.pinGap + layout.pinLength + layout.tipLength,
+		rightLabelStart = rightTipRight + layout.labelGap,
+		bodyTop = layout.margin,
+		bodyHeight = (rowCount - 1) * layout.pinPitch + 2 * layout.bodyEndLength,
+		width = toCoordinate(rightLabelStart + labelWidth(sides[1]) + layout.margin),
+		height = bodyTop + bodyHeight + layout.margin,
+		bodyCenterX = (bodyLeft + bodyRight) / 2,
+		bodyCenterY = bodyTop + bodyHeight / 2,
+		toPinY = (rowIndex) => bodyTop + layout.bodyEndLength + rowIndex * layout.pinPitch;
+
+	const elements = [
+		'<defs>',
+		...toGradient('body', bodyGradientStops, 1, 1).map((line) => `  ${line}`),
+		...toGradient('pinLeft', pinGradientStops, 1, 0, true).map((line) => `  ${line}`),
+		...toGradient('pinRight', pinGradientStops, 1, 0).map((line) => `  ${line}`),
+		'</defs>',
+		`<rect width="${width}" height="${height}" fill="${colors.background}"/>`,
+		`<rect x="${toCoordinate(bodyLeft)}" y="${bodyTop}" width="${bodyWidth}" ` +
+			`height="${bodyHeight}" rx="3.03" fill="url(#body)" stroke="${colors.bodyEdge}" ` +
+			'stroke-width="6"/>',
+		`<path d="M${toCoordinate(bodyCenterX - layout.notchRadius)} ${bodyTop + 3}` +
+			`a${layout.notchRadius} ${layout.notchRadius} 0 0 0 ${2 * layout.notchRadius} 0z" ` +
+			`fill="${colors.notch}" stroke="${colors.notchEdge}" stroke-opacity=".62"/>`,
+		`<text x="${toCoordinate(bodyCenterX)}" ` +
+			`y="${toCoordinate(bodyCenterY + 0.36 * chipNumberFontSize)}" ` +
+			`transform="rotate(90 ${toCoordinate(bodyCenterX)} ${toCoordinate(bodyCenterY)})" ` +
+			`fill="${colors.chipNumber}" font-family="Sans-serif" font-size="${chipNumberFontSize}" ` +
+			`font-weight="700" letter-spacing="${isWide ? 9.6 : 8}" opacity=".837" ` +
+			`text-anchor="middle">${chipNumber}</text>`
+	];
+
+	sides.forEach((pins, sideIndex) => {
+		const isLeft = sideIndex === 0;
+
+		pins.forEach(({ pin, label, port }, rowIndex) => {
+			const pinY = toPinY(rowIndex),
+				pinLeft = isLeft
+					? bodyLeft - layout.pinGap - layout.pinLength
+					: bodyRight + layout.pinGap,
+				tipLeft = isLeft ? leftTipLeft : rightTipRight - layout.tipLength;
+
+			elements.push(
+				`<rect x="${toCoordinate(pinLeft)}" y="${toCoordinate(pinY - layout.pinWidth / 2)}" ` +
+					`width="${layout.pinLength}" height="${layout.pinWidth}" ` +
+					`fill="url(#${isLeft ? 'pinLeft' : 'pinRight'})"/>`,
+				`<rect x="${toCoordinate(tipLeft)}" y="${toCoordinate(pinY - layout.tipWidth / 2)}" ` +
+					`width="${layout.tipLength}" height="${layout.tipWidth}" ` +
+					`fill="url(#${isLeft ? 'pinLeft' : 'pinRight'})"/>`,
+				...generatePinNumber(pin, pinY, isLeft ? bodyLeft : bodyRight, isLeft),
+				...generatePinLabel(
+					label,
+					!port,
+					pinY,
+					isLeft ? leftLabelEnd : rightLabelStart,
+					isLeft
+				)
+			);
+		});
+	});
+
+	const title = `${chipNumber} pinout: ${metadata.description}`;
+
+	return [
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+			`viewBox="0 0 ${width} ${height}">`,
+		`  <title>${escapeXml(title)}</title>`,
+		...elements.map((element) => `  ${element}`),
+		'</svg>',
+		''
+	].join(EOL);
+}
+
+// give the pin number inside the body, by the pin
+function generatePinNumber(pin, pinY, bodyEdgeX, isLeft) {
+	const x = isLeft ? bodyEdgeX + layout.pinNumberInset : bodyEdgeX - layout.pinNumberInset;
+
+	return [
+		`<text x="${toCoordinate(x)}" ` +
+			`y="${toCoordinate(pinY + 0.36 * layout.pinNumberFontSize)}" ` +
+			`fill="${colors.pinNumber}" font-family="Sans-serif" ` +
+			`font-size="${layout.pinNumberFontSize}" font-weight="700" ` +
+			`text-anchor="${isLeft ? 'start' : 'end'}">${pin}</text>`
+	];
+}
+
+// give the signal name outside the pin, with an overbar for an active-low signal; the width of
+// the name is known, as it is in a monospace font
+function generatePinLabel(label, isPlaceholder, pinY, anchorX, isLeft) {
+	const isBar = label.endsWith('_bar'),
+		displayLabel = isBar ? label.slice(0, -4) : label,
+		fontSize = layout.labelFontSize,
+		baselineY = pinY + 0.36 * fontSize,
+		labelWidth = displayLabel.length * layout.characterWidth,
+		labelLeft = isLeft ? anchorX - labelWidth : anchorX,
+		color = isPlaceholder && label === 'NC' ? colors.placeholderLabel : colors.label;
+
+	const elements = [
+		`<text x="${toCoordinate(anchorX)}" y="${toCoordinate(baselineY)}" fill="${color}" ` +
+			`font-family="monospace" font-size="${fontSize}" ` +
+			`text-anchor="${isLeft ? 'end' : 'start'}">${escapeXml(displayLabel)}</text>`
+	];
+
+	if (isBar) {
+		const overbarY = toCoordinate(baselineY - 0.82 * fontSize);
+
+		elements.push(
+			`<line x1="${toCoordinate(labelLeft)}" y1="${overbarY}" ` +
+				`x2="${toCoordinate(labelLeft + labelWidth)}" y2="${overbarY}" ` +
+				`stroke="${color}" stroke-width="2"/>`
+		);
+	}
+
+	return elements;
+}
+
+/**
+ * Give the index file text with a pinout link on the line of each device that has a drawing
+ * @param {string} indexFileText - Text of device-index.md
+ * @param {string[]} chipNumbers - Chip numbers that have a pinout drawing
+ * @returns {string} - Index file text
+ */
+export function linkPinouts(indexFileText, chipNumbers) {
+	return indexFileText
+		.split(EOL)
+		.map((line) => {
+			const device = parseDeviceIndexLine(line);
+
+			if (!device || !chipNumbers.includes(device.deviceNumber)) {
+				return line;
+			}
+
+			return formatDeviceIndexLine({
+				...device,
+				pinoutPath: getPinoutFilePath(device.deviceNumber)
+			});
+		})
+		.join(EOL);
+}
+
+/**
+ * Generate, or check, the pinout drawing of a chip
+ * @param {string} chipNumber - Chip number (e.g., "74161")
+ * @param {string} projectRoot - Absolute path to project root
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.check] - Write nothing; succeed only if the drawing is up to date
+ * @returns {Object} - Result object with success flag and message
+ */
+export function generatePinoutForChip(chipNumber, projectRoot, options = {}) {
+	try {
+		const metadata = readDeviceMetadata(chipNumber, projectRoot);
+
+		if (!metadata) {
+			return {
+				success: false,
+				message: `Metadata file not found: source-7400/metadata/${chipNumber}.json`
+			};
+		}
+
+		if (!metadata.package) {
+			return {
+				success: false,
+				message: `No package in metadata: source-7400/metadata/${chipNumber}.json`
+			};
+		}
+
+		const pinoutDir = path.join(projectRoot, PINOUT_DIRECTORY_NAME),
+			pinoutFileName = `${chipNumber}.svg`,
+			pinoutFilePath = getPinoutFilePath(chipNumber),
+			svgContent = generatePinoutSvg(chipNumber, metadata);
+
+		if (options.check) {
+			const fsPinout = new FsReadWriteFileHelper(pinoutDir),
+				isUpToDate =
+					fs.existsSync(pinoutDir) &&
+					fsPinout.isExistingFile(pinoutFileName) &&
+					fsPinout.readFile(pinoutFileName) === svgContent;
+
+			return {
+				success: isUpToDate,
+				message: isUpToDate
+					? `Up to date: ${pinoutFilePath}`
+					: `Not generated from its metadata: ${pinoutFilePath}`
+			};
+		}
+
+		FsWriteDirectoryHelper.confirmDirectoryExists(pinoutDir);
+		new FsReadWriteFileHelper(pinoutDir).writeFile(pinoutFileName, svgContent);
+
+		return { success: true, message: `Generated ${pinoutFilePath}` };
+	} catch (error) {
+		return {
+			success: false,
+			message: `Error processing ${chipNumber}: ${error.message || error}`
+		};
+	}
+}
+
+/**
+ * Main function
+ */
+function main() {
+	const args = process.argv.slice(2);
+	const check = args.includes('--check');
+
+	// Get project root directory
+	const thisFilePath = url.fileURLToPath(import.meta.url);
+	const thisDirectory = path.dirname(thisFilePath);
+	const projectRoot = path.resolve(thisDirectory, '../../');
+
+	const chipNumbers = fs.readdirSync(path.join(projectRoot, 'source-7400', 'metadata'))
+		.map((fileName) => fileName.match(/^([0-9]+)\.json$/))
+		.filter((match) => match)
+		.map((match) => match[1])
+		.sort((a, b) => Number(a) - Number(b));
+
+	const failures = [];
+
+	chipNumbers.forEach((chipNumber) => {
+		const result = generatePinoutForChip(chipNumber, projectRoot, { check });
+
+		if (!result.success) {
+			failures.push(result);
+		}
+
+		if (!check) {
+			console.log(`${result.success ? '✓' : '✗'} ${chipNumber}: ${result.message}`);
+		}
+	});
+
+	const fsProjectRoot = new FsReadWriteFileHelper(projectRoot),
+		indexFileText = fsProjectRoot.readFile(INDEX_FILE_NAME),
+		linkedIndexFileText = linkPinouts(indexFileText, chipNumbers);
+
+	if (check) {
+		if (linkedIndexFileText !== indexFileText) {
+			failures.push({ message: `Pinout links in ${INDEX_FILE_NAME} (run generate-pinouts)` });
+		}
+
+		if (failures.length > 0) {
+			failures.forEach(({ message }) => {
+				console.log('Failed at: ' + message);
+			});
+			process.exit(1);
+		}
+
+		console.log('Passed: Pinouts ' + chipNumbers.length + ' .svg files');
+		return;
+	}
+
+	if (linkedIndexFileText !== indexFileText) {
+		fsProjectRoot.writeFile(INDEX_FILE_NAME, linkedIndexFileText);
+		console.log(`Linked pinouts: ${INDEX_FILE_NAME}`);
+	}
+
+	if (failures.length > 0) {
+		process.exit(1);
+	}
+}
+
+// Only run main if this is the entry point (not imported as a module)
+try {
+	const scriptPath = process.argv[1];
+	if (scriptPath) {
+		const scriptUrl = url.pathToFileURL(scriptPath).href;
+		if (import.meta.url === scriptUrl || scriptPath.endsWith('generate-pinouts.js')) {
+			main();
+		}
+	}
+} catch (error) {
+	// If we can't determine, assume it's being imported (don't run main)
+}
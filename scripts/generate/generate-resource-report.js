@@ -0,0 +1,341 @@
+// generate-resource-report.js
+//
+// Generate the resource-usage report of the TTL chips in source-7400 directory: what each
+// module costs when synthesized with yosys, at its default parameters and across a matrix of
+// parameter values
+//
+// - the matrix gives values for sizing parameters, e.g. WIDTH=8,16; a device is synthesized for
+//   every combination of the values of the matrix parameters that it has (whose default is a
+//   number, not an expression of other parameters), besides its defaults
+// - each row gives, for iCE40: LUTs (SB_LUT4), flip-flops (SB_DFF*), carries (SB_CARRY) and all
+//   cells; and for the generic target: all cells
+// - the report is written as resource-usage.md and resource-usage.json; with --baseline, the
+//   change in iCE40 LUTs and flip-flops from a previous resource-usage.json is shown too,
+//   to track regressions across releases
+//
+// Usage: node generate-resource-report.js [--matrix <NAME=v1,v2,...>]... [--baseline <file>]
+//   [--jobs <count>] [--output <directory>] [selector ...]
+// Example: node generate-resource-report.js
+// Example: node generate-resource-report.js 74161 74181 --matrix WIDTH=8,16,32
+// Example: node generate-resource-report.js --baseline ../resource-usage-0.9.2.json
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+import { EOL } from '../common/constants.js';
+import { getDeviceCategoryMap, INDEX_FILE_NAME } from '../common/device-index-helper.js';
+import { selectDevices } from '../common/device-selection-helper.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { getJobCountOption, runJobPool } from '../common/job-pool-helper.js';
+import { parseVerilogModule } from '../common/verilog-module-parser.js';
+import { SynthesisService } from '../validate/synthesis-service.js';
+import { getVersionFromPackageJson } from './generate-core.js';
+
+export const DEFAULT_PARAMETER_MATRIX = {
+	WIDTH: [8, 16],
+	BLOCKS: [1, 8]
+};
+
+const reportFileName = 'resource-usage';
+
+const numberRegExp = /^[0-9]+$/;
+
+/**
+ * Parse the parameter matrix options
+ * @param {string[]} matrixOptions - Values of --matrix options (e.g., ["WIDTH=8,16"])
+ * @returns {Object} - Matrix: { NAME: [values] }
+ */
+export function parseParameterMatrix(matrixOptions) {
+	if (!matrixOptions.length) {
+		return DEFAULT_PARAMETER_MATRIX;
+	}
+
+	const matrix = {};
+
+	matrixOptions.forEach((option) => {
+		const subMatches = /^([A-Za-z_][A-Za-z0-9_]*)=([0-9]+(,[0-9]+)*)$/.exec(option);
+
+		if (!subMatches) {
+			throw new Error(`Matrix option must be NAME=value,value,...: ${option}`);
+		}
+
+		matrix[subMatches[1]] = subMatches[2].split(',').map(Number);
+	});
+
+	return matrix;
+}
+
+/**
+ * Get the parameterizations of a device to synthesize: its defaults, then every combination of
+ * the matrix values for the matrix parameters it has
+ * @param {Object[]} parameters - Module parameters: { name, value }
+ * @param {Object} matrix - Matrix: { NAME: [values] }
+ * @returns {Object[]} - Parameter values to set, e.g. [{}, { WIDTH: 8 }, { WIDTH: 16 }]
+ */
+export function getParameterCombinations(parameters, matrix) {
+	const sweptParameters = parameters.filter(
+		({ name, value }) => matrix[name] && numberRegExp.test(value)
+	);
+
+	let combinations = [{}];
+
+	sweptParameters.forEach(({ name }) => {
+		combinations = combinations.flatMap((combination) =>
+			matrix[name].map((value) => ({ ...combination, [name]: value }))
+		);
+	});
+
+	// a combination of only default values is the same as the defaults
+	combinations = combinations.filter((combination) =>
+		Object.entries(combination).some(([name, value]) =>
+			String(value) !== parameters.find((parameter) => parameter.name === name).value
+		)
+	);
+
+	return [{}, ...combinations];
+}
+
+function countCells(cells, cellTypeRegExp) {
+	return Object.entries(cells.cellsByType)
+		.filter(([cellType]) => cellTypeRegExp.test(cellType))
+		.reduce((sum, [, count]) => sum + count, 0);
+}
+
+function formatParameters(parameterValues) {
+	const entries = Object.entries(parameterValues);
+
+	return entries.length ? entries.map(([name, value]) => `${name}=${value}`).join(' ') : 'default';
+}
+
+/**
+ * Synthesize the devices and build the report rows
+ * @param {Object} config - Configuration object
+ * @param {string} config.projectRoot - Absolute path to project root
+ * @param {string[]} config.deviceNumbers - Devices to report on
+ * @param {Object} config.matrix - Matrix: { NAME: [values] }
+ * @param {number} config.jobCount - Number of devices to synthesize at once
+ * @param {string} config.workDir - Absolute path of the directory for yosys files
+ * @returns {Promise<Object[]>} - Rows: { partNumber, parameters, ice40, generic, error }
+ */
+export async function buildResourceRows({ projectRoot, deviceNumbers, matrix, jobCount, workDir }) {
+	const fsSource = new FsReadFileHelper(projectRoot, 'source-7400'),
+		synthesisService = new SynthesisService(
+			fsSource.directoryPath,
+			path.join(projectRoot, 'includes')
+		);
+
+	const deviceRows = await runJobPool(deviceNumbers, jobCount, async (deviceNumber) => {
+		const verilogModule = parseVerilogModule(fsSource.readFile(`${deviceNumber}.v`)),
+			combinations = getParameterCombinations(verilogModule.parameters, matrix),
+			rows = [];
+
+		for (const [combinationIndex, parameterValues] of combinations.entries()) {
+			const row = { partNumber: deviceNumber, parameters: parameterValues, error: null };
+
+			for (const target of ['ice40', 'generic']) {
+				const result = await synthesisService.synthesizeDevice(
+					deviceNumber,
+					target,
+					path.join(workDir, deviceNumber, String(combinationIndex), target),
+					parameterValues
+				);
+
+				if (result.errorMessage) {
+					row.error = row.error || `${target}: ${result.errorMessage}`;
+					row[target] = null;
+				} else if (target === 'ice40') {
+					row.ice40 = {
+						luts: countCells(result.cells, /^SB_LUT4$/),
+						flipFlops: countCells(result.cells, /^SB_DFF/),
+						carries: countCells(result.cells, /^SB_CARRY$/),
+						cells: result.cells.cellCount
+					};
+				} else {
+					row.generic = { cells: result.cells.cellCount };
+				}
+			}
+
+			rows.push(row);
+		}
+
+		return rows;
+	});
+
+	return deviceRows.flat();
+}
+
+/**
+ * Generate the markdown report
+ * @param {Object} report - Report: { version, matrix, rows }
+ * @param {Object} [baseline] - A previous report, to show the changes from
+ * @returns {string} - Markdown file content
+ */
+export function generateResourceMarkdown(report, baseline = null) {
+	const findBaselineRow = ({ partNumber, parameters }) =>
+		baseline &&
+		baseline.rows.find((baselineRow) =>
+			baselineRow.partNumber === partNumber &&
+			formatParameters(baselineRow.parameters) === formatParameters(parameters)
+		);
+
+	const formatChange = (value, baselineValue) => {
+		const change = value - baselineValue;
+
+		return change === 0 ? '0' : (change > 0 ? '+' : '') + change;
+	};
+
+	const columns = [
+		'Part',
+		'Parameters',
+		'iCE40 LUTs',
+		'iCE40 FFs',
+		'iCE40 Carries',
+		'iCE40 Cells',
+		'Generic Cells',
+		...(baseline ? [`LUTs vs ${baseline.version}`, `FFs vs ${baseline.version}`] : [])
+	];
+
+	const lines = [
+		`# Resource Usage ${report.version}`,
+		'',
+		'Cells of each module after synthesis with yosys (synth_ice40, and generic synth), at its ' +
+			'default parameters and at the parameter matrix: ' +
+			Object.entries(report.matrix).map(([name, values]) => `${name}=${values.join(',')}`).join(' '),
+		'',
+		`| ${columns.join(' | ')} |`,
+		`|${columns.map(() => ' --- ').join('|')}|`
+	];
+
+	report.rows.forEach((row) => {
+		const cells = [row.partNumber, formatParameters(row.parameters)];
+
+		if (row.error) {
+			cells.push(`Error: ${row.error.replace(/\|/g, '\\|')}`, '', '', '', '');
+		} else {
+			cells.push(row.ice40.luts, row.ice40.flipFlops, row.ice40.carries, row.ice40.cells, row.generic.cells);
+		}
+
+		if (baseline) {
+			const baselineRow = findBaselineRow(row);
+
+			if (row.error || !baselineRow || baselineRow.error) {
+				cells.push('', '');
+			} else {
+				cells.push(
+					formatChange(row.ice40.luts, baselineRow.ice40.luts),
+					formatChange(row.ice40.flipFlops, baselineRow.ice40.flipFlops)
+				);
+			}
+		}
+
+		lines.push(`| ${cells.join(' | ')} |`);
+	});
+
+	return lines.join(EOL) + EOL;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+	const args = process.argv.slice(2);
+
+	// Get project root directory
+	const thisFilePath = url.fileURLToPath(import.meta.url);
+	const thisDirectory = path.dirname(thisFilePath);
+	const projectRoot = path.resolve(thisDirectory, '../../');
+
+	const optionValue = (name) => {
+		const index = args.indexOf(name);
+		return index !== -1 && args[index + 1] ? args[index + 1] : null;
+	};
+
+	const matrixOptions = args.filter((arg, index) => args[index - 1] === '--matrix');
+	const baselineFile = optionValue('--baseline');
+	const outputDir = optionValue('--output')
+		? path.resolve(optionValue('--output'))
+		: path.join(thisDirectory, 'output', 'resources');
+
+	// the selectors are the arguments that are not options, nor the value of an option
+	const selectors = args.filter((arg, index) =>
+		!arg.startsWith('-') && !(index > 0 && args[index - 1].startsWith('-'))
+	);
+
+	let matrix, jobCount, baseline = null, deviceNumbers;
+	try {
+		matrix = parseParameterMatrix(matrixOptions);
+		jobCount = getJobCountOption(args);
+
+		if (baselineFile) {
+			baseline = JSON.parse(fs.readFileSync(path.resolve(baselineFile), 'utf8'));
+		}
+
+		deviceNumbers = fs.readdirSync(path.join(projectRoot, 'source-7400'))
+			.map((fileName) => fileName.match(/^([0-9]+)\.v$/))
+			.filter((match) => match)
+			.map((match) => match[1])
+			.sort((a, b) => Number(a) - Number(b));
+
+		if (selectors.length) {
+			deviceNumbers = selectDevices(
+				deviceNumbers,
+				selectors,
+				getDeviceCategoryMap(new FsReadFileHelper(projectRoot).readFile(INDEX_FILE_NAME))
+			);
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message || error}`);
+		process.exit(1);
+	}
+
+	const rows = await buildResourceRows({
+		projectRoot,
+		deviceNumbers,
+		matrix,
+		jobCount,
+		workDir: path.join(outputDir, 'yosys')
+	});
+
+	const report = {
+		version: getVersionFromPackageJson(projectRoot),
+		matrix,
+		rows
+	};
+
+	FsWriteDirectoryHelper.confirmDirectoryExists(outputDir);
+
+	const fsOutput = new FsReadWriteFileHelper(outputDir);
+	fsOutput.writeFile(`${reportFileName}.json`, JSON.stringify(report, null, 2) + EOL);
+	fsOutput.writeFile(`${reportFileName}.md`, generateResourceMarkdown(report, baseline));
+
+	console.log(`Generated resource report for ${deviceNumbers.length} devices, ${rows.length} rows: ` +
+		path.join(outputDir, `${reportFileName}.md`));
+
+	const errorRows = rows.filter(({ error }) => error);
+
+	if (errorRows.length > 0) {
+		console.log('');
+		console.log('Failures:');
+		errorRows.forEach(({ partNumber, parameters, error }) => {
+			console.error(`  ${partNumber} (${formatParameters(parameters)}): ${error}`);
+		});
+		process.exit(1);
+	}
+}
+
+// Only run main if this is the entry point (not imported as a module)
+try {
+	const scriptPath = process.argv[1];
+	if (scriptPath) {
+		const scriptUrl = url.pathToFileURL(scriptPath).href;
+		if (import.meta.url === scriptUrl || scriptPath.endsWith('generate-resource-report.js')) {
+			main();
+		}
+	}
+} catch (error) {
+	// If we can't determine, assume it's being imported (don't run main)
+}
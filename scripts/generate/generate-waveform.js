@@ -0,0 +1,388 @@
+// generate-waveform.js
+//
+// Generate a static timing diagram of a test bench run from its VCD dump, as an SVG image or a
+// self-contained HTML page, so that a waveform can be attached to a pull request or a document
+// without opening GTKWave
+//
+// - the dump is a device's from the last run of exec-verilog.js without -s
+//   (scripts/validate/output/icarus/<device>/<device>-tb.vcd), or any dump file given by --vcd
+// - signals are chosen by globs of hierarchical names, '*' within one scope level and '**'
+//   across levels (default: "test.*", the test bench's own signals, which include the device's
+//   ports); a 1-bit signal is drawn as a line, a bus as a band with its value in hexadecimal
+//   (an 'x' or 'z' digit where the bits of a digit are not all known); x values are shaded red
+// - the time window is given in nanoseconds, or with a unit (e.g. "2us"); the default is the
+//   whole run
+//
+// Usage: node generate-waveform.js (<device> | --vcd <file>) [--signals <patterns>]
+//   [--from <time>] [--to <time>] [--format svg|html] [--output <directory>]
+// Example: node generate-waveform.js 74161
+// Example: node generate-waveform.js 74161 --signals test.Clk,test.Q,test.RCO --to 1200
+// Example: node generate-waveform.js --vcd 7474-timing.vcd --format html
+//
+// © 2026 Tim Rudy
+
+import path from 'path';
+import url from 'url';
+
+import { EOL } from '../common/constants.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { escapeXml } from '../common/text-helper.js';
+import { formatTime, parseTime, parseVcd, selectSignals } from '../common/vcd-helper.js';
+
+export const WAVEFORM_FORMATS = ['svg', 'html'];
+
+const defaultSignalPatterns = ['test.*'];
+
+// layout of the diagram, in pixels
+const layout = {
+	nameWidth: 180,
+	plotWidth: 960,
+	rowHeight: 28,
+	waveHeight: 16,
+	axisHeight: 28,
+	titleHeight: 28,
+	margin: 12,
+	busSlant: 3,
+	characterWidth: 7
+};
+
+const colors = {
+	background: '#ffffff',
+	text: '#222222',
+	grid: '#e4e4e4',
+	wave: '#1a7f37',
+	bus: '#0b5cad',
+	busFill: '#eaf2fb',
+	unknown: '#d1242f',
+	unknownFill: '#fbe3e4'
+};
+
+/**
+ * Convert a binary value to hexadecimal, digit by digit from the least significant bits
+ * @param {string} binaryValue - Value in binary, possibly with x and z bits (e.g., "01x1")
+ * @returns {string} - Value in hexadecimal (e.g., "x" for "01x1", "5" for "0101")
+ */
+export function toHexValue(binaryValue) {
+	const digits = [];
+
+	for (let end = binaryValue.length; end > 0; end -= 4) {
+		const bits = binaryValue.slice(Math.max(0, end - 4), end);
+
+		if (/^z+$/.test(bits)) {
+			digits.unshift('z');
+		} else if (/[xz]/.test(bits)) {
+			digits.unshift('x');
+		} else {
+			digits.unshift(parseInt(bits, 2).toString(16));
+		}
+	}
+
+	return digits.join('');
+}
+
+/**
+ * Get the selected signals of a dump as segments of constant value within the time window
+ * @param {Object} vcd - Dump, from parseVcd()
+ * @param {string[]} signalPatterns - Globs of signal names (e.g., ["test.*"])
+ * @param {Object} window - Time window in femtoseconds: { from, to }
+ * @returns {Object[]} - Signals: { name, width, segments: [{ from, to, value }] }
+ */
+export function getWaveformSignals(vcd, signalPatterns, window) {
+	return selectSignals(vcd.signals, signalPatterns).map(({ name, width, id }) => {
+		const changes = vcd.changesById[id],
+			segments = [];
+
+		changes.forEach(({ time, value }, changeIndex) => {
+			const nextTime = changeIndex + 1 < changes.length ? changes[changeIndex + 1].time : window.to,
+				from = Math.max(time, window.from),
+				to = Math.min(nextTime, window.to);
+
+			if (from < to) {
+				segments.push({ from, to, value });
+			}
+		});
+
+		return { name, width, segments };
+	});
+}
+
+/**
+ * Generate the timing diagram as an SVG image
+ * @param {Object} config - Configuration object
+ * @param {string} config.title - Title above the diagram (e.g., "74161-tb.vcd")
+ * @param {Object[]} config.signals - Signals, from getWaveformSignals()
+ * @param {Object} config.window - Time window in femtoseconds: { from, to }
+ * @returns {string} - SVG file content
+ */
+export function generateWaveformSvg({ title, signals, window }) {
+	const { nameWidth, plotWidth, rowHeight, axisHeight, titleHeight, margin } = layout,
+		plotLeft = margin + nameWidth,
+		plotTop = margin + titleHeight + axisHeight,
+		width = plotLeft + plotWidth + margin,
+		height = plotTop + signals.length * rowHeight + margin,
+		toX = (time) => plotLeft + ((time - window.from) / (window.to - window.from)) * plotWidth;
+
+	const elements = [
+		`<rect width="${width}" height="${height}" fill="${colors.background}"/>`,
+		`<text x="${margin}" y="${margin + 16}" font-size="14" font-weight="bold">` +
+			`${escapeXml(title)}</text>`,
+		...generateTimeAxis(window, toX, plotTop, height - margin)
+	];
+
+	signals.forEach((signal, signalIndex) => {
+		const rowTop = plotTop + signalIndex * rowHeight,
+			displayName = signal.name.replace(/^test\./, '') +
+				(signal.width > 1 ? ` [${signal.width - 1}:0]` : '');
+
+		elements.push(
+			`<text x="${margin}" y="${rowTop + rowHeight / 2 + 4}" font-size="12">` +
+				`${escapeXml(displayName)}</text>`,
+			...(signal.width > 1
+				? generateBusWave(signal.segments, toX, rowTop)
+				: generateBitWave(signal.segments, toX, rowTop))
+		);
+	});
+
+	return [
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+			`viewBox="0 0 ${width} ${height}" font-family="monospace" fill="${colors.text}">`,
+		...elements.map((element) => `  ${element}`),
+		'</svg>',
+		''
+	].join(EOL);
+}
+
+/**
+ * Generate the timing diagram as a self-contained HTML page
+ * @param {Object} config - Configuration object, as for generateWaveformSvg()
+ * @returns {string} - HTML file content
+ */
+export function generateWaveformHtml(config) {
+	return [
+		'<!DOCTYPE html>',
+		'<html lang="en">',
+		'<head>',
+		'<meta charset="utf-8">',
+		`<title>${escapeXml(config.title)}</title>`,
+		'<style>body { margin: 16px; background: #f6f8fa; } svg { background: #ffffff; }</style>',
+		'</head>',
+		'<body>',
+		generateWaveformSvg(config).trimEnd(),
+		'</body>',
+		'</html>',
+		''
+	].join(EOL);
+}
+
+// the time axis: a tick with its time at each round interval, and a grid line down the plot
+function generateTimeAxis(window, toX, plotTop, plotBottom) {
+	const duration = window.to - window.from,
+		magnitude = 10 ** Math.floor(Math.log10(duration / 10)),
+		interval = [1, 2, 5, 10]
+			.map((factor) => factor * magnitude)
+			.find((step) => duration / step <= 10),
+		elements = [];
+
+	for (
+		let time = Math.ceil(window.from / interval) * interval;
+		time <= window.to;
+		time += interval
+	) {
+		const x = toX(time).toFixed(1);
+
+		elements.push(
+			`<line x1="${x}" y1="${plotTop - 6}" x2="${x}" y2="${plotBottom}" stroke="${colors.grid}"/>`,
+			`<text x="${x}" y="${plotTop - 10}" font-size="10" text-anchor="middle">` +
+				`${formatTime(time)}</text>`
+		);
+	}
+
+	return elements;
+}
+
+// a 1-bit signal: a line high for 1 and low for 0, mid-way for z; an x value is a shaded band
+function generateBitWave(segments, toX, rowTop) {
+	const { rowHeight, waveHeight } = layout,
+		high = rowTop + (rowHeight - waveHeight) / 2,
+		low = high + waveHeight,
+		levels = { 0: low, 1: high, z: (high + low) / 2 },
+		elements = [];
+
+	// the line is broken where the value is x, so it is drawn as separate runs of points
+	let runPoints = [];
+
+	const endRun = () => {
+		if (runPoints.length) {
+			elements.push(
+				`<polyline points="${runPoints.join(' ')}" fill="none" stroke="${colors.wave}" ` +
+					'stroke-width="1.5"/>'
+			);
+		}
+
+		runPoints = [];
+	};
+
+	segments.forEach(({ from, to, value }) => {
+		const x1 = toX(from),
+			x2 = toX(to);
+
+		if (value === 'x') {
+			endRun();
+			elements.push(
+				`<rect x="${x1.toFixed(1)}" y="${high}" width="${(x2 - x1).toFixed(1)}" ` +
+					`height="${waveHeight}" fill="${colors.unknownFill}" stroke="${colors.unknown}"/>`
+			);
+			return;
+		}
+
+		runPoints.push(`${x1.toFixed(1)},${levels[value]}`, `${x2.toFixed(1)},${levels[value]}`);
+	});
+
+	endRun();
+
+	return elements;
+}
+
+// a bus: a band per value, slanted at each change, labelled with the value in hexadecimal where
+// there is room
+function generateBusWave(segments, toX, rowTop) {
+	const { rowHeight, waveHeight, busSlant, characterWidth } = layout,
+		top = rowTop + (rowHeight - waveHeight) / 2,
+		bottom = top + waveHeight,
+		middle = (top + bottom) / 2,
+		elements = [];
+
+	segments.forEach(({ from, to, value }) => {
+		const x1 = toX(from),
+			x2 = toX(to),
+			slant = Math.min(busSlant, (x2 - x1) / 2),
+			isUnknown = /x/.test(value),
+			hexValue = toHexValue(value),
+			points = [
+				[x1, middle],
+				[x1 + slant, top],
+				[x2 - slant, top],
+				[x2, middle],
+				[x2 - slant, bottom],
+				[x1 + slant, bottom]
+			];
+
+		elements.push(
+			`<polygon points="${points.map(([x, y]) => `${x.toFixed(1)},${y}`).join(' ')}" ` +
+				`fill="${isUnknown ? colors.unknownFill : colors.busFill}" ` +
+				`stroke="${isUnknown ? colors.unknown : colors.bus}"/>`
+		);
+
+		if (x2 - x1 - 2 * slant >= (hexValue.length + 1) * characterWidth) {
+			elements.push(
+				`<text x="${((x1 + x2) / 2).toFixed(1)}" y="${middle + 4}" font-size="11" ` +
+					`text-anchor="middle">${hexValue}</text>`
+			);
+		}
+	});
+
+	return elements;
+}
+
+/**
+ * Main function
+ */
+function main() {
+	const args = process.argv.slice(2);
+
+	// Get project root directory
+	const thisFilePath = url.fileURLToPath(import.meta.url);
+	const thisDirectory = path.dirname(thisFilePath);
+	const projectRoot = path.resolve(thisDirectory, '../../');
+
+	const optionValue = (name) => {
+		const index = args.indexOf(name);
+		return index !== -1 && args[index + 1] ? args[index + 1] : null;
+	};
+
+	const deviceNumber = args.find((arg, index) =>
+		!arg.startsWith('-') && !(index > 0 && args[index - 1].startsWith('-'))
+	);
+	const format = optionValue('--format') || WAVEFORM_FORMATS[0];
+	const outputDir = optionValue('--output')
+		? path.resolve(optionValue('--output'))
+		: path.join(thisDirectory, 'output', 'waveforms');
+
+	const vcdFilePath = optionValue('--vcd')
+		? path.resolve(optionValue('--vcd'))
+		: deviceNumber &&
+			path.join(
+				projectRoot,
+				'scripts/validate/output/icarus',
+				deviceNumber,
+				`${deviceNumber}-tb.vcd`
+			);
+
+	let signals, window;
+	try {
+		if (!vcdFilePath) {
+			throw new Error('Give a device number or --vcd <file>');
+		}
+
+		if (!WAVEFORM_FORMATS.includes(format)) {
+			throw new Error(`Format must be one of ${WAVEFORM_FORMATS.join(', ')}: ${format}`);
+		}
+
+		const fsVcd = new FsReadFileHelper(path.dirname(vcdFilePath));
+
+		if (!fsVcd.isExistingFile(path.basename(vcdFilePath))) {
+			throw new Error(`Dump file not found (run exec-verilog.js without -s): ${vcdFilePath}`);
+		}
+
+		const vcd = parseVcd(fsVcd.readFile(path.basename(vcdFilePath)));
+
+		window = {
+			from: optionValue('--from') ? parseTime(optionValue('--from')) : 0,
+			to: optionValue('--to') ? parseTime(optionValue('--to')) : vcd.endTime
+		};
+
+		if (window.from >= window.to) {
+			throw new Error(`Time window is empty: ${formatTime(window.from)} to ${formatTime(window.to)}`);
+		}
+
+		const signalPatterns = optionValue('--signals')
+			? optionValue('--signals').split(',').map((pattern) => pattern.trim())
+			: defaultSignalPatterns;
+
+		signals = getWaveformSignals(vcd, signalPatterns, window);
+
+		if (!signals.length) {
+			throw new Error(`No signal matches: ${signalPatterns.join(', ')}`);
+		}
+	} catch (error) {
+		console.error(error.message ? `Error: ${error.message}` : error);
+		process.exit(1);
+	}
+
+	const title = path.basename(vcdFilePath),
+		outputFileName = `${path.basename(vcdFilePath, '.vcd')}.${format}`,
+		generate = format === 'html' ? generateWaveformHtml : generateWaveformSvg;
+
+	FsWriteDirectoryHelper.confirmDirectoryExists(outputDir);
+	new FsReadWriteFileHelper(outputDir).writeFile(
+		outputFileName,
+		generate({ title, signals, window })
+	);
+
+	console.log(`Generated waveform of ${signals.length} signals, ${formatTime(window.from)} to ` +
+		`${formatTime(window.to)}: ${path.join(outputDir, outputFileName)}`);
+}
+
+// Only run main if this is the entry point (not imported as a module)
+try {
+	const scriptPath = process.argv[1];
+	if (scriptPath) {
+		const scriptUrl = url.pathToFileURL(scriptPath).href;
+		if (import.meta.url === scriptUrl || scriptPath.endsWith('generate-waveform.js')) {
+			main();
+		}
+	}
+} catch (error) {
+	// If we can't determine, assume it's being imported (don't run main)
+}
@@ -9,12 +9,13 @@
 //
 // © 2025 Charles Benedict, Jr.
 
-import { execSync } from 'child_process';
+import { exec, execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import url from 'url';
+import util from 'util';
 
-import { getVersionFromPackageJson } from './generate-core.js';
+import { getCoreName, getVersionFromPackageJson } from './generate-core.js';
 
 /**
  * Check if fusesoc command is available
@@ -37,7 +38,7 @@ export function isFuseSoCAvailable() {
  */
 function getFullCoreName(chipNumber, projectRoot) {
 	const version = getVersionFromPackageJson(projectRoot);
-	return `icechips:ttl:${chipNumber}:${version}`;
+	return getCoreName(chipNumber, version);
 }
 
 /**
@@ -111,6 +112,72 @@ export function runFuseSoCSim(coreName, verbose = false) {
 	}
 }
 
+/**
+ * Copy a child process's output stream to one of ours as it comes, each line prefixed
+ * (so that the lines of several cores running at once can be told apart)
+ * @param {Object} fromStream - Output stream of the child process
+ * @param {Object} toStream - process.stdout or process.stderr
+ * @param {string} prefix - Line prefix
+ */
+function streamOutputLines(fromStream, toStream, prefix) {
+	let partialLine = '';
+
+	fromStream.on('data', (chunk) => {
+		const lines = (partialLine + chunk).split('\n');
+
+		partialLine = lines.pop();
+		lines.forEach((line) => toStream.write(`${prefix}${line}\n`));
+	});
+
+	fromStream.on('end', () => {
+		if (partialLine) {
+			toStream.write(`${prefix}${partialLine}\n`);
+		}
+	});
+}
+
+/**
+ * Run FuseSoC sim target without blocking, so that several cores can run at once
+ * (the output is always collected; when verbose, it is also shown as it runs, each line
+ * prefixed with the core name)
+ * @param {string} coreName - Full core name
+ * @param {boolean} verbose - Whether to show the output as it runs
+ * @returns {Promise<Object>} - Result object with success flag and output
+ */
+export async function runFuseSoCSimAsync(coreName, verbose = false) {
+	try {
+		const command = `fusesoc run --target=sim ${coreName}`;
+
+		if (verbose) {
+			console.log(`Running: ${command}`);
+		}
+
+		const execution = util.promisify(exec)(command, {
+			encoding: 'utf8',
+			maxBuffer: 16 * 1024 * 1024
+		});
+
+		if (verbose) {
+			streamOutputLines(execution.child.stdout, process.stdout, `${coreName}: `);
+			streamOutputLines(execution.child.stderr, process.stderr, `${coreName}: `);
+		}
+
+		const { stdout } = await execution;
+
+		return {
+			success: true,
+			output: stdout,
+			message: `Simulation completed successfully for ${coreName}`
+		};
+	} catch (error) {
+		return {
+			success: false,
+			output: error.stdout || error.stderr || error.message,
+			message: `Simulation failed for ${coreName}: ${error.message}`
+		};
+	}
+}
+
 /**
  * Main function
  */
@@ -2,10 +2,23 @@
 //
 // Run FuseSoC sim target on all icechips cores
 //
-// Usage: node test-cores.js [--verbose] [--filter <pattern>]
+// - with --report[=directory], also write the results as JUnit XML and JSON, test-cores.xml and
+//   test-cores.json: one test suite per core, with one test case per numbered test found in the
+//   simulation output (default directory: scripts/generate/output/report); as in
+//   exec-verilog.js, the directory is only ever given after "="
+//
+// - cores are simulated concurrently, --jobs at a time (default: one per processor); FuseSoC
+//   builds each core in its own directory; with --verbose, the FuseSoC output is shown as it
+//   runs, each line prefixed with its core name
+//
+// Usage: node test-cores.js [--verbose] [--filter <pattern>] [--jobs <count>]
+//   [--report[=directory]]
 // Example: node test-cores.js
 // Example: node test-cores.js --verbose
 // Example: node test-cores.js --filter 7416
+// Example: node test-cores.js --jobs 4
+// Example: node test-cores.js --report
+// Example: node test-cores.js --report=/tmp/report --filter 7416
 //
 // © 2025 Charles Benedict, Jr.
 
@@ -13,7 +26,17 @@ import { execSync } from 'child_process';
 import url from 'url';
 import path from 'path';
 
-import { runFuseSoCSim, isFuseSoCAvailable } from './test-core.js';
+import { getJobCountOption, runJobPool } from '../common/job-pool-helper.js';
+import {
+	analyzeTestBenchOutput,
+	createTestFailure,
+	formatTestFailure,
+	TEST_FAILURE_KINDS
+} from '../common/test-bench-output-helper.js';
+import { createTestReport, createTestSuite, writeTestReports } from '../common/test-report-helper.js';
+import { runFuseSoCSimAsync, isFuseSoCAvailable } from './test-core.js';
+
+const testResultLineRegExp = /^(Passed|-Failed)/;
 
 /**
  * Get all icechips core names from FuseSoC
@@ -34,7 +57,8 @@ function getAllIceChipsCores() {
 			if (line.includes('icechips:ttl:')) {
 				// Extract the core name (first column before spaces/colons)
 				const match = line.match(/^(icechips:ttl:[^\s:]+)/);
-				if (match) {
+				// the helpers core has no sim target of its own
+				if (match && match[1] !== 'icechips:ttl:helpers') {
 					cores.push(match[1]);
 				}
 			}
@@ -59,10 +83,50 @@ function filterCores(cores, pattern) {
 	return cores.filter((core) => core.includes(pattern));
 }
 
+/**
+ * Create the report test suite for one core
+ * @param {string} coreName - Full core name
+ * @param {Object} result - Result of runFuseSoCSim()
+ * @param {number} durationMs - Run time of the simulation in milliseconds
+ * @returns {Object} - Test suite
+ */
+function createCoreTestSuite(coreName, result, durationMs) {
+	const toReportResults = (failures) =>
+		failures.map((failure) => ({ type: failure.kind, message: formatTestFailure(failure) }));
+
+	// the FuseSoC output holds its own log lines around the test bench output
+	const testBenchOutput = (result.output || '')
+		.split('\n')
+		.filter((line) => testResultLineRegExp.test(line))
+		.join('\n');
+
+	const { testLabels, failures } = analyzeTestBenchOutput(testBenchOutput, coreName);
+
+	const testcases = testLabels.map((testLabel) => ({
+		name: testLabel,
+		failures: toReportResults(failures.filter((failure) => failure.testLabel === testLabel))
+	}));
+
+	// a failed run with no failed test (e.g. a compile error), or a run with no numbered test,
+	// is reported as one test case for the whole simulation
+	if (!result.success && !failures.length) {
+		testcases.push({
+			name: 'sim',
+			errors: toReportResults([
+				createTestFailure(TEST_FAILURE_KINDS.execution, coreName, null, null, result.message)
+			])
+		});
+	} else if (!testcases.length) {
+		testcases.push({ name: 'sim' });
+	}
+
+	return createTestSuite({ name: coreName, durationMs, testcases });
+}
+
 /**
  * Main function
  */
-function main() {
+async function main() {
 	const args = process.argv.slice(2);
 	const verbose = args.includes('--verbose') || args.includes('-v');
 	
@@ -73,6 +137,32 @@ function main() {
 		filterPattern = args[filterIndex + 1];
 	}
 
+	// Check for report option: --report, or --report=<directory>
+	let reportDirectory = null;
+	const reportArg = args.find((arg) => arg === '--report' || arg.startsWith('--report='));
+	if (reportArg) {
+		const thisDirectory = path.dirname(url.fileURLToPath(import.meta.url)),
+			reportValue = reportArg.substring('--report='.length);
+
+		if (reportArg.startsWith('--report=') && !reportValue) {
+			console.error('Error: --report= must be followed by a value');
+			process.exit(1);
+		}
+
+		reportDirectory = reportValue
+			? path.resolve(reportValue)
+			: path.join(thisDirectory, 'output', 'report');
+	}
+
+	// Check for jobs option
+	let jobCount;
+	try {
+		jobCount = getJobCountOption(args);
+	} catch (errorMessage) {
+		console.error(errorMessage);
+		process.exit(1);
+	}
+
 	// Check if fusesoc is available
 	if (!isFuseSoCAvailable()) {
 		console.error('Error: fusesoc command not found.');
@@ -114,45 +204,55 @@ function main() {
 	}
 	console.log('');
 
-	// Test each core
+	// Test the cores, several at once; the progress lines are in order of completion,
+	// and the summary and report are in order of the cores
 	let successCount = 0;
 	let failureCount = 0;
+	let completedCount = 0;
 	const failures = [];
+	const testsuites = [];
+	const startTime = new Date();
 
-	cores.forEach((coreName, index) => {
-		const progress = `[${index + 1}/${cores.length}]`;
-		
+	const runs = await runJobPool(cores, jobCount, async (coreName) => {
 		if (verbose) {
-			console.log(`${progress} Testing ${coreName}...`);
-		} else {
-			process.stdout.write(`${progress} ${coreName}... `);
+			console.log(`Testing ${coreName}...`);
 		}
 
-		const result = runFuseSoCSim(coreName, verbose);
+		const coreStartMs = Date.now();
+		const result = await runFuseSoCSimAsync(coreName, verbose);
+		const durationMs = Date.now() - coreStartMs;
+		const progress = `[${++completedCount}/${cores.length}]`;
 
 		if (result.success) {
-			successCount++;
 			if (verbose) {
 				console.log(`${progress} ✓ ${coreName}: ${result.message}`);
 			} else {
-				console.log('✓');
+				console.log(`${progress} ${coreName}... ✓`);
 			}
 		} else {
-			failureCount++;
-			failures.push({ coreName, message: result.message, output: result.output });
 			if (verbose) {
 				console.error(`${progress} ✗ ${coreName}: ${result.message}`);
-				if (result.output) {
-					console.error(result.output);
-				}
 			} else {
-				console.log('✗');
+				console.log(`${progress} ${coreName}... ✗`);
 			}
 		}
 
 		if (verbose) {
 			console.log('');
 		}
+
+		return { coreName, result, durationMs };
+	});
+
+	runs.forEach(({ coreName, result, durationMs }) => {
+		testsuites.push(createCoreTestSuite(coreName, result, durationMs));
+
+		if (result.success) {
+			successCount++;
+		} else {
+			failureCount++;
+			failures.push({ coreName, message: result.message, output: result.output });
+		}
 	});
 
 	// Summary
@@ -162,6 +262,20 @@ function main() {
 	console.log(`  Success: ${successCount}`);
 	console.log(`  Failed:  ${failureCount}`);
 
+	if (reportDirectory) {
+		const report = createTestReport({
+			name: 'test-cores',
+			startTime,
+			durationMs: Date.now() - startTime.getTime(),
+			testsuites
+		});
+
+		console.log('');
+		writeTestReports(report, reportDirectory).forEach((reportFilePath) => {
+			console.log(`Report: ${reportFilePath}`);
+		});
+	}
+
 	if (failures.length > 0) {
 		console.log('');
 		console.log('Failures:');
@@ -175,5 +289,8 @@ function main() {
 	console.log('All cores passed!');
 }
 
-main();
+main().catch((error) => {
+	console.error(error);
+	process.exit(1);
+});
 
@@ -0,0 +1,11 @@
+// 7404.js
+//
+// reference model of ttl_7404: Hex inverter
+//
+// © 2026 Tim Rudy
+
+import { invert } from './model-helper.js';
+
+export function evaluate({ A }, { BLOCKS }) {
+	return { Y: invert(A, BLOCKS) };
+}
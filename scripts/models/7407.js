@@ -0,0 +1,9 @@
+// 7407.js
+//
+// reference model of ttl_7407: Hex buffer/driver (OC)
+//
+// © 2026 Tim Rudy
+
+export function evaluate({ A }) {
+	return { Y: A };
+}
@@ -0,0 +1,9 @@
+// 7408.js
+//
+// reference model of ttl_7408: Quad 2-input AND gate
+//
+// © 2026 Tim Rudy
+
+import { createGateModel, reduceAnd } from './model-helper.js';
+
+export const evaluate = createGateModel(reduceAnd);
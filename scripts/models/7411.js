@@ -0,0 +1,9 @@
+// 7411.js
+//
+// reference model of ttl_7411: Triple 3-input AND gate
+//
+// © 2026 Tim Rudy
+
+import { createGateModel, reduceAnd } from './model-helper.js';
+
+export const evaluate = createGateModel(reduceAnd);
@@ -0,0 +1,54 @@
+// 74112.js
+//
+// reference model of ttl_74112: Dual J-K flip-flop with set and clear; negative-edge-triggered
+//
+// © 2026 Tim Rudy
+
+import { bit, evaluateFlipFlops, isFallingEdge } from './model-helper.js';
+
+export function createState({ BLOCKS }) {
+	return { Q: new Array(BLOCKS).fill(null), presetBarPrevious: new Array(BLOCKS).fill(0) };
+}
+
+// each block: cleared while Clear_bar is low, else at the falling edge of its clock, preset if
+// Preset_bar has fallen since the last such edge, or else set or reset by J and K, toggled if
+// both are high (as the Verilog does, which samples Preset_bar at the clock edge)
+export function update(state, previousInputs, { Preset_bar, Clear_bar, J, K, Clk }) {
+	const Q = [...state.Q],
+		presetBarPrevious = [...state.presetBarPrevious];
+
+	Q.forEach((value, blockIndex) => {
+		if (!bit(Clear_bar, blockIndex)) {
+			Q[blockIndex] = 0;
+			return;
+		}
+
+		if (!isFallingEdge(previousInputs.Clk, Clk, blockIndex)) {
+			return;
+		}
+
+		const isPresetBar = bit(Preset_bar, blockIndex);
+
+		if (!isPresetBar && presetBarPrevious[blockIndex]) {
+			Q[blockIndex] = 1;
+			return;
+		}
+
+		const isJ = bit(J, blockIndex),
+			isK = bit(K, blockIndex);
+
+		if (isJ !== isK) {
+			Q[blockIndex] = isJ;
+		} else if (isJ && value !== null) {
+			Q[blockIndex] = 1 - value;
+		}
+
+		presetBarPrevious[blockIndex] = isPresetBar;
+	});
+
+	return { Q, presetBarPrevious };
+}
+
+export function evaluate(inputs, parameters, { Q }) {
+	return evaluateFlipFlops(Q);
+}
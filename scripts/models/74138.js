@@ -0,0 +1,13 @@
+// 74138.js
+//
+// reference model of ttl_74138: 3-line to 8-line decoder/demultiplexer (inverted outputs)
+//
+// © 2026 Tim Rudy
+
+import { invert } from './model-helper.js';
+
+export function evaluate({ Enable1_bar, Enable2_bar, Enable3, A }, { WIDTH_OUT }) {
+	const isEnabled = !Enable1_bar && !Enable2_bar && Enable3;
+
+	return { Y: invert(isEnabled && A < WIDTH_OUT ? 2 ** A : 0, WIDTH_OUT) };
+}
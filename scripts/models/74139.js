@@ -0,0 +1,15 @@
+// 74139.js
+//
+// reference model of ttl_74139: Dual 2-line to 4-line decoder/demultiplexer (inverted outputs)
+//
+// © 2026 Tim Rudy
+
+import { bit, invert, pack, unpack } from './model-helper.js';
+
+export function evaluate({ Enable_bar, A_2D }, { BLOCKS, WIDTH_OUT, WIDTH_IN }) {
+	const blocks = unpack(A_2D, BLOCKS, WIDTH_IN).map((A, blockIndex) =>
+		invert(!bit(Enable_bar, blockIndex) && A < WIDTH_OUT ? 2 ** A : 0, WIDTH_OUT)
+	);
+
+	return { Y_2D: pack(blocks, WIDTH_OUT) };
+}
@@ -0,0 +1,20 @@
+// 74147.js
+//
+// reference model of ttl_74147: 10-line to 4-line priority encoder
+//
+// © 2026 Tim Rudy
+
+import { bit, invert } from './model-helper.js';
+
+// the highest input that is low (A_bar[8] for decimal 9) gives the BCD output, inverted
+export function evaluate({ A_bar }, { WIDTH_IN, WIDTH_OUT }) {
+	let code = 0;
+
+	for (let inputIndex = WIDTH_IN - 1; inputIndex >= 0 && !code; inputIndex--) {
+		if (!bit(A_bar, inputIndex)) {
+			code = inputIndex + 1;
+		}
+	}
+
+	return { Y_bar: invert(code, WIDTH_OUT) };
+}
@@ -0,0 +1,23 @@
+// 74148.js
+//
+// reference model of ttl_74148: 8-line to 3-line priority encoder
+//
+// © 2026 Tim Rudy
+
+import { bit, invert, mask } from './model-helper.js';
+
+// the highest input that is low gives the output code, inverted; GS_bar is low when any input
+// is low, and EO_bar is low when enabled and no input is low
+export function evaluate({ EI_bar, A_bar }, { WIDTH_IN, WIDTH_OUT }) {
+	if (EI_bar) {
+		return { EO_bar: 1, GS_bar: 1, Y_bar: mask(WIDTH_OUT) };
+	}
+
+	for (let inputIndex = WIDTH_IN - 1; inputIndex >= 0; inputIndex--) {
+		if (!bit(A_bar, inputIndex)) {
+			return { EO_bar: 1, GS_bar: 0, Y_bar: invert(inputIndex, WIDTH_OUT) };
+		}
+	}
+
+	return { EO_bar: 0, GS_bar: 1, Y_bar: mask(WIDTH_OUT) };
+}
@@ -0,0 +1,11 @@
+// 74150.js
+//
+// reference model of ttl_74150: 16-input multiplexer
+//
+// © 2026 Tim Rudy
+
+import { bit } from './model-helper.js';
+
+export function evaluate({ Enable_bar, Select, D }) {
+	return { Y_bar: 1 - (!Enable_bar ? bit(D, Select) : 0) };
+}
@@ -0,0 +1,13 @@
+// 74151.js
+//
+// reference model of ttl_74151: 8-input multiplexer
+//
+// © 2026 Tim Rudy
+
+import { bit } from './model-helper.js';
+
+export function evaluate({ Enable_bar, Select, D }) {
+	const Y = !Enable_bar ? bit(D, Select) : 0;
+
+	return { Y, Y_bar: 1 - Y };
+}
@@ -0,0 +1,15 @@
+// 74153.js
+//
+// reference model of ttl_74153: Dual 4-input multiplexer
+//
+// © 2026 Tim Rudy
+
+import { bit, pack, unpack } from './model-helper.js';
+
+export function evaluate({ Enable_bar, Select, A_2D }, { BLOCKS, WIDTH_IN }) {
+	return {
+		Y: pack(unpack(A_2D, BLOCKS, WIDTH_IN).map((A, blockIndex) =>
+			!bit(Enable_bar, blockIndex) ? bit(A, Select) : 0
+		))
+	};
+}
@@ -0,0 +1,13 @@
+// 74154.js
+//
+// reference model of ttl_74154: 4-line to 16-line decoder/demultiplexer (inverted outputs)
+//
+// © 2026 Tim Rudy
+
+import { invert } from './model-helper.js';
+
+export function evaluate({ Enable1_bar, Enable2_bar, A }, { WIDTH_OUT }) {
+	const isEnabled = !Enable1_bar && !Enable2_bar;
+
+	return { Y: invert(isEnabled && A < WIDTH_OUT ? 2 ** A : 0, WIDTH_OUT) };
+}
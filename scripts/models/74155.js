@@ -0,0 +1,21 @@
+// 74155.js
+//
+// reference model of ttl_74155: Dual 2-line to 4-line decoder/demultiplexer (inverted outputs)
+//
+// © 2026 Tim Rudy
+
+import { invert, pack } from './model-helper.js';
+
+// block 0 is enabled by Enable1C and Enable1G_bar, block 1 by Enable2C_bar and Enable2G_bar
+export function evaluate(
+	{ Enable1C, Enable1G_bar, Enable2C_bar, Enable2G_bar, A },
+	{ BLOCK0, BLOCK1, WIDTH_OUT }
+) {
+	const decode = (isEnabled) => invert(isEnabled && A < WIDTH_OUT ? 2 ** A : 0, WIDTH_OUT),
+		blocks = [];
+
+	blocks[BLOCK0] = decode(Enable1C && !Enable1G_bar);
+	blocks[BLOCK1] = decode(!Enable2C_bar && !Enable2G_bar);
+
+	return { Y_2D: pack(blocks, WIDTH_OUT) };
+}
@@ -0,0 +1,13 @@
+// 74157.js
+//
+// reference model of ttl_74157: Quad 2-input multiplexer
+//
+// © 2026 Tim Rudy
+
+import { bit, pack, unpack } from './model-helper.js';
+
+export function evaluate({ Enable_bar, Select, A_2D }, { BLOCKS, WIDTH_IN }) {
+	return {
+		Y: pack(unpack(A_2D, BLOCKS, WIDTH_IN).map((A) => (!Enable_bar ? bit(A, Select) : 0)))
+	};
+}
@@ -0,0 +1,13 @@
+// 74158.js
+//
+// reference model of ttl_74158: Quad 2-input multiplexer (inverted outputs)
+//
+// © 2026 Tim Rudy
+
+import { bit, invert, pack, unpack } from './model-helper.js';
+
+export function evaluate({ Enable_bar, Select, A_2D }, { BLOCKS, WIDTH_IN }) {
+	const Y = pack(unpack(A_2D, BLOCKS, WIDTH_IN).map((A) => (!Enable_bar ? bit(A, Select) : 0)));
+
+	return { Y_bar: invert(Y, BLOCKS) };
+}
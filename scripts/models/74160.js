@@ -0,0 +1,12 @@
+// 74160.js
+//
+// reference model of ttl_74160: 4-bit BCD decade counter with parallel load, asynchronous clear
+//
+// © 2026 Tim Rudy
+
+import { createCounterModel } from './model-helper.js';
+
+export const { createState, update, evaluate } = createCounterModel({
+	isDecade: true,
+	isClearSynchronous: false
+});
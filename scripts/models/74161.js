@@ -0,0 +1,13 @@
+// 74161.js
+//
+// reference model of ttl_74161: 4-bit modulo 16 binary counter with parallel load,
+// asynchronous clear
+//
+// © 2026 Tim Rudy
+
+import { createCounterModel } from './model-helper.js';
+
+export const { createState, update, evaluate } = createCounterModel({
+	isDecade: false,
+	isClearSynchronous: false
+});
@@ -0,0 +1,12 @@
+// 74162.js
+//
+// reference model of ttl_74162: 4-bit BCD decade counter with parallel load, synchronous clear
+//
+// © 2026 Tim Rudy
+
+import { createCounterModel } from './model-helper.js';
+
+export const { createState, update, evaluate } = createCounterModel({
+	isDecade: true,
+	isClearSynchronous: true
+});
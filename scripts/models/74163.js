@@ -0,0 +1,13 @@
+// 74163.js
+//
+// reference model of ttl_74163: 4-bit modulo 16 binary counter with parallel load,
+// synchronous clear
+//
+// © 2026 Tim Rudy
+
+import { createCounterModel } from './model-helper.js';
+
+export const { createState, update, evaluate } = createCounterModel({
+	isDecade: false,
+	isClearSynchronous: true
+});
@@ -0,0 +1,50 @@
+// 74181.js
+//
+// reference model of ttl_74181: 4-bit arithmetic logic unit
+//
+// © 2026 Tim Rudy
+
+import { bit, pack, reduceAnd, reduceOr } from './model-helper.js';
+
+// the logic diagram of the datasheet, bit by bit: propagate P and generate G of each A, B bit
+// pair, the internal carries (inhibited by Mode for the logic functions), then the outputs
+export function evaluate({ Select, Mode, C_in, A_bar, B_bar }, { WIDTH }) {
+	const S = (index) => bit(Select, index),
+		P = [],
+		G = [];
+
+	for (let i = 0; i < WIDTH; i++) {
+		const A = bit(A_bar, i),
+			B = bit(B_bar, i);
+
+		P[i] = 1 - ((A & (1 - B) & S(2)) | (A & B & S(3)));
+		G[i] = 1 - (A | (B & S(0)) | ((1 - B) & S(1)));
+	}
+
+	// all of P[from..to], or 1 if there are none
+	const allP = (from, to) => P.slice(from, to + 1).every((value) => value) ? 1 : 0;
+
+	const C = P.map((_, i) => {
+		let carry = C_in & allP(0, i - 1);
+
+		for (let j = 0; j < i; j++) {
+			carry |= G[j] & allP(j + 1, i - 1);
+		}
+
+		return 1 - (carry & (1 - Mode));
+	});
+
+	const CG = G.map((value, i) => value & allP(i + 1, WIDTH - 1));
+
+	const F = pack(P.map((value, i) => value ^ G[i] ^ C[i])),
+		Pall = reduceAnd(pack(P), WIDTH),
+		CGany = reduceOr(pack(CG), WIDTH);
+
+	return {
+		CP_bar: 1 - Pall,
+		CG_bar: 1 - CGany,
+		Equal: reduceAnd(F, WIDTH),
+		C_out: (C_in & Pall) | CGany,
+		F_bar: F
+	};
+}
@@ -0,0 +1,9 @@
+// 7420.js
+//
+// reference model of ttl_7420: Dual 4-input NAND gate
+//
+// © 2026 Tim Rudy
+
+import { createGateModel, reduceAnd } from './model-helper.js';
+
+export const evaluate = createGateModel((inputs, width) => 1 - reduceAnd(inputs, width));
@@ -0,0 +1,9 @@
+// 7421.js
+//
+// reference model of ttl_7421: Dual 4-input AND gate
+//
+// © 2026 Tim Rudy
+
+import { createGateModel, reduceAnd } from './model-helper.js';
+
+export const evaluate = createGateModel(reduceAnd);
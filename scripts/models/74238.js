@@ -0,0 +1,11 @@
+// 74238.js
+//
+// reference model of ttl_74238: 3-line to 8-line decoder/demultiplexer (active high outputs)
+//
+// © 2026 Tim Rudy
+
+export function evaluate({ Enable1_bar, Enable2_bar, Enable3, A }, { WIDTH_OUT }) {
+	const isEnabled = !Enable1_bar && !Enable2_bar && Enable3;
+
+	return { Y: isEnabled && A < WIDTH_OUT ? 2 ** A : 0 };
+}
@@ -0,0 +1,9 @@
+// 74260.js
+//
+// reference model of ttl_74260: Dual 5-input NOR gate
+//
+// © 2026 Tim Rudy
+
+import { createGateModel, reduceOr } from './model-helper.js';
+
+export const evaluate = createGateModel((inputs, width) => 1 - reduceOr(inputs, width));
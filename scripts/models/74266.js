@@ -0,0 +1,9 @@
+// 74266.js
+//
+// reference model of ttl_74266: Quad 2-input XNOR gate (OC)
+//
+// © 2026 Tim Rudy
+
+import { createGateModel, reduceXor } from './model-helper.js';
+
+export const evaluate = createGateModel((inputs, width) => 1 - reduceXor(inputs, width));
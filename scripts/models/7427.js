@@ -0,0 +1,9 @@
+// 7427.js
+//
+// reference model of ttl_7427: Triple 3-input NOR gate
+//
+// © 2026 Tim Rudy
+
+import { createGateModel, reduceOr } from './model-helper.js';
+
+export const evaluate = createGateModel((inputs, width) => 1 - reduceOr(inputs, width));
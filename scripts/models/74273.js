@@ -0,0 +1,23 @@
+// 74273.js
+//
+// reference model of ttl_74273: Octal D flip-flop with clear
+//
+// © 2026 Tim Rudy
+
+import { isRisingEdge } from './model-helper.js';
+
+export function createState() {
+	return { Q: null };
+}
+
+export function update(state, previousInputs, { Clear_bar, D, Clk }) {
+	if (!Clear_bar) {
+		return { Q: 0 };
+	}
+
+	return isRisingEdge(previousInputs.Clk, Clk) ? { Q: D } : state;
+}
+
+export function evaluate(inputs, parameters, { Q }) {
+	return { Q };
+}
@@ -0,0 +1,13 @@
+// 74283.js
+//
+// reference model of ttl_74283: 4-bit binary full adder with fast carry
+//
+// © 2026 Tim Rudy
+
+import { mask } from './model-helper.js';
+
+export function evaluate({ A, B, C_in }, { WIDTH }) {
+	const total = A + B + C_in;
+
+	return { Sum: total & mask(WIDTH), C_out: total > mask(WIDTH) ? 1 : 0 };
+}
@@ -0,0 +1,11 @@
+// 7430.js
+//
+// reference model of ttl_7430: 8-input NAND gate
+//
+// © 2026 Tim Rudy
+
+import { reduceAnd } from './model-helper.js';
+
+export function evaluate({ A }, { WIDTH_IN }) {
+	return { Y: 1 - reduceAnd(A, WIDTH_IN) };
+}
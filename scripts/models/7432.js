@@ -0,0 +1,9 @@
+// 7432.js
+//
+// reference model of ttl_7432: Quad 2-input OR gate
+//
+// © 2026 Tim Rudy
+
+import { createGateModel, reduceOr } from './model-helper.js';
+
+export const evaluate = createGateModel(reduceOr);
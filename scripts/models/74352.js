@@ -0,0 +1,15 @@
+// 74352.js
+//
+// reference model of ttl_74352: Dual 4-input multiplexer (inverted outputs)
+//
+// © 2026 Tim Rudy
+
+import { bit, invert, pack, unpack } from './model-helper.js';
+
+export function evaluate({ Enable_bar, Select, A_2D }, { BLOCKS, WIDTH_IN }) {
+	const Y = pack(unpack(A_2D, BLOCKS, WIDTH_IN).map((A, blockIndex) =>
+		!bit(Enable_bar, blockIndex) ? bit(A, Select) : 0
+	));
+
+	return { Y_bar: invert(Y, BLOCKS) };
+}
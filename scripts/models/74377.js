@@ -0,0 +1,19 @@
+// 74377.js
+//
+// reference model of ttl_74377: Octal D flip-flop with enable
+//
+// © 2026 Tim Rudy
+
+import { isRisingEdge } from './model-helper.js';
+
+export function createState() {
+	return { Q: null };
+}
+
+export function update(state, previousInputs, { Enable_bar, D, Clk }) {
+	return !Enable_bar && isRisingEdge(previousInputs.Clk, Clk) ? { Q: D } : state;
+}
+
+export function evaluate(inputs, parameters, { Q }) {
+	return { Q };
+}
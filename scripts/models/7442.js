@@ -0,0 +1,12 @@
+// 7442.js
+//
+// reference model of ttl_7442: BCD to decimal one-of-ten decoder
+//
+// © 2026 Tim Rudy
+
+import { invert } from './model-helper.js';
+
+// an input code above the last output (e.g. 10 to 15 for BCD) selects no output
+export function evaluate({ A }, { WIDTH_OUT }) {
+	return { Y: invert(A < WIDTH_OUT ? 2 ** A : 0, WIDTH_OUT) };
+}
@@ -0,0 +1,40 @@
+// 7473.js
+//
+// reference model of ttl_7473: Dual J-K flip-flop with clear; negative-edge-triggered
+//
+// © 2026 Tim Rudy
+
+import { bit, evaluateFlipFlops, isFallingEdge } from './model-helper.js';
+
+export function createState({ BLOCKS }) {
+	return { Q: new Array(BLOCKS).fill(null) };
+}
+
+// each block: cleared while Clear_bar is low, else at the falling edge of its clock, set or
+// reset by J and K, toggled if both are high
+export function update(state, previousInputs, { Clear_bar, J, K, Clk }) {
+	return {
+		Q: state.Q.map((Q, blockIndex) => {
+			if (!bit(Clear_bar, blockIndex)) {
+				return 0;
+			}
+
+			if (!isFallingEdge(previousInputs.Clk, Clk, blockIndex)) {
+				return Q;
+			}
+
+			const isJ = bit(J, blockIndex),
+				isK = bit(K, blockIndex);
+
+			if (isJ !== isK) {
+				return isJ;
+			}
+
+			return isJ && Q !== null ? 1 - Q : Q;
+		})
+	};
+}
+
+export function evaluate(inputs, parameters, { Q }) {
+	return evaluateFlipFlops(Q);
+}
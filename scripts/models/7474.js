@@ -0,0 +1,46 @@
+// 7474.js
+//
+// reference model of ttl_7474: Dual D flip-flop with set and clear; positive-edge-triggered
+//
+// © 2026 Tim Rudy
+
+import { bit, evaluateFlipFlops, isRisingEdge } from './model-helper.js';
+
+export function createState({ BLOCKS }) {
+	return { Q: new Array(BLOCKS).fill(null), presetBarPrevious: new Array(BLOCKS).fill(0) };
+}
+
+// each block: cleared while Clear_bar is low, else at the rising edge of its clock, preset if
+// Preset_bar has fallen since the last such edge, or else loaded from D (as the Verilog does,
+// which samples Preset_bar at the clock edge)
+export function update(state, previousInputs, { Preset_bar, Clear_bar, D, Clk }) {
+	const Q = [...state.Q],
+		presetBarPrevious = [...state.presetBarPrevious];
+
+	Q.forEach((value, blockIndex) => {
+		if (!bit(Clear_bar, blockIndex)) {
+			Q[blockIndex] = 0;
+			return;
+		}
+
+		if (!isRisingEdge(previousInputs.Clk, Clk, blockIndex)) {
+			return;
+		}
+
+		const isPresetBar = bit(Preset_bar, blockIndex);
+
+		if (!isPresetBar && presetBarPrevious[blockIndex]) {
+			Q[blockIndex] = 1;
+			return;
+		}
+
+		Q[blockIndex] = bit(D, blockIndex);
+		presetBarPrevious[blockIndex] = isPresetBar;
+	});
+
+	return { Q, presetBarPrevious };
+}
+
+export function evaluate(inputs, parameters, { Q }) {
+	return evaluateFlipFlops(Q);
+}
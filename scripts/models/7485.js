@@ -0,0 +1,21 @@
+// 7485.js
+//
+// reference model of ttl_7485: 4-bit magnitude comparator
+//
+// © 2026 Tim Rudy
+
+// the cascade inputs decide when A equals B; the abnormal combinations of them (Equal_in low,
+// and ALess_in equal to AGreater_in) give the outputs of the datasheet's parallel expansion
+export function evaluate({ A, B, ALess_in, Equal_in, AGreater_in }) {
+	if (A === B && !Equal_in && ALess_in === AGreater_in) {
+		return { ALess_out: 1 - ALess_in, Equal_out: 0, AGreater_out: 1 - AGreater_in };
+	}
+
+	const Equal_out = A === B && Equal_in ? 1 : 0;
+
+	return {
+		ALess_out: !Equal_out && (A < B || (A === B && ALess_in)) ? 1 : 0,
+		Equal_out,
+		AGreater_out: !Equal_out && (A > B || (A === B && AGreater_in)) ? 1 : 0
+	};
+}
@@ -0,0 +1,9 @@
+// 7486.js
+//
+// reference model of ttl_7486: Quad 2-input XOR gate
+//
+// © 2026 Tim Rudy
+
+import { createGateModel, reduceXor } from './model-helper.js';
+
+export const evaluate = createGateModel(reduceXor);
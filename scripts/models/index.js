@@ -0,0 +1,128 @@
+// index.js
+//
+// the reference models of the devices in source-7400, one module per device, as golden models:
+// to give the expected outputs of a generated test bench, or to simulate a part (e.g. in a web
+// tool) without a Verilog simulator
+//
+// - a model gives the device's behaviour by its Verilog port names, with port values as whole
+//   numbers (see model-helper.js) and parameters as the numbers of the module's parameters:
+//   - evaluate(inputs, parameters, state): the output port values, e.g. { Y: 0b0110 }
+//   - of a sequential device, also createState(parameters): the state at power-up, and
+//     update(state, previousInputs, inputs, parameters): the state after the inputs change from
+//     previousInputs to inputs, at once; so a clock edge is seen as a step whose clock input
+//     differs from the one before, and the other inputs should not change in that same step
+// - the models have no dependencies on Node.js, so they can be bundled for a browser
+// - the models are compared with the Verilog modules run under Icarus Verilog: the combinational
+//   ones for every input vector by validate/check-truth-tables.js, and all of them, the
+//   sequential ones included, by seeded random stimulus in validate/fuzz-devices.js; npm test
+//   runs both, the fuzzing with a fixed seed (npm run fuzz-devices-seeded), so a model that
+//   differs from its Verilog module fails the tests
+//
+// © 2026 Tim Rudy
+
+import * as model7400 from './7400.js';
+import * as model7402 from './7402.js';
+import * as model7404 from './7404.js';
+import * as model7407 from './7407.js';
+import * as model7408 from './7408.js';
+import * as model7410 from './7410.js';
+import * as model7411 from './7411.js';
+import * as model7420 from './7420.js';
+import * as model7421 from './7421.js';
+import * as model7427 from './7427.js';
+import * as model7430 from './7430.js';
+import * as model7432 from './7432.js';
+import * as model7442 from './7442.js';
+import * as model7473 from './7473.js';
+import * as model7474 from './7474.js';
+import * as model7485 from './7485.js';
+import * as model7486 from './7486.js';
+import * as model74112 from './74112.js';
+import * as model74138 from './74138.js';
+import * as model74139 from './74139.js';
+import * as model74147 from './74147.js';
+import * as model74148 from './74148.js';
+import * as model74150 from './74150.js';
+import * as model74151 from './74151.js';
+import * as model74153 from './74153.js';
+import * as model74154 from './74154.js';
+import * as model74155 from './74155.js';
+import * as model74157 from './74157.js';
+import * as model74158 from './74158.js';
+import * as model74160 from './74160.js';
+import * as model74161 from './74161.js';
+import * as model74162 from './74162.js';
+import * as model74163 from './74163.js';
+import * as model74181 from './74181.js';
+import * as model74238 from './74238.js';
+import * as model74260 from './74260.js';
+import * as model74266 from './74266.js';
+import * as model74273 from './74273.js';
+import * as model74283 from './74283.js';
+import * as model74352 from './74352.js';
+import * as model74377 from './74377.js';
+
+export const DEVICE_MODELS = {
+	7400: model7400,
+	7402: model7402,
+	7404: model7404,
+	7407: model7407,
+	7408: model7408,
+	7410: model7410,
+	7411: model7411,
+	7420: model7420,
+	7421: model7421,
+	7427: model7427,
+	7430: model7430,
+	7432: model7432,
+	7442: model7442,
+	7473: model7473,
+	7474: model7474,
+	7485: model7485,
+	7486: model7486,
+	74112: model74112,
+	74138: model74138,
+	74139: model74139,
+	74147: model74147,
+	74148: model74148,
+	74150: model74150,
+	74151: model74151,
+	74153: model74153,
+	74154: model74154,
+	74155: model74155,
+	74157: model74157,
+	74158: model74158,
+	74160: model74160,
+	74161: model74161,
+	74162: model74162,
+	74163: model74163,
+	74181: model74181,
+	74238: model74238,
+	74260: model74260,
+	74266: model74266,
+	74273: model74273,
+	74283: model74283,
+	74352: model74352,
+	74377: model74377
+};
+
+export function isSequentialModel(model) {
+	return typeof model.createState === 'function';
+}
+
+// run a model through a sequence of inputs, from power-up; gives the outputs after each step
+//
+export function runModel(model, parameters, inputSequence) {
+	let state = isSequentialModel(model) ? model.createState(parameters) : null,
+		previousInputs = inputSequence[0];
+
+	return inputSequence.map((inputs) => {
+		if (state !== null) {
+			state = model.update(state, previousInputs, inputs, parameters);
+		}
+
+		previousInputs = inputs;
+
+		return model.evaluate(inputs, parameters, state);
+	});
+}
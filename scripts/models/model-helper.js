@@ -0,0 +1,139 @@
+// model-helper.js
+//
+// utility functions for the reference models in this directory: bit operations on port values,
+// edges, and the models shared by families of devices
+//
+// - a port value is a non-negative whole number, bit i being bit [i] of the Verilog port;
+//   ports are at most 32 bits wide at default parameters
+// - the state of a register that has not been cleared, loaded or clocked yet is not known,
+//   as in simulation; a model gives null for an output port that depends on it
+// - an unpacked array port ('_2D', e.g. A_2D) holds block i in bits [i*WIDTH+:WIDTH], as the
+//   ASSIGN_UNPACK_ARRAY and PACK_ARRAY macros of includes/helper.v do
+//
+// © 2026 Tim Rudy
+
+export function mask(width) {
+	return width >= 32 ? 0xffffffff : (1 << width) - 1;
+}
+
+export function bit(value, index) {
+	return (value >>> index) & 1;
+}
+
+export function invert(value, width) {
+	return (~value & mask(width)) >>> 0;
+}
+
+// give the blocks of an unpacked array port: [block 0, block 1, ...]
+//
+export function unpack(value, blockCount, blockWidth) {
+	return Array.from({ length: blockCount }, (_, blockIndex) =>
+		((value >>> (blockIndex * blockWidth)) & mask(blockWidth)) >>> 0
+	);
+}
+
+// give the port value of an array of blocks, or of bits if blockWidth is 1
+//
+export function pack(blocks, blockWidth = 1) {
+	return blocks.reduce(
+		(value, block, blockIndex) =>
+			value + ((block & mask(blockWidth)) >>> 0) * 2 ** (blockIndex * blockWidth),
+		0
+	);
+}
+
+export function reduceAnd(value, width) {
+	return ((value & mask(width)) >>> 0) === mask(width) ? 1 : 0;
+}
+
+export function reduceOr(value, width) {
+	return value & mask(width) ? 1 : 0;
+}
+
+export function reduceXor(value, width) {
+	let result = 0;
+
+	for (let index = 0; index < width; index++) {
+		result ^= bit(value, index);
+	}
+
+	return result;
+}
+
+// give the model of a device of BLOCKS gates with WIDTH_IN inputs each (A_2D), and one output
+// each (Y), where reduce gives a gate's output from its inputs and width
+//
+export function createGateModel(reduce) {
+	return ({ A_2D }, { BLOCKS, WIDTH_IN }) => ({
+		Y: pack(unpack(A_2D, BLOCKS, WIDTH_IN).map((inputs) => reduce(inputs, WIDTH_IN)))
+	});
+}
+
+export function isRisingEdge(previousValue, value, index = 0) {
+	return !bit(previousValue, index) && !!bit(value, index);
+}
+
+export function isFallingEdge(previousValue, value, index = 0) {
+	return !!bit(previousValue, index) && !bit(value, index);
+}
+
+// give the port value of bits that may not be known (null), as null if any is not known
+//
+export function packKnown(bits) {
+	return bits.some((value) => value === null) ? null : pack(bits);
+}
+
+// give the model of a synchronous 4-bit counter of the 74160 family (Clear_bar, Load_bar, ENT,
+// ENP, D, Clk; RCO, Q), where isDecade counts 0 to 9 (abnormal states above 9 return to the
+// count range as the datasheet gives), and isClearSynchronous clears at the clock edge only
+//
+export function createCounterModel({ isDecade, isClearSynchronous }) {
+	const decadeNext = { 9: 0, 10: 9, 11: 4, 12: 9, 13: 0, 14: 9, 15: 0 };
+
+	const getNext = (Q, WIDTH) =>
+		isDecade && decadeNext[Q] !== undefined ? decadeNext[Q] : (Q + 1) & mask(WIDTH);
+
+	return {
+		createState: () => ({ Q: null }),
+
+		update(state, previousInputs, inputs, { WIDTH }) {
+			const { Clear_bar, Load_bar, ENT, ENP, D, Clk } = inputs,
+				isClockEdge = isRisingEdge(previousInputs.Clk, Clk);
+
+			if (!Clear_bar && (isClockEdge || !isClearSynchronous)) {
+				return { Q: 0 };
+			}
+
+			if (!isClockEdge) {
+				return state;
+			}
+
+			if (!Load_bar) {
+				return { Q: D };
+			}
+
+			if (ENT && ENP) {
+				return { Q: state.Q === null ? null : getNext(state.Q, WIDTH) };
+			}
+
+			return state;
+		},
+
+		evaluate({ ENT }, { WIDTH }, { Q }) {
+			const isTerminalCount = isDecade ? Q === 9 : Q === mask(WIDTH);
+
+			return {
+				RCO: !ENT ? 0 : Q === null ? null : isTerminalCount ? 1 : 0,
+				Q
+			};
+		}
+	};
+}
+
+// give the outputs Q and Q_bar of flip-flops, each of whose state may not be known (null)
+//
+export function evaluateFlipFlops(Q) {
+	const value = packKnown(Q);
+
+	return { Q: value, Q_bar: value === null ? null : invert(value, Q.length) };
+}
@@ -3,20 +3,87 @@
 // check that the library's index file 'device-index.md' lists every IC device file '*.v'
 // found in the directories at or below it, and does not list any non-existent device file
 //
-// - arguments: none
+// - argument (optional): "--fix" first rewrite the index from the device catalog: each device
+//   listed under its category heading, with the description line of its device file; existing
+//   headings keep their order, a device keeps its pinout drawing link, and a device with no
+//   category is reported and not listed
 //
 // © 2019-2024 Tim Rudy
 
 import walkSync from 'walk-sync';
 
 import { EOL } from '../common/constants.js';
-import { FsReadFileHelper } from '../common/fs-file-helper.js';
+import {
+	formatDeviceIndexLine,
+	INDEX_FILE_NAME,
+	parseDeviceIndex
+} from '../common/device-index-helper.js';
+import { FsReadWriteFileHelper } from '../common/fs-file-helper.js';
 import { FsPathHelper } from '../common/fs-path-helper.js';
 import { isRegExpMatchStrictMinLength } from '../common/text-helper.js';
+import { buildDeviceCatalog } from '../generate/generate-catalog.js';
 
-const indexFileName = 'device-index.md';
+const indexFileName = INDEX_FILE_NAME;
 
 class IndexFileDeviceFilesService {
+	fixIndexedDeviceFiles(indexFileText, catalog) {
+		const firstHeadingIndex = indexFileText.search(/^## /m),
+			preamble = firstHeadingIndex > 0 ? indexFileText.substring(0, firstHeadingIndex) : '';
+
+		// the existing headings in their order; a new category from the catalog goes at the end
+		const categories = parseDeviceIndex(indexFileText),
+			headings = categories.map(({ heading }) => heading),
+			devicesByHeading = {},
+			uncategorizedDevices = [];
+
+		// a device keeps the pinout drawing link it has (see generate-pinouts.js)
+		const pinoutPathMap = {};
+
+		categories.forEach(({ devices }) => {
+			devices.forEach(({ deviceNumber, pinoutPath }) => {
+				pinoutPathMap[deviceNumber] = pinoutPath;
+			});
+		});
+
+		catalog.devices.forEach((device) => {
+			if (!device.category) {
+				uncategorizedDevices.push(device.partNumber);
+				return;
+			}
+
+			if (!headings.includes(device.category)) {
+				headings.push(device.category);
+			}
+
+			(devicesByHeading[device.category] = devicesByHeading[device.category] || []).push(device);
+		});
+
+		const sections = headings.map((heading) =>
+			[
+				'## ' + heading,
+				...(devicesByHeading[heading] || [])
+					.sort((a, b) => Number(a.partNumber) - Number(b.partNumber))
+					.map(({ partNumber, file, description }) =>
+						formatDeviceIndexLine({
+							deviceNumber: partNumber,
+							devicePath: file,
+							description,
+							pinoutPath: pinoutPathMap[partNumber]
+						})
+					)
+			].join(EOL)
+		);
+
+		uncategorizedDevices.forEach((partNumber) => {
+			console.log('No category: ' + partNumber + ' (not listed; give it a "category" in its metadata)');
+		});
+
+		return {
+			indexFileText: preamble + sections.join(EOL + EOL) + EOL,
+			uncategorizedDevices
+		};
+	}
+
 	checkIndexedDeviceFiles(indexFileText, deviceFilePathList) {
 		// hyperlink expression in the markdown looks like: [{deviceNumber}]({deviceFilePath})
 		const indexFileDeviceRefRegExp = new RegExp('\\[([0-9]+[A-Z]{0,1})\\]\\((.*?([0-9]+[A-Z]{0,1})\\.v)\\)', 'i');
@@ -85,6 +152,8 @@ const indexFileService = new IndexFileDeviceFilesService();
 
 // main
 
+const isFix = process.argv.length > 2 && process.argv[2] === '--fix';
+
 const fsPath = new FsPathHelper(),
 	baseDirectory = fsPath.getReferenceRootDirectory();
 
@@ -98,18 +167,30 @@ const deviceFilePathList = walkSync(baseDirectory, {
 		'docs/**',
 		'images/**',
 		'includes/**',
-		'scripts/**'
+		'scripts/**',
+		'source-7400-dip/**'
 	]
 });
 
-const fsTopLevelIndexInput = new FsReadFileHelper(baseDirectory),
-	indexFileText = fsTopLevelIndexInput.readFile(indexFileName);
+const fsTopLevelIndex = new FsReadWriteFileHelper(baseDirectory);
+
+let indexFileText = fsTopLevelIndex.readFile(indexFileName),
+	uncategorizedDevices = [];
+
+if (isFix) {
+	({ indexFileText, uncategorizedDevices } = indexFileService.fixIndexedDeviceFiles(
+		indexFileText,
+		buildDeviceCatalog(baseDirectory)
+	));
+
+	fsTopLevelIndex.writeFile(indexFileName, indexFileText);
+}
 
 const testResult = indexFileService.checkIndexedDeviceFiles(
 	indexFileText,
 	deviceFilePathList
 );
 
-if (!testResult.startsWith('Passed')) {
+if (!testResult.startsWith('Passed') || uncategorizedDevices.length) {
 	process.exit(1);
 }
@@ -0,0 +1,242 @@
+// check-synthesis.js
+//
+// validate that every IC device '*.v' synthesizes: run it (with includes/helper.v) through
+// yosys, for a generic target and for the iCE40 FPGA target
+//
+// - a device fails if yosys stops with an error (e.g. an unsynthesizable construct), if a latch
+//   is inferred, or if yosys gives a warning that is not on the allowlist below
+// - a device's DIP package wrapper in source-7400-dip is synthesized with it, for the generic
+//   target, and fails the device in the same way; so a pin mapped to a missing port, or to a
+//   port of another width, is caught
+// - the cell count of each device, per target, is recorded in
+//   scripts/validate/output/synthesis/cell-counts.json
+//
+// - argument (optional): "--jobs <count>" number of devices to synthesize at once
+//   (default: one per processor)
+// - arguments (optional): device selectors, to check only some devices: device numbers, globs
+//   ("741*") or device-index.md categories ("Counters")
+//
+// Usage: node check-synthesis.js [--jobs <count>] [selector ...]
+// Example: node check-synthesis.js
+// Example: node check-synthesis.js 74161 Counters
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+
+import { EOL } from '../common/constants.js';
+import { getDeviceCategoryMap, INDEX_FILE_NAME } from '../common/device-index-helper.js';
+import { selectDevices } from '../common/device-selection-helper.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { FsPathHelper } from '../common/fs-path-helper.js';
+import { getJobCountOption, runJobPool } from '../common/job-pool-helper.js';
+import { SYNTHESIS_TARGETS, SynthesisService } from './synthesis-service.js';
+
+const sourceSubDirectory = 'source-7400/',
+	dipWrappersSubDirectory = 'source-7400-dip/',
+	includesSubDirectory = 'includes/',
+	workingSubDirectory = 'scripts/validate/',
+	outputSubDirectory = 'output/synthesis/',
+	cellCountsFileName = 'cell-counts.json';
+
+// warnings that are expected from the way the library is written, and do not fail a device
+const allowedWarnings = [
+	{
+		// an unpacked array assigned in an always block, e.g. 'computed' in 74139
+		pattern: /^Warning: Replacing memory .* with list of registers/,
+		reason: 'arrays of registers are the library style for devices with several blocks'
+	}
+];
+
+const failureKinds = {
+	error: 'Synthesis error',
+	latch: 'Latch inferred',
+	warning: 'Warning not on allowlist'
+};
+
+// the target name under which a DIP wrapper's failures are given
+const dipWrapperTargetName = 'DIP wrapper';
+
+// synthesize every device for every target, collecting every failure;
+// resolves to the overall result with the per-device results
+//
+async function checkAll(
+	synthesisService,
+	deviceNumbers,
+	dipWrapperFileNames,
+	jobCount,
+	outputDirectory
+) {
+	const deviceResults = await runJobPool(deviceNumbers, jobCount, async (deviceNumber) => {
+		const targets = {},
+			failures = [];
+
+		const addFailures = (target, result) => {
+			const addFailure = (kind, message) => {
+				failures.push({ kind, deviceNumber, target, message });
+			};
+
+			if (result.errorMessage) {
+				addFailure(failureKinds.error, result.errorMessage);
+			}
+
+			result.latches.forEach((message) => addFailure(failureKinds.latch, message));
+
+			result.warnings
+				.filter((line) => !allowedWarnings.some(({ pattern }) => pattern.test(line)))
+				.forEach((line) => addFailure(failureKinds.warning, line));
+		};
+
+		let moduleName;
+
+		for (const target of Object.keys(SYNTHESIS_TARGETS)) {
+			const result = await synthesisService.synthesizeDevice(
+				deviceNumber,
+				target,
+				FsPathHelper.resolve(outputDirectory, target, deviceNumber)
+			);
+
+			addFailures(target, result);
+
+			moduleName = result.moduleName;
+			targets[target] = result.cells;
+		}
+
+		if (dipWrapperFileNames[deviceNumber]) {
+			addFailures(
+				dipWrapperTargetName,
+				await synthesisService.synthesizeDipWrapper(
+					deviceNumber,
+					dipWrapperFileNames[deviceNumber],
+					FsPathHelper.resolve(outputDirectory, 'dip', deviceNumber)
+				)
+			);
+		}
+
+		return { deviceNumber, moduleName, targets, failures };
+	});
+
+	const failures = deviceResults.flatMap(({ failures }) => failures);
+
+	let resultMessage;
+
+	failures.forEach(({ kind, deviceNumber, target, message }) => {
+		console.log('Failed at: ' + kind + ': Device ' + deviceNumber + ' (' + target + '): ' + message);
+	});
+
+	if (!failures.length) {
+		resultMessage =
+			'Passed: Synthesis ' +
+			deviceResults.length +
+			' devices for targets ' +
+			Object.keys(SYNTHESIS_TARGETS).join(', ') +
+			', and ' +
+			deviceResults.filter(({ deviceNumber }) => dipWrapperFileNames[deviceNumber]).length +
+			' DIP wrappers';
+	} else {
+		resultMessage =
+			'Failed: Synthesis ' +
+			failures.length +
+			' failures in ' +
+			deviceResults.filter(({ failures }) => failures.length).length +
+			' of ' +
+			deviceResults.length +
+			' devices';
+	}
+
+	console.log(resultMessage);
+
+	return { isPassed: !failures.length, resultMessage, deviceResults };
+}
+
+// main
+
+const args = process.argv.slice(2);
+
+let jobCount;
+
+try {
+	jobCount = getJobCountOption(args);
+} catch (errorMessage) {
+	console.log(errorMessage);
+	process.exit(1);
+}
+
+const fsPath = new FsPathHelper(),
+	baseDirectory = fsPath.getReferenceRootDirectory(),
+	workingDirectory = fsPath.toAbsolute(workingSubDirectory);
+
+const devicesDirectory = FsPathHelper.resolve(baseDirectory, sourceSubDirectory),
+	dipWrappersDirectory = FsPathHelper.resolve(baseDirectory, dipWrappersSubDirectory),
+	includesDirectory = FsPathHelper.resolve(baseDirectory, includesSubDirectory),
+	outputDirectory = FsPathHelper.resolve(workingDirectory, outputSubDirectory);
+
+FsWriteDirectoryHelper.confirmDirectoryExists(outputDirectory);
+
+// the selectors are the arguments that are not options, nor the value of '--jobs'
+const selectors = args.filter(
+	(arg, argIndex) => !arg.startsWith('-') && !['--jobs', '-j'].includes(args[argIndex - 1])
+);
+
+let deviceNumbers = fs.readdirSync(devicesDirectory)
+	.map((fileName) => fileName.match(/^([0-9]+)\.v$/))
+	.filter((match) => match)
+	.map((match) => match[1])
+	.sort((a, b) => Number(a) - Number(b));
+
+if (selectors.length) {
+	try {
+		deviceNumbers = selectDevices(
+			deviceNumbers,
+			selectors,
+			getDeviceCategoryMap(new FsReadFileHelper(baseDirectory).readFile(INDEX_FILE_NAME))
+		);
+	} catch (errorMessage) {
+		console.log(errorMessage);
+		process.exit(1);
+	}
+}
+
+// the DIP wrapper file of each device that has one, e.g. '74161-dip16.v'
+const dipWrapperFileNames = {};
+
+if (fs.existsSync(dipWrappersDirectory)) {
+	fs.readdirSync(dipWrappersDirectory)
+		.map((fileName) => fileName.match(/^([0-9]+)-dip[0-9]+\.v$/))
+		.filter((match) => match)
+		.forEach(([fileName, deviceNumber]) => {
+			dipWrapperFileNames[deviceNumber] = fileName;
+		});
+}
+
+const synthesisResult = await checkAll(
+	new SynthesisService(devicesDirectory, includesDirectory, dipWrappersDirectory),
+	deviceNumbers,
+	dipWrapperFileNames,
+	jobCount,
+	outputDirectory
+);
+
+// record the cell counts of the devices that synthesized
+new FsReadWriteFileHelper(outputDirectory).writeFile(
+	cellCountsFileName,
+	JSON.stringify(
+		{
+			targets: Object.keys(SYNTHESIS_TARGETS),
+			devices: synthesisResult.deviceResults.map(({ deviceNumber, moduleName, targets }) => ({
+				partNumber: deviceNumber,
+				moduleName,
+				...targets
+			}))
+		},
+		null,
+		2
+	) + EOL
+);
+
+console.log('Cell counts: ' + FsPathHelper.resolve(outputDirectory, cellCountsFileName));
+
+if (!synthesisResult.isPassed) {
+	process.exit(1);
+}
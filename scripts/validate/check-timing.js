@@ -0,0 +1,239 @@
+// check-timing.js
+//
+// validate the output delays of the IC devices: run each device with known DELAY_RISE and
+// DELAY_FALL, and check in the dump that every output transition comes exactly DELAY_RISE
+// after the input change that causes it if it is a rising one, or DELAY_FALL if falling
+//
+// - the devices are driven by seeded random inputs, one step per period (see timing-service.js);
+//   each device has its own seed, derived from the run's seed and the device number
+// - a device fails for each transition with another delay; these are listed as the port, the
+//   time and the values in binary (the first few per device, all of them in the device's dump
+//   <device>-timing.vcd under scripts/validate/output/timing/)
+//
+// - argument (optional): "--delay-rise <ns>" DELAY_RISE of every device (default: 7)
+// - argument (optional): "--delay-fall <ns>" DELAY_FALL of every device (default: 3)
+// - argument (optional): "--seed <number>" the run's seed (default: a new random seed)
+// - argument (optional): "--steps <count>" number of steps per device (default: 200)
+// - argument (optional): "--jobs <count>" number of devices to check at once
+//   (default: one per processor)
+// - arguments (optional): device selectors, to check only some devices: device numbers, globs
+//   ("741*") or device-index.md categories ("Gates")
+//
+// Usage: node check-timing.js [--delay-rise <ns>] [--delay-fall <ns>] [--seed <number>]
+//   [--steps <count>] [--jobs <count>] [selector ...]
+// Example: node check-timing.js
+// Example: node check-timing.js --delay-rise 12 --delay-fall 8 Counters
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+
+import { getDeviceCategoryMap, INDEX_FILE_NAME } from '../common/device-index-helper.js';
+import { selectDevices } from '../common/device-selection-helper.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper } from '../common/fs-file-helper.js';
+import { FsPathHelper } from '../common/fs-path-helper.js';
+import { getJobCountOption, runJobPool } from '../common/job-pool-helper.js';
+import { createSeed, deriveSeed } from '../common/random-helper.js';
+import { TimingService } from './timing-service.js';
+
+const sourceSubDirectory = 'source-7400/',
+	includesSubDirectory = 'includes/',
+	workingSubDirectory = 'scripts/validate/',
+	outputSubDirectory = 'output/timing/',
+	defaultDelayRise = 7,
+	defaultDelayFall = 3,
+	defaultStepCount = 200,
+	shownViolationCount = 10;
+
+const failureKinds = {
+	violation: 'Timing',
+	error: 'Timing error'
+};
+
+// give a violation as text, e.g. 'Q 0011->0100 at 1207ns: 0ns after the step, expected
+// DELAY_RISE 7ns'
+//
+function formatViolation({ portName, time, fromValue, toValue, delay, expectedDelay, delayName }) {
+	return (
+		portName + ' ' + fromValue + '->' + toValue + ' at ' + time + 'ns: ' + delay +
+		'ns after the step, expected ' + delayName + ' ' + expectedDelay + 'ns'
+	);
+}
+
+// check every device, collecting every failure; resolves to the overall result with the
+// per-device results
+//
+async function checkAll(
+	timingService,
+	deviceNumbers,
+	seed,
+	stepCount,
+	delays,
+	jobCount,
+	outputDirectory
+) {
+	const deviceResults = await runJobPool(deviceNumbers, jobCount, async (deviceNumber) => {
+		const { transitionCount, violations, errorMessage } = await timingService.checkDevice(
+			deviceNumber,
+			deriveSeed(seed, deviceNumber),
+			stepCount,
+			delays,
+			FsPathHelper.resolve(outputDirectory, deviceNumber)
+		);
+
+		const failures = violations.map((violation) => ({
+			kind: failureKinds.violation,
+			deviceNumber,
+			message: formatViolation(violation)
+		}));
+
+		if (errorMessage) {
+			failures.push({ kind: failureKinds.error, deviceNumber, message: errorMessage });
+		}
+
+		return { deviceNumber, transitionCount, failures };
+	});
+
+	const failures = deviceResults.flatMap(({ failures }) => failures),
+		transitionCount = deviceResults.reduce((sum, { transitionCount }) => sum + transitionCount, 0),
+		runText = '(DELAY_RISE ' + delays.rise + 'ns DELAY_FALL ' + delays.fall + 'ns seed ' + seed + ')';
+
+	let resultMessage;
+
+	deviceResults.forEach(({ deviceNumber, failures }) => {
+		failures.slice(0, shownViolationCount).forEach(({ kind, message }) => {
+			console.log('Failed at: ' + kind + ': Device ' + deviceNumber + ': ' + message);
+		});
+
+		if (failures.length > shownViolationCount) {
+			const dumpFilePath = FsPathHelper.resolve(
+				outputDirectory,
+				deviceNumber,
+				deviceNumber + '-timing.vcd'
+			);
+
+			console.log(
+				'Failed at: Device ' + deviceNumber + ': ' + (failures.length - shownViolationCount) +
+				' more, see ' + dumpFilePath
+			);
+		}
+	});
+
+	if (!failures.length) {
+		resultMessage =
+			'Passed: Timing ' + deviceResults.length + ' devices ' + transitionCount + ' transitions ' +
+			runText;
+	} else {
+		resultMessage =
+			'Failed: Timing ' +
+			failures.length +
+			' failures in ' +
+			deviceResults.filter(({ failures }) => failures.length).length +
+			' of ' +
+			deviceResults.length +
+			' devices ' +
+			runText;
+	}
+
+	console.log(resultMessage);
+
+	return { isPassed: !failures.length, resultMessage, deviceResults };
+}
+
+// give the value of a numeric option, or the default
+//
+function getWholeNumberOption(args, optionName, defaultValue, minValue) {
+	const optionIndex = args.indexOf(optionName);
+
+	if (optionIndex === -1) {
+		return defaultValue;
+	}
+
+	const value = Number(args[optionIndex + 1]);
+
+	if (!Number.isInteger(value) || value < minValue) {
+		throw (
+			'Error: ' + optionName + ' must be a whole number of at least ' + minValue + ': ' +
+			args[optionIndex + 1]
+		);
+	}
+
+	return value;
+}
+
+// main
+
+const args = process.argv.slice(2),
+	optionsWithValue = ['--jobs', '-j', '--delay-rise', '--delay-fall', '--seed', '--steps'];
+
+let jobCount, seed, stepCount, delays;
+
+try {
+	jobCount = getJobCountOption(args);
+	seed = getWholeNumberOption(args, '--seed', null, 0);
+	stepCount = getWholeNumberOption(args, '--steps', defaultStepCount, 1);
+
+	if (seed === null) {
+		seed = createSeed();
+	} else if (seed >= 2 ** 32) {
+		throw 'Error: --seed must be less than ' + 2 ** 32 + ': ' + seed;
+	}
+
+	const rise = getWholeNumberOption(args, '--delay-rise', defaultDelayRise, 1),
+		fall = getWholeNumberOption(args, '--delay-fall', defaultDelayFall, 1);
+
+	// a step is long enough for either delay to pass, with time to spare
+	delays = { rise, fall, period: 10 * Math.max(rise, fall) };
+} catch (errorMessage) {
+	console.log(errorMessage);
+	process.exit(1);
+}
+
+const fsPath = new FsPathHelper(),
+	baseDirectory = fsPath.getReferenceRootDirectory(),
+	workingDirectory = fsPath.toAbsolute(workingSubDirectory);
+
+const devicesDirectory = FsPathHelper.resolve(baseDirectory, sourceSubDirectory),
+	includesDirectory = FsPathHelper.resolve(baseDirectory, includesSubDirectory),
+	outputDirectory = FsPathHelper.resolve(workingDirectory, outputSubDirectory);
+
+FsWriteDirectoryHelper.confirmDirectoryExists(outputDirectory);
+
+// the selectors are the arguments that are not options, nor the value of an option
+const selectors = args.filter(
+	(arg, argIndex) => !arg.startsWith('-') && !optionsWithValue.includes(args[argIndex - 1])
+);
+
+let deviceNumbers = fs.readdirSync(devicesDirectory)
+	.map((fileName) => fileName.match(/^([0-9]+)\.v$/))
+	.filter((match) => match)
+	.map((match) => match[1])
+	.sort((a, b) => Number(a) - Number(b));
+
+if (selectors.length) {
+	try {
+		deviceNumbers = selectDevices(
+			deviceNumbers,
+			selectors,
+			getDeviceCategoryMap(new FsReadFileHelper(baseDirectory).readFile(INDEX_FILE_NAME))
+		);
+	} catch (errorMessage) {
+		console.log(errorMessage);
+		process.exit(1);
+	}
+}
+
+const timingResult = await checkAll(
+	new TimingService(devicesDirectory, includesDirectory),
+	deviceNumbers,
+	seed,
+	stepCount,
+	delays,
+	jobCount,
+	outputDirectory
+);
+
+if (!timingResult.isPassed) {
+	process.exit(1);
+}
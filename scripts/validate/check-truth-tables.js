@@ -0,0 +1,241 @@
+// check-truth-tables.js
+//
+// validate the IC devices of combinational logic exhaustively: compare every combination of a
+// device's inputs, at default parameters, against its reference model in scripts/models/
+//
+// - a reference model gives evaluate(inputs, parameters): the output port values from the input
+//   port values, each by its Verilog port name (see scripts/models/index.js)
+// - devices are checked if they have a model of combinational logic; a device with a sequential
+//   model is skipped, as it has no truth table (fuzz-devices.js compares it with its model, clock
+//   edges included), and so is a device with more input bits than the maximum, as too many
+//   vectors to simulate; skipped devices are listed as "Skipped:" and in the result line
+// - a device fails for each input vector whose outputs differ from the model's; these are listed
+//   as the port values in binary (the first few per device, all of them in the device's
+//   <device>-truth-table.log under scripts/validate/output/truth-tables/)
+//
+// - argument (optional): "--jobs <count>" number of devices to check at once
+//   (default: one per processor)
+// - argument (optional): "--max-input-bits <count>" skip the devices with more input bits
+//   (default: 16, i.e. 65536 vectors)
+// - arguments (optional): device selectors, to check only some devices: device numbers, globs
+//   ("741*") or device-index.md categories ("Gates")
+//
+// Usage: node check-truth-tables.js [--jobs <count>] [--max-input-bits <count>] [selector ...]
+// Example: node check-truth-tables.js
+// Example: node check-truth-tables.js 74283 Decoders
+// Example: node check-truth-tables.js --max-input-bits 21 74150
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+
+import { getDeviceCategoryMap, INDEX_FILE_NAME } from '../common/device-index-helper.js';
+import { selectDevices } from '../common/device-selection-helper.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper } from '../common/fs-file-helper.js';
+import { FsPathHelper } from '../common/fs-path-helper.js';
+import { getJobCountOption, runJobPool } from '../common/job-pool-helper.js';
+import { DEVICE_MODELS, isSequentialModel } from '../models/index.js';
+import { TruthTableService } from './truth-table-service.js';
+
+const sourceSubDirectory = 'source-7400/',
+	includesSubDirectory = 'includes/',
+	workingSubDirectory = 'scripts/validate/',
+	outputSubDirectory = 'output/truth-tables/',
+	defaultMaxInputBitCount = 16,
+	shownMismatchCount = 10;
+
+const failureKinds = {
+	mismatch: 'Mismatch',
+	error: 'Truth table error'
+};
+
+// give a mismatch as text, e.g. 'A=0101 B=0011 C_in=1: Sum=1000 C_out=0, expected Sum=1001
+// C_out=0'
+//
+function formatMismatch({ inputs, outputs, expectedOutputs }) {
+	const toText = (values) =>
+		Object.entries(values).map(([name, value]) => name + '=' + value).join(' ');
+
+	return toText(inputs) + ': ' + toText(outputs) + ', expected ' + toText(expectedOutputs);
+}
+
+// check every device, collecting every failure; resolves to the overall result with the
+// per-device results
+//
+async function checkAll(
+	truthTableService,
+	deviceNumbers,
+	skippedDeviceNumbers,
+	jobCount,
+	outputDirectory
+) {
+	const deviceResults = await runJobPool(deviceNumbers, jobCount, async (deviceNumber) => {
+		const { vectorCount, mismatches, errorMessage } = await truthTableService.checkDevice(
+			deviceNumber,
+			FsPathHelper.resolve(outputDirectory, deviceNumber)
+		);
+
+		const failures = mismatches.map((mismatch) => ({
+			kind: failureKinds.mismatch,
+			deviceNumber,
+			message: formatMismatch(mismatch)
+		}));
+
+		if (errorMessage) {
+			failures.push({ kind: failureKinds.error, deviceNumber, message: errorMessage });
+		}
+
+		return { deviceNumber, vectorCount, failures };
+	});
+
+	const failures = deviceResults.flatMap(({ failures }) => failures),
+		vectorCount = deviceResults.reduce((sum, { vectorCount }) => sum + vectorCount, 0);
+
+	const skippedText = skippedDeviceNumbers.length
+		? ' (' + skippedDeviceNumbers.length + ' skipped: ' + skippedDeviceNumbers.join(', ') + ')'
+		: '';
+
+	let resultMessage;
+
+	deviceResults.forEach(({ deviceNumber, failures }) => {
+		failures.slice(0, shownMismatchCount).forEach(({ kind, message }) => {
+			console.log('Failed at: ' + kind + ': Device ' + deviceNumber + ': ' + message);
+		});
+
+		if (failures.length > shownMismatchCount) {
+			const logFilePath = FsPathHelper.resolve(
+				outputDirectory,
+				deviceNumber,
+				deviceNumber + '-truth-table.log'
+			);
+
+			console.log(
+				'Failed at: Device ' + deviceNumber + ': ' + (failures.length - shownMismatchCount) +
+				' more, see ' + logFilePath
+			);
+		}
+	});
+
+	if (!failures.length) {
+		resultMessage =
+			'Passed: Truth tables ' + deviceResults.length + ' devices ' + vectorCount + ' vectors' +
+			skippedText;
+	} else {
+		resultMessage =
+			'Failed: Truth tables ' +
+			failures.length +
+			' failures in ' +
+			deviceResults.filter(({ failures }) => failures.length).length +
+			' of ' +
+			deviceResults.length +
+			' devices' +
+			skippedText;
+	}
+
+	console.log(resultMessage);
+
+	return { isPassed: !failures.length, resultMessage, deviceResults };
+}
+
+// main
+
+const args = process.argv.slice(2);
+
+let jobCount,
+	maxInputBitCount = defaultMaxInputBitCount;
+
+try {
+	jobCount = getJobCountOption(args);
+
+	const maxInputBitsIndex = args.indexOf('--max-input-bits');
+
+	if (maxInputBitsIndex !== -1) {
+		maxInputBitCount = Number(args[maxInputBitsIndex + 1]);
+
+		if (!Number.isInteger(maxInputBitCount) || maxInputBitCount < 1) {
+			throw (
+				'Error: --max-input-bits must be a whole number of at least 1: ' +
+				args[maxInputBitsIndex + 1]
+			);
+		}
+	}
+} catch (errorMessage) {
+	console.log(errorMessage);
+	process.exit(1);
+}
+
+const fsPath = new FsPathHelper(),
+	baseDirectory = fsPath.getReferenceRootDirectory(),
+	workingDirectory = fsPath.toAbsolute(workingSubDirectory);
+
+const devicesDirectory = FsPathHelper.resolve(baseDirectory, sourceSubDirectory),
+	includesDirectory = FsPathHelper.resolve(baseDirectory, includesSubDirectory),
+	outputDirectory = FsPathHelper.resolve(workingDirectory, outputSubDirectory);
+
+FsWriteDirectoryHelper.confirmDirectoryExists(outputDirectory);
+
+// the selectors are the arguments that are not options, nor the value of an option
+const selectors = args.filter(
+	(arg, argIndex) =>
+		!arg.startsWith('-') && !['--jobs', '-j', '--max-input-bits'].includes(args[argIndex - 1])
+);
+
+// the devices with a model
+const modelDeviceNumbers = Object.keys(DEVICE_MODELS)
+	.filter((deviceNumber) =>
+		fs.existsSync(FsPathHelper.resolve(devicesDirectory, deviceNumber + '.v'))
+	)
+	.sort((a, b) => Number(a) - Number(b));
+
+let deviceNumbers = modelDeviceNumbers;
+
+if (selectors.length) {
+	try {
+		deviceNumbers = selectDevices(
+			modelDeviceNumbers,
+			selectors,
+			getDeviceCategoryMap(new FsReadFileHelper(baseDirectory).readFile(INDEX_FILE_NAME))
+		);
+	} catch (errorMessage) {
+		console.log(errorMessage);
+		process.exit(1);
+	}
+}
+
+const truthTableService = new TruthTableService(devicesDirectory, includesDirectory);
+
+// skip the devices of sequential logic, which have no truth table, and those with too many
+// vectors; they are listed, and counted in the result
+const skippedDeviceNumbers = deviceNumbers.filter((deviceNumber) => {
+	if (isSequentialModel(DEVICE_MODELS[deviceNumber])) {
+		console.log(
+			'Skipped: Device ' + deviceNumber + ': sequential model, compared by fuzz-devices.js'
+		);
+		return true;
+	}
+
+	const inputBitCount = truthTableService.getInputBitCount(deviceNumber);
+
+	if (inputBitCount > maxInputBitCount) {
+		console.log(
+			'Skipped: Device ' + deviceNumber + ': ' + inputBitCount + ' input bits, more than ' +
+			maxInputBitCount + ' (--max-input-bits)'
+		);
+		return true;
+	}
+
+	return false;
+});
+
+const truthTableResult = await checkAll(
+	truthTableService,
+	deviceNumbers.filter((deviceNumber) => !skippedDeviceNumbers.includes(deviceNumber)),
+	skippedDeviceNumbers,
+	jobCount,
+	outputDirectory
+);
+
+if (!truthTableResult.isPassed) {
+	process.exit(1);
+}
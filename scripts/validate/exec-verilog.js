@@ -3,259 +3,858 @@
 // validate every IC device '*.v': run it through its test bench '*-tb.v', and
 // enforce that there is a test bench for every device
 //
+// - every device is run; every failure is collected (device, test label, output line number,
+//   kind of failure) and reported in a summary at the end, which then exits non-zero
+//
+// - devices are compiled and simulated concurrently, each in its own directory under
+//   scripts/validate/output/<simulator>/; results are reported in device order
+//
 // - argument (optional): "-s" suppress dump file output and give only success/fail
+// - argument (optional): "--jobs <count>" number of devices to run at once
+//   (default: one per processor)
+// - argument (optional): "--simulator <name>[,<name>...]" the simulator to run the test benches
+//   with: icarus (default) or verilator; with more than one, the devices are run under each in
+//   turn, and any test whose result differs between them is reported as a failure
+// - argument (optional): "--report[=directory]" also write the results as JUnit XML and JSON,
+//   exec-verilog.xml and exec-verilog.json, one test suite per device and one test case per
+//   numbered test (default directory: scripts/validate/output/report/); for a simulator other
+//   than icarus, the file names end in its name, e.g. exec-verilog-verilator.xml
+// - argument (optional): "--sweep" also run each device's test bench for every combination of
+//   its sweep spec: "testSweep" in source-7400/metadata/<device>.json, a list of
+//   { "parameters": { "WIDTH": 8 }, "defines": { "NAME": 1 } }; a swept parameter must be
+//   declared in the test bench (localparam or parameter), and is set with -P (Icarus) or -G
+//   (Verilator), a define with -D; each combination is reported as a device result of its own,
+//   e.g. "74161 [WIDTH=8]"
+// - argument (optional): "--coverage" build with code coverage (Verilator only, which is then
+//   the default simulator, shown as "Simulator: Verilator (for --coverage)"; with
+//   "--simulator icarus" it is an error), and give each device's line and toggle coverage of
+//   its own .v file; written per simulator to scripts/validate/output/<simulator>/coverage/:
+//   coverage.json, and coverage.info (lcov, for genhtml or a CI viewer) of all the source files
+// - argument (optional): "--coverage-threshold <percent>" as "--coverage", and fail a device
+//   whose line or toggle coverage is below the percent
+// - argument (optional): "--golden" also compare each device's dump file with its golden dump,
+//   scripts/validate/golden/<simulator>/<device>-tb.vcd, so that a change in timing (e.g. of
+//   DELAY_RISE/DELAY_FALL) fails even where the test bench's assertions still pass; each
+//   signal must change to the same values in the same order, within the time tolerance
+// - argument (optional): "--golden-update" write each device's dump file as its golden dump,
+//   if its test bench passes
+// - no golden dumps are committed yet, so the golden comparison is not part of npm test and
+//   catches nothing in CI: it is still to be done to write them under Icarus Verilog with
+//   "--golden-update", commit scripts/validate/golden/icarus/, and add a "--golden" run to the
+//   npm test scripts; until then "--golden" fails every device with "No golden dump file"
+// - argument (optional): "--golden-signals <pattern>[,<pattern>...]" the signals to compare,
+//   as globs of hierarchical names, '*' within one scope level and '**' across levels
+//   (default: "test.*", the test bench's own signals)
+// - argument (optional): "--golden-tolerance <time>" how far a change may move from the golden
+//   one, e.g. "1ns", "500ps" (default: 0)
+// - a device's metadata may set its own "goldenWaveform": { "signals": ["test.Q"],
+//   "timeTolerance": "2ns" }; sweep runs are not compared; the golden options need the dump
+//   files, so cannot be given with "-s"
+// - argument (optional): "--test-counts" record each device's number of tests, and of failed
+//   tests, in docs/devices/test-counts.json for the device pages (generate-device-docs.js,
+//   run after it); the file is committed, so it is written only from a run of every device
+//   under Icarus Verilog: not with device selectors, "--changed", "--simulator" of another,
+//   "--coverage" or the golden options ("--sweep" may be given; its combinations are not
+//   recorded)
+// - argument (optional): "--changed[=git ref]" run only the devices whose .v, -tb.v or
+//   metadata .json file differs from the git ref, or all if a file in includes/ does
+//   (default ref: HEAD)
+// - arguments (optional): device selectors, to run only some devices: device numbers, globs
+//   ("741*") or device-index.md categories ("Counters"), anywhere among the options; the value
+//   of "--report" and "--changed" is only ever given after "=", so "--report 74161" writes
+//   the report to the default directory and runs 74161
+//
+// Usage: node exec-verilog.js [-s] [--jobs <count>] [--simulator <names>] [--sweep]
+//   [--coverage] [--coverage-threshold <percent>] [--golden | --golden-update]
+//   [--golden-signals <patterns>] [--golden-tolerance <time>] [selector ...]
+//   [--changed[=git ref]] [--report[=directory]] [--test-counts]
+// Example: node exec-verilog.js -s 74161
+// Example: node exec-verilog.js -s "741*" Counters
+// Example: node exec-verilog.js -s --changed=origin/main
+// Example: node exec-verilog.js -s --report=/tmp/report 74161
+// Example: node exec-verilog.js -s --simulator icarus,verilator 7474
+// Example: node exec-verilog.js -s --sweep 74161
+// Example: node exec-verilog.js -s --test-counts
+// Example: node exec-verilog.js -s --coverage-threshold 90 Counters
+// Example: node exec-verilog.js --golden --golden-tolerance 1ns 74161
 //
 // © 2019-2024 Tim Rudy
 
-import { execSync } from 'child_process';
+import { exec } from 'child_process';
+import path from 'path';
+import util from 'util';
 import walkSync from 'walk-sync';
 
 import { EOL } from '../common/constants.js';
+import {
+	combineCoverage,
+	formatCoverage,
+	formatCoverageCount,
+	parseVerilatorCoverage,
+	summarizeCoverage
+} from '../common/coverage-helper.js';
+import { getDeviceCategoryMap, INDEX_FILE_NAME } from '../common/device-index-helper.js';
+import { getChangedDevices, selectDevices } from '../common/device-selection-helper.js';
 import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
-import { FsReadFileHelper } from '../common/fs-file-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
 import { FsPathHelper } from '../common/fs-path-helper.js';
+import { getJobCountOption, runJobPool } from '../common/job-pool-helper.js';
+import {
+	analyzeTestBenchOutput,
+	createTestFailure,
+	formatTestFailure,
+	TEST_FAILURE_KINDS
+} from '../common/test-bench-output-helper.js';
+import { writeTestCounts } from '../common/test-count-helper.js';
+import { createTestReport, createTestSuite, writeTestReports } from '../common/test-report-helper.js';
 import { isRegExpMatchMinLength } from '../common/text-helper.js';
+import { compareVcd, parseTime, parseVcd } from '../common/vcd-helper.js';
+import { readDeviceMetadata } from '../generate/generate-device.js';
+import {
+	DEFAULT_SIMULATOR,
+	getSimulatorBackendsOption,
+	SIMULATOR_BACKENDS
+} from './simulator-backends.js';
 
 const sourceSubDirectory = 'source-7400/',
 	includesSubDirectory = 'includes/',
 	workingSubDirectory = 'scripts/validate/',
-	outputSubDirectory = 'output/';
+	outputSubDirectory = 'output/',
+	reportSubDirectory = 'report/',
+	coverageSubDirectory = 'coverage/',
+	coverageFileName = 'coverage',
+	goldenSubDirectory = 'golden/',
+	testCountsSubDirectory = 'docs/devices/',
+	defaultGoldenSignalPatterns = ['test.*'],
+	defaultChangedGitRef = 'HEAD';
+
+// failures that stop a test bench from running through
+const testBenchErrorKinds = [
+	TEST_FAILURE_KINDS.unexpectedFile,
+	TEST_FAILURE_KINDS.noTestBench,
+	TEST_FAILURE_KINDS.sweepParameter,
+	TEST_FAILURE_KINDS.execution
+];
+
+const execAsync = util.promisify(exec);
+
+// simulator output can be long, e.g. from a test bench with many failures
+const execMaxBuffer = 16 * 1024 * 1024;
 
 class TestBenchService {
-	constructor(isSuppressDumpFile) {
-		this.execAll = (
+	// coverageOptions: null, or { threshold } to build with code coverage, where a device whose
+	// coverage is below the threshold percent (if not null) fails
+	// goldenOptions: null, or { isUpdate, goldenDirectory, signalPatterns, timeTolerance,
+	// settingsByDevice } to compare each dump file with its golden dump, or to write it as one
+	constructor(
+		isSuppressDumpFile,
+		jobCount,
+		simulatorBackend,
+		coverageOptions = null,
+		goldenOptions = null
+	) {
+		// run every device, collecting every failure rather than stopping at the first one;
+		// resolves to the overall result with the per-device results
+		//
+		// - a device with sweep combinations (from its metadata 'testSweep') is run again for
+		//   each one, as a result of its own that is labelled with the combination
+		this.execAll = async (
 			devicesDirectory,
 			deviceFilePathList,
 			includesSubDirectory,
-			outputDirectory
+			outputDirectory,
+			sweepCombinationsByDevice = {}
 		) => {
 			const deviceRefRegExp = new RegExp('(.*?([0-9]+))\\.v');
 
 			const fsDevicesInput = new FsReadFileHelper(devicesDirectory);
 
-			let resultMessage;
+			const startTime = new Date();
 
-			let cumulativeTestCount = 0,
-				deviceTestCount = 0;
-
-			try {
-				deviceFilePathList.forEach((deviceFilePath) => {
-					// pull out the file name without extension, with and without its
-					// full path prefix
-					const subMatches = deviceRefRegExp.exec(deviceFilePath);
-
-					if (!isRegExpMatchMinLength(subMatches, 3)) {
-						throw 'Unexpected file: ' + deviceFilePath;
-					} else {
-						const testBenchPathAndFileName = subMatches[1] + '-tb.v',
-							testBenchFileName = subMatches[2] + '-tb.v',
-							deviceNumber = subMatches[2],
-							vvpFileName = subMatches[2] + '-tb.vvp',
-							vvpPathAndFileName = FsPathHelper.resolve(
-								outputDirectory,
-								vvpFileName
-							);
-
-						// validate there is a test bench file beside the device file (siblings)
-						if (!fsDevicesInput.isExistingFile(testBenchFileName)) {
-							throw 'No test bench file: ' + testBenchFileName;
-						}
-
-						// collect the logged output from executing command line iverilog and vvp
-						const deviceTestOutput = execDeviceTests(
-							testBenchPathAndFileName,
-							deviceFilePath,
-							includesSubDirectory,
-							vvpPathAndFileName
-						);
+			const deviceRunList = deviceFilePathList.flatMap((deviceFilePath) => {
+				const subMatches = deviceRefRegExp.exec(deviceFilePath),
+					sweepCombinations = (subMatches && sweepCombinationsByDevice[subMatches[2]]) || [];
+
+				return [
+					{ deviceFilePath, sweepCombination: null },
+					...sweepCombinations.map((sweepCombination, sweepIndex) => ({
+						deviceFilePath,
+						sweepCombination,
+						sweepIndex
+					}))
+				];
+			});
+
+			const deviceResults = await runJobPool(deviceRunList, jobCount, async (deviceRun) => {
+				const { deviceFilePath, sweepCombination, sweepIndex } = deviceRun,
+					deviceStartMs = Date.now();
+
+				// pull out the file name without extension, with and without its
+				// full path prefix
+				const subMatches = deviceRefRegExp.exec(deviceFilePath);
+
+				if (!isRegExpMatchMinLength(subMatches, 3)) {
+					return createDeviceResult(deviceFilePath, deviceStartMs, [
+						createTestFailure(TEST_FAILURE_KINDS.unexpectedFile, deviceFilePath, null, null, deviceFilePath)
+					]);
+				}
+
+				const testBenchFileName = subMatches[2] + '-tb.v',
+					deviceNumber = sweepCombination
+						? subMatches[2] + ' [' + formatSweepCombination(sweepCombination) + ']'
+						: subMatches[2],
+					deviceOutputDirectory = sweepCombination
+						? FsPathHelper.resolve(outputDirectory, subMatches[2], 'sweep-' + (sweepIndex + 1))
+						: FsPathHelper.resolve(outputDirectory, subMatches[2]);
 
-						// validate the output; accumulate the tests per-device, and for the total
-						cumulativeTestCount += analyzeTestsPassed(deviceTestOutput, deviceNumber);
-						deviceTestCount += 1;
+				let testBenchPathAndFileName = subMatches[1] + '-tb.v';
+
+				// validate there is a test bench file beside the device file (siblings)
+				if (!fsDevicesInput.isExistingFile(testBenchFileName)) {
+					return createDeviceResult(deviceNumber, deviceStartMs, [
+						createTestFailure(TEST_FAILURE_KINDS.noTestBench, deviceNumber, null, null, testBenchFileName)
+					]);
+				}
+
+				// collect the logged output from compiling and running the simulation, in a
+				// directory of the device's own for the compiled files and the dump file
+				let deviceTestOutput;
+
+				FsWriteDirectoryHelper.confirmDirectoryExists(deviceOutputDirectory);
+
+				// for a sweep, compile a copy of the test bench whose swept localparams are
+				// parameters, so the simulator can override them
+				if (sweepCombination) {
+					try {
+						testBenchPathAndFileName = writeSweepTestBench(
+							fsDevicesInput.readFile(testBenchFileName),
+							testBenchFileName,
+							sweepCombination,
+							deviceOutputDirectory
+						);
+					} catch (errorMessage) {
+						return createDeviceResult(deviceNumber, deviceStartMs, [
+							createTestFailure(TEST_FAILURE_KINDS.sweepParameter, deviceNumber, null, null, errorMessage)
+						]);
 					}
-				});
+				}
+
+				try {
+					deviceTestOutput = await execDeviceTests(
+						testBenchPathAndFileName,
+						deviceFilePath,
+						includesSubDirectory,
+						deviceOutputDirectory,
+						sweepCombination || {}
+					);
+				} catch (error) {
+					return createDeviceResult(deviceNumber, deviceStartMs, [
+						createTestFailure(
+							TEST_FAILURE_KINDS.execution,
+							deviceNumber,
+							null,
+							null,
+							String(error.stderr || error.message || error).trim()
+						)
+					]);
+				}
+
+				// validate the output, collecting the tests passed and the failures
+				const {
+					testCount,
+					testLabels,
+					failures: testBenchFailures
+				} = analyzeTestBenchOutput(deviceTestOutput, deviceNumber);
+
+				// compare the dump file with the golden one, or write it as the golden one
+				const failures =
+					goldenOptions && !sweepCombination
+						? [
+							...testBenchFailures,
+							...checkGoldenWaveform(
+								deviceNumber,
+								fsDevicesInput.readFile(testBenchFileName),
+								deviceOutputDirectory,
+								!testBenchFailures.length
+							)
+						]
+						: testBenchFailures;
+
+				if (!coverageOptions) {
+					return createDeviceResult(deviceNumber, deviceStartMs, failures, testCount, testLabels);
+				}
 
+				// summarize the coverage of the device's own source file
+				let coverage;
+
+				try {
+					coverage = readDeviceCoverage(deviceOutputDirectory, subMatches[2] + '.v');
+				} catch (error) {
+					return createDeviceResult(deviceNumber, deviceStartMs, [
+						...failures,
+						createTestFailure(
+							TEST_FAILURE_KINDS.execution,
+							deviceNumber,
+							null,
+							null,
+							'Coverage data not read: ' + (error.message || error)
+						)
+					], testCount, testLabels);
+				}
+
+				return createDeviceResult(deviceNumber, deviceStartMs, [
+					...failures,
+					...checkCoverageThreshold(deviceNumber, coverage)
+				], testCount, testLabels, coverage);
+			});
+
+			return summarizeResults(deviceResults, startTime);
+		};
+
+		function createDeviceResult(
+			deviceNumber,
+			deviceStartMs,
+			failures,
+			testCount = 0,
+			testLabels = [],
+			coverage = null
+		) {
+			return {
+				deviceNumber,
+				testCount,
+				testLabels,
+				failures,
+				coverage,
+				durationMs: Date.now() - deviceStartMs
+			};
+		}
+
+		function summarizeResults(deviceResults, startTime) {
+			const cumulativeTestCount = deviceResults.reduce((sum, { testCount }) => sum + testCount, 0),
+				failures = deviceResults.flatMap(({ failures }) => failures),
+				failedDeviceCount = deviceResults.filter(({ failures }) => failures.length).length;
+
+			let resultMessage;
+
+			failures.forEach((failure) => {
+				console.log('Failed at: ' + formatTestFailure(failure));
+			});
+
+			if (!failures.length) {
 				resultMessage =
 					'Passed: ' +
 					cumulativeTestCount +
 					' total test bench tests ' +
-					deviceTestCount +
+					deviceResults.length +
 					' devices';
-			} catch (errorMessage) {
-				resultMessage = 'Failed at: ' + errorMessage;
-			} finally {
-				console.log(resultMessage);
-				return resultMessage;
+			} else {
+				resultMessage =
+					'Failed: ' +
+					failures.length +
+					' failures in ' +
+					failedDeviceCount +
+					' of ' +
+					deviceResults.length +
+					' devices (' +
+					cumulativeTestCount +
+					' total test bench tests passed)';
 			}
-		};
 
-		function execDeviceTests(
+			console.log(resultMessage);
+
+			return {
+				isPassed: !failures.length,
+				resultMessage,
+				cumulativeTestCount,
+				startTime,
+				durationMs: Date.now() - startTime.getTime(),
+				deviceResults
+			};
+		}
+
+		async function execDeviceTests(
 			testBenchPathAndFileName,
 			deviceFilePath,
 			includesSubDirectory,
-			vvpPathAndFileName
+			deviceOutputDirectory,
+			overrides
 		) {
-			const iverilogCommand =
-				'iverilog -g2012' +
-				' -o' + vvpPathAndFileName +
-				' "' + FsPathHelper.resolve(includesSubDirectory, 'helper.v') + '"' +
-				' "' + FsPathHelper.resolve(includesSubDirectory, 'tbhelper.v') + '"' +
-				' "' + testBenchPathAndFileName + '"' +
-				' "' + deviceFilePath + '"';
-
-			const vvpCommand = 'vvp ' + vvpPathAndFileName + (isSuppressDumpFile ? ' -none' : '');
-
-			return execSync(iverilogCommand + ' && ' + vvpCommand, {
-				encoding: 'utf8'
-			}).toString();
+			const execOptions = {
+				cwd: deviceOutputDirectory,
+				encoding: 'utf8',
+				maxBuffer: execMaxBuffer
+			};
+
+			const sourceFilePaths = [
+				FsPathHelper.resolve(includesSubDirectory, 'helper.v'),
+				FsPathHelper.resolve(includesSubDirectory, 'tbhelper.v'),
+				testBenchPathAndFileName,
+				deviceFilePath
+			];
+
+			// the compiler's own output is not part of the test bench output
+			await execAsync(
+				simulatorBackend.compileCommand(sourceFilePaths, isSuppressDumpFile, overrides, !!coverageOptions),
+				execOptions
+			);
+
+			const { stdout } = await execAsync(
+				simulatorBackend.runCommand(isSuppressDumpFile),
+				execOptions
+			);
+
+			return simulatorBackend.normalizeOutput(stdout);
 		}
 
-		function analyzeTestsPassed(results, deviceNumber) {
-			const resultsSplitRegExp = new RegExp('[^' + EOL + ']+', 'g'),
-				resultLinePassedRegExp = new RegExp('Passed: (Test.*? (([0-9]+)-)?([0-9]+))[ ]*$', 'm'),
-				resultExtraStartRegExp = new RegExp('(.*opened for output\\.)|(.*dumping is suppressed\\.)$', 'm'),
-				resultExtraFinishRegExp = new RegExp('.+\\$finish called.+');
-
-			let subMatches;
-
-			let testLineNumber = 0,
-				testLineOuterCount = 0,
-				testLineInnerCount = 0;
-
-			// split into array of lines
-			const resultLines = results.match(resultsSplitRegExp),
-				resultLinesLastIndex = resultLines.length - 1;
-
-			resultLines.forEach((resultLine, resultLineIndex) => {
-				if (
-					resultLine.length &&
-					!(
-						(resultLineIndex === 0 &&
-							!!resultExtraStartRegExp.exec(resultLine)) ||
-						(resultLineIndex === resultLinesLastIndex &&
-							!!resultExtraFinishRegExp.exec(resultLine))
+		// read the coverage data that the run wrote, and summarize it for the device file;
+		// gives the summary with the path of the data file
+		function readDeviceCoverage(deviceOutputDirectory, deviceFileName) {
+			const coverageDataFilePath = FsPathHelper.resolve(
+					deviceOutputDirectory,
+					simulatorBackend.coverageDataFileName
+				),
+				points = parseVerilatorCoverage(
+					new FsReadFileHelper(path.dirname(coverageDataFilePath)).readFile(
+						path.basename(coverageDataFilePath)
 					)
-				) {
-					// parse the standard output line form of 'Passed: ___',
-					// which ends with either one index number or two dash-separated numbers,
-					// where the first is the inner index and the second is the outer or main index
-					subMatches = resultLinePassedRegExp.exec(resultLine);
-
-					// validate that if each line consists of 'Passed: ___' then its test
-					// index numbers are strictly incrementing (outer, and then inner if present),
-					// from value '1'
-					if (!isRegExpMatchMinLength(subMatches, 3)) {
-						reportUnexpectedLineError(
-							deviceNumber,
-							resultLineIndex,
-							resultLine
-						);
-					} else {
-						testLineNumber++;
-
-						if (!subMatches[3]) {
-							testLineOuterCount++;
-							testLineInnerCount = 0;
-
-							if (Number(subMatches[4]) !== testLineOuterCount) {
-								reportTestNumberSequenceError(
-									deviceNumber,
-									resultLineIndex,
-									subMatches[1]
-								);
-							}
-						} else {
-							if (
-								!testLineInnerCount ||
-								Number(subMatches[4]) === testLineOuterCount + 1
-							) {
-								testLineOuterCount++;
-
-								// validate that if inner test index number is starting over,
-								// it did not end at only '1' for previous outer index
-								if (testLineInnerCount === 1) {
-									// report the offending previous line, not current line
-									subMatches = resultLinePassedRegExp.exec(
-										resultLines[resultLineIndex - 1]
-									);
-
-									reportTestGroupNumberError(
-										deviceNumber,
-										resultLineIndex - 1,
-										subMatches[1]
-									);
-								}
-
-								testLineInnerCount = 1;
-							} else {
-								testLineInnerCount++;
-							}
-
-							if (
-								Number(subMatches[4]) !== testLineOuterCount ||
-								Number(subMatches[3]) !== testLineInnerCount
-							) {
-								reportTestNumberSequenceError(
-									deviceNumber,
-									resultLineIndex,
-									subMatches[1]
-								);
-							}
-						}
-					}
-				}
-			});
+				);
 
-			return testLineNumber;
+			return { ...summarizeCoverage(points, deviceFileName), coverageDataFilePath };
 		}
 
-		function reportTestNumberSequenceError(deviceNumber, outputLineNumber, outputLine) {
-			reportError(
-				'Test number sequence incorrect: ',
-				deviceNumber,
-				outputLineNumber,
-				outputLine
-			);
+		function checkCoverageThreshold(deviceNumber, coverage) {
+			const { threshold } = coverageOptions;
+
+			if (threshold === null) {
+				return [];
+			}
+
+			return ['line', 'toggle']
+				.filter((kind) => coverage[kind].percent !== null && coverage[kind].percent < threshold)
+				.map((kind) => createTestFailure(
+					TEST_FAILURE_KINDS.coverageThreshold,
+					deviceNumber,
+					null,
+					null,
+					kind + ' ' + formatCoverageCount(coverage[kind]) + ' is below ' + threshold + '%'
+				));
 		}
 
-		function reportTestGroupNumberError(deviceNumber, outputLineNumber, outputLine) {
-			reportError(
-				'Group consists of only one test (or minor/major index numbers are swapped): ',
-				deviceNumber,
-				outputLineNumber,
-				outputLine
+		// compare the dump file of a run with the device's golden dump, giving a failure per
+		// signal that differs; or, to update, write it as the golden dump if the test bench passed
+		function checkGoldenWaveform(
+			deviceNumber,
+			testBenchText,
+			deviceOutputDirectory,
+			isTestBenchPassed
+		) {
+			const { isUpdate, goldenDirectory, settingsByDevice } = goldenOptions,
+				{ signalPatterns, timeTolerance } = { ...goldenOptions, ...settingsByDevice[deviceNumber] },
+				dumpFileName = getDumpFileName(testBenchText, deviceNumber),
+				fsDeviceOutput = new FsReadFileHelper(deviceOutputDirectory),
+				fsGolden = new FsReadWriteFileHelper(goldenDirectory);
+
+			const toFailure = (kind, message) =>
+				createTestFailure(kind, deviceNumber, null, null, message);
+
+			if (!fsDeviceOutput.isExistingFile(dumpFileName)) {
+				return [toFailure(TEST_FAILURE_KINDS.goldenWaveform, 'No dump file ' + dumpFileName)];
+			}
+
+			const vcdText = fsDeviceOutput.readFile(dumpFileName);
+
+			if (isUpdate) {
+				if (isTestBenchPassed) {
+					FsWriteDirectoryHelper.confirmDirectoryExists(goldenDirectory);
+					fsGolden.writeFile(dumpFileName, vcdText);
+				}
+
+				return [];
+			}
+
+			if (!fsGolden.isExistingFile(dumpFileName)) {
+				return [
+					toFailure(
+						TEST_FAILURE_KINDS.noGoldenDump,
+						FsPathHelper.resolve(goldenDirectory, dumpFileName) + ' (write it with --golden-update)'
+					)
+				];
+			}
+
+			return compareVcd(
+				parseVcd(vcdText),
+				parseVcd(fsGolden.readFile(dumpFileName)),
+				signalPatterns,
+				timeTolerance
+			).map(({ signalName, message }) =>
+				toFailure(TEST_FAILURE_KINDS.goldenWaveform, signalName + ': ' + message)
 			);
 		}
 
-		function reportUnexpectedLineError(deviceNumber, outputLineNumber, outputLine) {
-			reportError(
-				'',
-				deviceNumber,
-				outputLineNumber,
-				outputLine
+		// write the test bench with each swept parameter's 'localparam' declaration made
+		// a 'parameter'; fails if the test bench does not declare a swept parameter
+		function writeSweepTestBench(
+			testBenchText,
+			testBenchFileName,
+			sweepCombination,
+			deviceOutputDirectory
+		) {
+			let sweepTestBenchText = testBenchText;
+
+			Object.keys(sweepCombination.parameters || {}).forEach((name) => {
+				const declarationRegExp = new RegExp(
+					'\\b(localparam|parameter)(\\s+(integer\\s+)?' + name + '\\s*=)'
+				);
+
+				if (!declarationRegExp.test(sweepTestBenchText)) {
+					throw 'Test bench ' + testBenchFileName + ' does not declare parameter ' + name;
+				}
+
+				sweepTestBenchText = sweepTestBenchText.replace(declarationRegExp, 'parameter$2');
+			});
+
+			new FsReadWriteFileHelper(deviceOutputDirectory).writeFile(
+				testBenchFileName,
+				sweepTestBenchText
 			);
+
+			return FsPathHelper.resolve(deviceOutputDirectory, testBenchFileName);
 		}
+	}
+}
 
-		function reportError(qualifierPrefix, deviceNumber, outputLineNumber, outputLine) {
-			throw (
-				qualifierPrefix +
-				'Device ' +
-				deviceNumber +
-				' Output Line ' +
-				outputLineNumber +
-				': ' +
-				outputLine
-			);
+// give the name of the dump file that a test bench writes, from its $dumpfile call
+//
+function getDumpFileName(testBenchText, deviceNumber) {
+	const subMatches = /\$dumpfile\s*\(\s*"([^"]+)"/.exec(testBenchText);
+
+	return subMatches ? subMatches[1] : deviceNumber + '-tb.vcd';
+}
+
+// give a sweep combination as text, e.g. 'WIDTH=8 BLOCKS=2'
+//
+function formatSweepCombination({ parameters = {}, defines = {} }) {
+	return [
+		...Object.entries(parameters).map(([name, value]) => name + '=' + value),
+		...Object.entries(defines).map(([name, value]) => '`' + name + '=' + value)
+	].join(' ');
+}
+
+// write the coverage of a run: coverage.json with each device's summary, and coverage.info
+// (lcov) of all the source files, from the devices' coverage data; resolves to the file paths
+//
+async function writeCoverageReports(testResult, coverageDirectory) {
+	const coveredResults = testResult.deviceResults.filter(({ coverage }) => coverage),
+		fsCoverage = new FsReadWriteFileHelper(coverageDirectory),
+		summaryFilePath = FsPathHelper.resolve(coverageDirectory, coverageFileName + '.json'),
+		lcovFilePath = FsPathHelper.resolve(coverageDirectory, coverageFileName + '.info');
+
+	FsWriteDirectoryHelper.confirmDirectoryExists(coverageDirectory);
+
+	const devices = coveredResults.map(({ deviceNumber, coverage }) => ({
+		partNumber: deviceNumber,
+		line: coverage.line,
+		toggle: coverage.toggle
+	}));
+
+	fsCoverage.writeFile(
+		coverageFileName + '.json',
+		JSON.stringify({ total: combineCoverage(devices), devices }, null, 2) + EOL
+	);
+
+	if (!coveredResults.length) {
+		return [summaryFilePath];
+	}
+
+	await execAsync(
+		'verilator_coverage --write-info "' +
+			lcovFilePath +
+			'" ' +
+			coveredResults.map(({ coverage }) => '"' + coverage.coverageDataFilePath + '"').join(' '),
+		{ encoding: 'utf8', maxBuffer: execMaxBuffer }
+	);
+
+	return [summaryFilePath, lcovFilePath];
+}
+
+// build the report of a run: one test suite per device, one test case per numbered test;
+// failures that belong to no test (a compile error, an unexpected output line) make a test case
+// of their own, named for the test bench
+//
+function createExecReport(testResult, reportName) {
+	const toReportResults = (failures) =>
+		failures.map((failure) => ({ type: failure.kind, message: formatTestFailure(failure) }));
+
+	const testsuites = testResult.deviceResults.map(({ deviceNumber, testLabels, failures, durationMs }) => {
+		const testcases = testLabels.map((testLabel) => ({
+			name: testLabel,
+			failures: toReportResults(failures.filter((failure) => failure.testLabel === testLabel))
+		}));
+
+		const otherFailures = failures.filter(({ testLabel }) => !testLabels.includes(testLabel));
+
+		if (otherFailures.length) {
+			testcases.push({
+				name: deviceNumber + '-tb.v',
+				failures: toReportResults(otherFailures.filter(({ kind }) => !testBenchErrorKinds.includes(kind))),
+				errors: toReportResults(otherFailures.filter(({ kind }) => testBenchErrorKinds.includes(kind)))
+			});
 		}
+
+		return createTestSuite({ name: deviceNumber, durationMs, testcases });
+	});
+
+	return createTestReport({
+		name: reportName,
+		startTime: testResult.startTime,
+		durationMs: testResult.durationMs,
+		testsuites
+	});
+}
+
+// read the command line: options, and any device selectors among them; an option's value
+// that is optional is given in the same argument ("--report=<directory>"), so that a device
+// selector after the option is not taken for its value
+//
+function parseArguments(args) {
+	const optionsWithValue = [
+			'--jobs',
+			'-j',
+			'--simulator',
+			'--coverage-threshold',
+			'--golden-signals',
+			'--golden-tolerance'
+		],
+		optionsWithOptionalValue = ['--report', '--changed'],
+		optionalValueRegExp = /^(--[a-z-]+)=(.*)$/;
+
+	const parsed = {
+		isSuppressDumpFile: false,
+		isSweep: false,
+		isWriteTestCounts: false,
+		coverageOptions: null,
+		isSimulatorForCoverage: false,
+		goldenOptions: null,
+		jobCount: getJobCountOption(args),
+		simulatorBackends: getSimulatorBackendsOption(args),
+		reportDirectory: null,
+		changedGitRef: null,
+		selectors: []
+	};
+
+	let goldenSignalPatterns = defaultGoldenSignalPatterns,
+		goldenTimeTolerance = 0;
+
+	for (let i = 0; i < args.length; i++) {
+		const [arg, optionalValue] = optionalValueRegExp.test(args[i])
+				? args[i].match(optionalValueRegExp).slice(1)
+				: [args[i], null],
+			nextArg = args[i + 1];
+
+		if (optionalValue !== null && !optionsWithOptionalValue.includes(arg)) {
+			throw 'Error: Option does not take a value with "=": ' + args[i];
+		}
+
+		if (arg === '-s') {
+			parsed.isSuppressDumpFile = true;
+		} else if (arg === '--sweep') {
+			parsed.isSweep = true;
+		} else if (arg === '--test-counts') {
+			parsed.isWriteTestCounts = true;
+		} else if (arg === '--coverage') {
+			parsed.coverageOptions = parsed.coverageOptions || { threshold: null };
+		} else if (arg === '--coverage-threshold') {
+			const threshold = Number(nextArg);
+
+			if (nextArg === undefined || !Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+				throw 'Error: --coverage-threshold must be a percent from 0 to 100: ' + nextArg;
+			}
+
+			parsed.coverageOptions = { threshold };
+			i++;
+		} else if (arg === '--golden' || arg === '--golden-update') {
+			parsed.goldenOptions = { ...parsed.goldenOptions, isUpdate: arg === '--golden-update' };
+		} else if (arg === '--golden-signals') {
+			if (nextArg === undefined || nextArg.startsWith('-')) {
+				throw 'Error: --golden-signals must be followed by signal patterns';
+			}
+
+			goldenSignalPatterns = nextArg.split(',').map((pattern) => pattern.trim());
+			i++;
+		} else if (arg === '--golden-tolerance') {
+			goldenTimeTolerance = parseTime(nextArg);
+			i++;
+		} else if (optionsWithValue.includes(arg)) {
+			i++;
+		} else if (optionsWithOptionalValue.includes(arg)) {
+			if (optionalValue === '') {
+				throw 'Error: ' + arg + '= must be followed by a value';
+			}
+
+			if (arg === '--report') {
+				parsed.reportDirectory = optionalValue ? FsPathHelper.resolve(optionalValue) : '';
+			} else {
+				parsed.changedGitRef = optionalValue || defaultChangedGitRef;
+			}
+		} else if (arg.startsWith('-')) {
+			throw 'Error: Unknown option: ' + arg;
+		} else {
+			parsed.selectors.push(arg);
+		}
+	}
+
+	// coverage is given by Verilator, so it is the simulator unless others are asked for, and
+	// asking for one without coverage is an error
+	if (parsed.coverageOptions) {
+		if (!args.includes('--simulator')) {
+			parsed.simulatorBackends = [SIMULATOR_BACKENDS.verilator];
+			parsed.isSimulatorForCoverage = true;
+		}
+
+		parsed.simulatorBackends.forEach(({ displayName, coverageDataFileName }) => {
+			if (!coverageDataFileName) {
+				throw (
+					'Error: --coverage and --coverage-threshold cannot be given with simulator ' +
+					displayName + ', which does not give code coverage; use --simulator verilator'
+				);
+			}
+		});
+	}
+
+	// the recorded test counts are those of a run of every device under the default simulator
+	if (
+		parsed.isWriteTestCounts &&
+		(parsed.selectors.length ||
+			parsed.changedGitRef ||
+			parsed.coverageOptions ||
+			parsed.goldenOptions ||
+			parsed.simulatorBackends.length !== 1 ||
+			parsed.simulatorBackends[0] !== SIMULATOR_BACKENDS[DEFAULT_SIMULATOR])
+	) {
+		throw (
+			'Error: --test-counts records a run of every device under ' +
+			SIMULATOR_BACKENDS[DEFAULT_SIMULATOR].displayName + ', so cannot be given with ' +
+			'device selectors, --changed, another --simulator, --coverage or the golden options'
+		);
 	}
+
+	if (parsed.goldenOptions) {
+		if (parsed.isSuppressDumpFile) {
+			throw 'Error: --golden and --golden-update need the dump files, so cannot be given with -s';
+		}
+
+		parsed.goldenOptions = {
+			...parsed.goldenOptions,
+			signalPatterns: goldenSignalPatterns,
+			timeTolerance: goldenTimeTolerance
+		};
+	}
+
+	return parsed;
+}
+
+// narrow the list of device files to those selected by number, glob or category, and to those
+// changed from the git ref
+//
+function selectDeviceFiles(deviceFilePathList, parsedArguments, baseDirectory) {
+	const { selectors, changedGitRef } = parsedArguments;
+
+	if (!selectors.length && !changedGitRef) {
+		return deviceFilePathList;
+	}
+
+	const deviceNumberRegExp = new RegExp('([0-9]+)\\.v$'),
+		deviceNumberOf = (deviceFilePath) => (deviceNumberRegExp.exec(deviceFilePath) || [])[1];
+
+	let deviceNumbers = deviceFilePathList.map(deviceNumberOf).filter((deviceNumber) => deviceNumber);
+
+	if (selectors.length) {
+		const categoryMap = getDeviceCategoryMap(
+			new FsReadFileHelper(baseDirectory).readFile(INDEX_FILE_NAME)
+		);
+
+		deviceNumbers = selectDevices(deviceNumbers, selectors, categoryMap);
+	}
+
+	if (changedGitRef) {
+		deviceNumbers = getChangedDevices(deviceNumbers, baseDirectory, changedGitRef);
+	}
+
+	return deviceFilePathList.filter((deviceFilePath) =>
+		deviceNumbers.includes(deviceNumberOf(deviceFilePath))
+	);
+}
+
+// the outcome of each numbered test of a device: 'Passed', or the kinds of its failures;
+// null if the test bench did not run through
+//
+function getTestOutcomes({ testLabels, failures }) {
+	const isTestBenchRun = failures.every(({ kind }) => !testBenchErrorKinds.includes(kind));
+
+	if (!isTestBenchRun) {
+		return null;
+	}
+
+	return new Map(
+		testLabels.map((testLabel) => {
+			const kinds = failures
+				.filter((failure) => failure.testLabel === testLabel)
+				.map(({ kind }) => kind);
+
+			return [testLabel, kinds.length ? [...new Set(kinds)].join(' + ') : 'Passed'];
+		})
+	);
 }
 
-const testBenchService = new TestBenchService(
-	process.argv.length > 2 && process.argv[2] === '-s'
-);
+// compare the runs of the same devices under different simulators, test by test; a test that
+// passes under one and fails or is missing under another is a discrepancy
+//
+function findSimulatorDiscrepancies(simulatorRuns) {
+	const discrepancies = [];
+
+	simulatorRuns[0].testResult.deviceResults.forEach(({ deviceNumber }, deviceIndex) => {
+		const outcomesPerRun = simulatorRuns.map(({ testResult }) =>
+			getTestOutcomes(testResult.deviceResults[deviceIndex])
+		);
+
+		// a device that did not run under some simulator is already reported as failed
+		if (outcomesPerRun.some((outcomes) => !outcomes)) {
+			return;
+		}
+
+		const testLabels = [...new Set(outcomesPerRun.flatMap((outcomes) => [...outcomes.keys()]))];
+
+		testLabels.forEach((testLabel) => {
+			const outcomes = outcomesPerRun.map((outcomes) => outcomes.get(testLabel) || 'Missing');
+
+			if (new Set(outcomes).size > 1) {
+				discrepancies.push(createTestFailure(
+					TEST_FAILURE_KINDS.simulatorDiscrepancy,
+					deviceNumber,
+					testLabel,
+					null,
+					simulatorRuns
+						.map(({ simulatorBackend }, runIndex) => simulatorBackend.name + ' ' + outcomes[runIndex])
+						.join(', ')
+				));
+			}
+		});
+	});
+
+	return discrepancies;
+}
 
 // main
 
+let parsedArguments;
+
+try {
+	parsedArguments = parseArguments(process.argv.slice(2));
+} catch (errorMessage) {
+	console.log(errorMessage);
+	process.exit(1);
+}
+
 const fsPath = new FsPathHelper(),
 	baseDirectory = fsPath.getReferenceRootDirectory(),
 	workingDirectory = fsPath.toAbsolute(workingSubDirectory);
@@ -266,7 +865,7 @@ const devicesDirectory = FsPathHelper.resolve(baseDirectory, sourceSubDirectory)
 
 FsWriteDirectoryHelper.confirmDirectoryExists(outputDirectory);
 
-const deviceFilePathList = walkSync(devicesDirectory, {
+const allDeviceFilePathList = walkSync(devicesDirectory, {
 	includeBasePath: true,
 	globs: [
 		'**/*.v'
@@ -276,13 +875,163 @@ const deviceFilePathList = walkSync(devicesDirectory, {
 	]
 });
 
-const testResult = testBenchService.execAll(
-	devicesDirectory,
-	deviceFilePathList,
-	includesDirectory,
-	outputDirectory
-);
+let deviceFilePathList;
+
+try {
+	deviceFilePathList = selectDeviceFiles(allDeviceFilePathList, parsedArguments, baseDirectory);
+} catch (errorMessage) {
+	console.log(errorMessage);
+	process.exit(1);
+}
+
+// read the sweep combinations of the devices to run, from their metadata
+const sweepCombinationsByDevice = {};
+
+if (parsedArguments.isSweep) {
+	deviceFilePathList.forEach((deviceFilePath) => {
+		const deviceNumber = (new RegExp('([0-9]+)\\.v$').exec(deviceFilePath) || [])[1],
+			metadata = deviceNumber && readDeviceMetadata(deviceNumber, baseDirectory);
+
+		if (metadata && metadata.testSweep) {
+			sweepCombinationsByDevice[deviceNumber] = metadata.testSweep;
+		}
+	});
+}
+
+// read the golden waveform settings of the devices to run, from their metadata
+const goldenSettingsByDevice = {};
+
+if (parsedArguments.goldenOptions) {
+	try {
+		deviceFilePathList.forEach((deviceFilePath) => {
+			const deviceNumber = (new RegExp('([0-9]+)\\.v$').exec(deviceFilePath) || [])[1],
+				metadata = deviceNumber && readDeviceMetadata(deviceNumber, baseDirectory);
+
+			if (metadata && metadata.goldenWaveform) {
+				const { signals, timeTolerance } = metadata.goldenWaveform;
+
+				goldenSettingsByDevice[deviceNumber] = {
+					...(signals ? { signalPatterns: signals } : {}),
+					...(timeTolerance !== undefined ? { timeTolerance: parseTime(timeTolerance) } : {})
+				};
+			}
+		});
+	} catch (errorMessage) {
+		console.log(errorMessage);
+		process.exit(1);
+	}
+}
+
+// run the devices under each simulator in turn, then compare the simulators' results
+const { simulatorBackends } = parsedArguments,
+	isComparingSimulators = simulatorBackends.length > 1,
+	simulatorRuns = [];
+
+for (const simulatorBackend of simulatorBackends) {
+	const testBenchService = new TestBenchService(
+		parsedArguments.isSuppressDumpFile,
+		parsedArguments.jobCount,
+		simulatorBackend,
+		parsedArguments.coverageOptions,
+		parsedArguments.goldenOptions && {
+			...parsedArguments.goldenOptions,
+			goldenDirectory: FsPathHelper.resolve(
+				workingDirectory,
+				goldenSubDirectory,
+				simulatorBackend.name
+			),
+			settingsByDevice: goldenSettingsByDevice
+		}
+	);
+
+	console.log(
+		'Simulator: ' + simulatorBackend.displayName +
+		(parsedArguments.isSimulatorForCoverage ? ' (for --coverage)' : '')
+	);
+
+	const testResult = await testBenchService.execAll(
+		devicesDirectory,
+		deviceFilePathList,
+		includesDirectory,
+		FsPathHelper.resolve(outputDirectory, simulatorBackend.name),
+		sweepCombinationsByDevice
+	);
+
+	simulatorRuns.push({ simulatorBackend, testResult });
+
+	if (parsedArguments.isWriteTestCounts) {
+		const testCountsDirectory = FsPathHelper.resolve(baseDirectory, testCountsSubDirectory);
+
+		console.log(
+			'Test counts: ' + writeTestCounts(testCountsDirectory, testResult.deviceResults)
+		);
+	}
+
+	if (parsedArguments.coverageOptions) {
+		const coverages = testResult.deviceResults.filter(({ coverage }) => coverage);
+
+		coverages.forEach(({ deviceNumber, coverage }) => {
+			console.log('Coverage: Device ' + deviceNumber + ': ' + formatCoverage(coverage));
+		});
+
+		console.log(
+			'Coverage: ' + coverages.length + ' devices: ' +
+			formatCoverage(combineCoverage(coverages.map(({ coverage }) => coverage)))
+		);
+
+		try {
+			(await writeCoverageReports(
+				testResult,
+				FsPathHelper.resolve(outputDirectory, simulatorBackend.name, coverageSubDirectory)
+			)).forEach((coverageFilePath) => {
+				console.log('Coverage report: ' + coverageFilePath);
+			});
+		} catch (error) {
+			console.log('Failed at: Coverage report: ' + String(error.stderr || error.message || error).trim());
+			testResult.isPassed = false;
+		}
+	}
+
+	if (parsedArguments.goldenOptions && parsedArguments.goldenOptions.isUpdate) {
+		console.log(
+			'Golden dumps: ' + FsPathHelper.resolve(workingDirectory, goldenSubDirectory, simulatorBackend.name)
+		);
+	}
+
+	if (parsedArguments.reportDirectory !== null) {
+		const reportDirectory =
+			parsedArguments.reportDirectory || FsPathHelper.resolve(outputDirectory, reportSubDirectory),
+			reportName =
+				'exec-verilog' +
+				(simulatorBackend.name === DEFAULT_SIMULATOR ? '' : '-' + simulatorBackend.name);
+
+		writeTestReports(createExecReport(testResult, reportName), reportDirectory).forEach(
+			(reportFilePath) => {
+				console.log('Report: ' + reportFilePath);
+			}
+		);
+	}
+}
+
+let isPassed = simulatorRuns.every(({ testResult }) => testResult.isPassed);
+
+if (isComparingSimulators) {
+	const discrepancies = findSimulatorDiscrepancies(simulatorRuns);
+
+	console.log('Simulators compared: ' + simulatorBackends.map(({ name }) => name).join(', '));
+
+	discrepancies.forEach((discrepancy) => {
+		console.log('Failed at: ' + formatTestFailure(discrepancy));
+	});
+
+	if (discrepancies.length) {
+		console.log('Failed: ' + discrepancies.length + ' tests differ between simulators');
+		isPassed = false;
+	} else {
+		console.log('Passed: Same results from every simulator');
+	}
+}
 
-if (!testResult.startsWith('Passed')) {
+if (!isPassed) {
 	process.exit(1);
 }
@@ -0,0 +1,235 @@
+// fuzz-devices.js
+//
+// validate the IC devices against their reference models in scripts/models/ by random stimulus:
+// drive the Verilog module and the model with the same seeded random sequence of inputs, and
+// compare their outputs step by step, including clock edges for the sequential devices
+//
+// - devices are fuzzed if they have a model, combinational or sequential
+// - each device has its own seed, derived from the run's seed and the device number, so that
+//   a device gets the same sequence whether run alone or with others
+// - a device fails at its first step whose outputs differ from the model's; this is shown as a
+//   minimal trace that still diverges, one line per step with the inputs, the outputs and
+//   the model's outputs in binary (divergent ports marked '*'), then the command that repeats it
+// - the run's seed is always displayed; a failure is repeated exactly by giving the same seed
+//   and number of steps
+//
+// - argument (optional): "--seed <number>" the run's seed (default: a new random seed)
+// - argument (optional): "--steps <count>" number of steps per device (default: 200)
+// - argument (optional): "--jobs <count>" number of devices to fuzz at once
+//   (default: one per processor)
+// - arguments (optional): device selectors, to fuzz only some devices: device numbers, globs
+//   ("741*") or device-index.md categories ("Gates")
+//
+// Usage: node fuzz-devices.js [--seed <number>] [--steps <count>] [--jobs <count>] [selector ...]
+// Example: node fuzz-devices.js
+// Example: node fuzz-devices.js --steps 1000 7474 74112 74377
+// Example: node fuzz-devices.js --seed 3735928559 --steps 200 74161
+//
+// © 2026 Tim Rudy
+
+import fs from 'fs';
+
+import { getDeviceCategoryMap, INDEX_FILE_NAME } from '../common/device-index-helper.js';
+import { selectDevices } from '../common/device-selection-helper.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper } from '../common/fs-file-helper.js';
+import { FsPathHelper } from '../common/fs-path-helper.js';
+import { getJobCountOption, runJobPool } from '../common/job-pool-helper.js';
+import { createSeed, deriveSeed } from '../common/random-helper.js';
+import { DEVICE_MODELS } from '../models/index.js';
+import { FuzzService } from './fuzz-service.js';
+
+const sourceSubDirectory = 'source-7400/',
+	includesSubDirectory = 'includes/',
+	workingSubDirectory = 'scripts/validate/',
+	outputSubDirectory = 'output/fuzz/',
+	defaultStepCount = 200;
+
+const failureKinds = {
+	divergence: 'Divergence',
+	error: 'Fuzz error'
+};
+
+// give a step of a trace as text, e.g. '  2: D=1 Clk=1 | Q=0 Q_bar=1 | model Q=1* Q_bar=0*'
+//
+function formatTraceStep({ inputs, outputs, modelOutputs, divergentPorts }, stepNumber) {
+	const toText = (values, isMarked) =>
+		Object.entries(values)
+			.map(
+				([name, value]) =>
+					name + '=' + (value === null ? '?' : value) +
+					(isMarked && divergentPorts.includes(name) ? '*' : '')
+			)
+			.join(' ');
+
+	return (
+		'  ' + stepNumber + ': ' + toText(inputs, false) + ' | ' + toText(outputs, true) +
+		' | model ' + toText(modelOutputs, true)
+	);
+}
+
+// fuzz every device, collecting every failure; resolves to the overall result with the
+// per-device results
+//
+async function fuzzAll(fuzzService, deviceNumbers, seed, stepCount, jobCount, outputDirectory) {
+	const deviceResults = await runJobPool(deviceNumbers, jobCount, async (deviceNumber) => {
+		const { divergence, errorMessage } = await fuzzService.fuzzDevice(
+			deviceNumber,
+			deriveSeed(seed, deviceNumber),
+			stepCount,
+			FsPathHelper.resolve(outputDirectory, deviceNumber)
+		);
+
+		const failures = [];
+
+		if (divergence) {
+			failures.push({
+				kind: failureKinds.divergence,
+				deviceNumber,
+				message:
+					'Step ' + (divergence.stepIndex + 1) + ' of ' + stepCount + ', trace of ' +
+					divergence.trace.length + ' steps:',
+				trace: divergence.trace
+			});
+		}
+
+		if (errorMessage) {
+			failures.push({ kind: failureKinds.error, deviceNumber, message: errorMessage });
+		}
+
+		return { deviceNumber, failures };
+	});
+
+	const failures = deviceResults.flatMap(({ failures }) => failures);
+
+	let resultMessage;
+
+	failures.forEach(({ kind, deviceNumber, message, trace }) => {
+		console.log('Failed at: ' + kind + ': Device ' + deviceNumber + ': ' + message);
+
+		if (trace) {
+			trace.forEach((step, stepIndex) => {
+				console.log(formatTraceStep(step, stepIndex + 1));
+			});
+
+			console.log(
+				'  Repeat with: node fuzz-devices.js --seed ' + seed + ' --steps ' + stepCount + ' ' +
+				deviceNumber
+			);
+		}
+	});
+
+	if (!failures.length) {
+		resultMessage =
+			'Passed: Fuzz ' + deviceResults.length + ' devices ' + stepCount + ' steps seed ' + seed;
+	} else {
+		resultMessage =
+			'Failed: Fuzz ' +
+			failures.length +
+			' failures in ' +
+			deviceResults.filter(({ failures }) => failures.length).length +
+			' of ' +
+			deviceResults.length +
+			' devices seed ' +
+			seed;
+	}
+
+	console.log(resultMessage);
+
+	return { isPassed: !failures.length, resultMessage, deviceResults };
+}
+
+// give the value of a numeric option, or the default
+//
+function getWholeNumberOption(args, optionName, defaultValue, minValue) {
+	const optionIndex = args.indexOf(optionName);
+
+	if (optionIndex === -1) {
+		return defaultValue;
+	}
+
+	const value = Number(args[optionIndex + 1]);
+
+	if (!Number.isInteger(value) || value < minValue) {
+		throw (
+			'Error: ' + optionName + ' must be a whole number of at least ' + minValue + ': ' +
+			args[optionIndex + 1]
+		);
+	}
+
+	return value;
+}
+
+// main
+
+const args = process.argv.slice(2);
+
+let jobCount, seed, stepCount;
+
+try {
+	jobCount = getJobCountOption(args);
+	seed = getWholeNumberOption(args, '--seed', null, 0);
+	stepCount = getWholeNumberOption(args, '--steps', defaultStepCount, 1);
+
+	if (seed === null) {
+		seed = createSeed();
+	} else if (seed >= 2 ** 32) {
+		throw 'Error: --seed must be less than ' + 2 ** 32 + ': ' + seed;
+	}
+} catch (errorMessage) {
+	console.log(errorMessage);
+	process.exit(1);
+}
+
+console.log('Seed: ' + seed);
+
+const fsPath = new FsPathHelper(),
+	baseDirectory = fsPath.getReferenceRootDirectory(),
+	workingDirectory = fsPath.toAbsolute(workingSubDirectory);
+
+const devicesDirectory = FsPathHelper.resolve(baseDirectory, sourceSubDirectory),
+	includesDirectory = FsPathHelper.resolve(baseDirectory, includesSubDirectory),
+	outputDirectory = FsPathHelper.resolve(workingDirectory, outputSubDirectory);
+
+FsWriteDirectoryHelper.confirmDirectoryExists(outputDirectory);
+
+// the selectors are the arguments that are not options, nor the value of an option
+const selectors = args.filter(
+	(arg, argIndex) =>
+		!arg.startsWith('-') && !['--jobs', '-j', '--seed', '--steps'].includes(args[argIndex - 1])
+);
+
+// the devices with a model
+const modelDeviceNumbers = Object.keys(DEVICE_MODELS)
+	.filter((deviceNumber) =>
+		fs.existsSync(FsPathHelper.resolve(devicesDirectory, deviceNumber + '.v'))
+	)
+	.sort((a, b) => Number(a) - Number(b));
+
+let deviceNumbers = modelDeviceNumbers;
+
+if (selectors.length) {
+	try {
+		deviceNumbers = selectDevices(
+			modelDeviceNumbers,
+			selectors,
+			getDeviceCategoryMap(new FsReadFileHelper(baseDirectory).readFile(INDEX_FILE_NAME))
+		);
+	} catch (errorMessage) {
+		console.log(errorMessage);
+		process.exit(1);
+	}
+}
+
+const fuzzResult = await fuzzAll(
+	new FuzzService(devicesDirectory, includesDirectory),
+	deviceNumbers,
+	seed,
+	stepCount,
+	jobCount,
+	outputDirectory
+);
+
+if (!fuzzResult.isPassed) {
+	process.exit(1);
+}
@@ -0,0 +1,383 @@
+// fuzz-service.js
+//
+// differential testing of an IC device '*.v' against its reference model (scripts/models/):
+// drive both with the same seeded random sequence of inputs, and compare their outputs step
+// by step
+//
+// - each step applies one set of inputs; for a sequential device, a step either toggles some
+//   clock bits (of the port 'Clk') and nothing else, or changes some other inputs, so that
+//   every clock edge samples inputs that are already settled
+// - the sequence is written as <device>-stimulus.hex, applied by a generated test bench
+//   <device>-fuzz-tb.v under Icarus Verilog, which displays the outputs after each step as
+//   'Step: <step> <outputs>' in binary (the output ports concatenated in declaration order);
+//   the inputs are declared with the values of the first step, so that applying it makes no
+//   edge, as for the model
+// - an output that is not known yet is not compared: one that the model gives as null (e.g. a
+//   register before its first clear or clock), or that the simulation gives with x or z bits
+//   (e.g. a register held in clear from the start, which the Verilog clears at an edge only)
+// - on a divergence, the sequence is shortened to a minimal trace that still diverges: cut
+//   after the first divergent step, then without each run of steps that it can do without,
+//   simulating each candidate trace
+// - the result is:
+//   - stepCount: the number of steps run
+//   - divergence: null, or { stepIndex, trace }, where stepIndex is the first divergent step
+//     of the full sequence and trace is [{ inputs, outputs, modelOutputs, divergentPorts }]
+//     with the port values in binary by port name
+//   - errorMessage: a compile or simulation error, or null
+//
+// © 2026 Tim Rudy
+
+import { exec } from 'child_process';
+import util from 'util';
+
+import { EOL } from '../common/constants.js';
+import {
+	concatenatePorts,
+	getDevicePorts,
+	getPortsWidth,
+	splitBinaryPorts
+} from '../common/device-ports-helper.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { FsPathHelper } from '../common/fs-path-helper.js';
+import { createRandom, randomBits } from '../common/random-helper.js';
+import { DEVICE_MODELS, isSequentialModel, runModel } from '../models/index.js';
+import { SIMULATOR_BACKENDS } from './simulator-backends.js';
+
+const execAsync = util.promisify(exec);
+
+const execMaxBuffer = 16 * 1024 * 1024;
+
+const simulatorBackend = SIMULATOR_BACKENDS.icarus;
+
+const clockPortName = 'Clk';
+
+// the most simulations to run when shortening a divergent sequence
+const maxShortenAttemptCount = 64;
+
+export class FuzzService {
+	constructor(devicesDirectory, includesDirectory) {
+		const fsDevicesInput = new FsReadFileHelper(devicesDirectory);
+
+		this.fuzzDevice = async (deviceNumber, seed, stepCount, deviceOutputDirectory) => {
+			const devicePorts = getDevicePorts(fsDevicesInput.readFile(deviceNumber + '.v')),
+				model = DEVICE_MODELS[deviceNumber];
+
+			const sequence = generateSequence(devicePorts, isSequentialModel(model), seed, stepCount);
+
+			FsWriteDirectoryHelper.confirmDirectoryExists(deviceOutputDirectory);
+
+			try {
+				const comparison = await simulateAndCompare(
+					deviceNumber,
+					devicePorts,
+					model,
+					sequence,
+					deviceOutputDirectory
+				);
+
+				if (comparison.stepIndex === -1) {
+					return { stepCount, divergence: null, errorMessage: null };
+				}
+
+				const trace = await shortenTrace(
+					deviceNumber,
+					devicePorts,
+					model,
+					sequence.slice(0, comparison.stepIndex + 1),
+					deviceOutputDirectory
+				);
+
+				return {
+					stepCount,
+					divergence: { stepIndex: comparison.stepIndex, trace },
+					errorMessage: null
+				};
+			} catch (error) {
+				return {
+					stepCount,
+					divergence: null,
+					errorMessage: String(error.stderr || error.message || error).trim()
+				};
+			}
+		};
+
+		// simulate the sequence and run the model through it; gives the first divergent step
+		// (or -1) and the steps compared up to there
+		async function simulateAndCompare(
+			deviceNumber,
+			devicePorts,
+			model,
+			sequence,
+			deviceOutputDirectory
+		) {
+			const simulatedOutputs = await simulate(
+					deviceNumber,
+					devicePorts,
+					sequence,
+					deviceOutputDirectory
+				),
+				modelOutputs = runModel(model, devicePorts.parameterValues, sequence),
+				steps = [];
+
+			for (let stepIndex = 0; stepIndex < sequence.length; stepIndex++) {
+				const step = compareStep(
+					devicePorts,
+					sequence[stepIndex],
+					simulatedOutputs[stepIndex],
+					modelOutputs[stepIndex]
+				);
+
+				steps.push(step);
+
+				if (step.divergentPorts.length) {
+					return { stepIndex, steps };
+				}
+			}
+
+			return { stepIndex: -1, steps };
+		}
+
+		// run the sequence through the Verilog module; gives the outputs of each step, in binary
+		// by port name
+		async function simulate(
+			deviceNumber,
+			{ moduleName, inputs, outputs },
+			sequence,
+			deviceOutputDirectory
+		) {
+			const fsDeviceOutput = new FsReadWriteFileHelper(deviceOutputDirectory),
+				stimulusFileName = deviceNumber + '-stimulus.hex',
+				testBenchFileName = deviceNumber + '-fuzz-tb.v',
+				hexDigitCount = Math.ceil(getPortsWidth(inputs) / 4);
+
+			fsDeviceOutput.writeFile(
+				stimulusFileName,
+				sequence
+					.map((inputValues) =>
+						concatenatePorts(inputValues, inputs).toString(16).padStart(hexDigitCount, '0')
+					)
+					.join(EOL) + EOL
+			);
+
+			fsDeviceOutput.writeFile(
+				testBenchFileName,
+				generateFuzzTestBench(deviceNumber, moduleName, inputs, outputs, sequence, stimulusFileName)
+			);
+
+			const execOptions = {
+				cwd: deviceOutputDirectory,
+				encoding: 'utf8',
+				maxBuffer: execMaxBuffer
+			};
+
+			await execAsync(
+				simulatorBackend.compileCommand(
+					[
+						FsPathHelper.resolve(includesDirectory, 'helper.v'),
+						FsPathHelper.resolve(deviceOutputDirectory, testBenchFileName),
+						FsPathHelper.resolve(devicesDirectory, deviceNumber + '.v')
+					],
+					true
+				),
+				execOptions
+			);
+
+			const { stdout } = await execAsync(simulatorBackend.runCommand(true), execOptions),
+				stepRegExp = /^Step: ([0-9]+) ([01xz]+)$/,
+				simulatedOutputs = [];
+
+			stdout.split(EOL).forEach((line) => {
+				const subMatches = stepRegExp.exec(line.trim());
+
+				if (subMatches) {
+					simulatedOutputs[Number(subMatches[1])] = splitBinaryPorts(subMatches[2], outputs);
+				}
+			});
+
+			if (simulatedOutputs.length !== sequence.length) {
+				throw (
+					'Simulation gave the outputs of ' + simulatedOutputs.length + ' of ' +
+					sequence.length + ' steps'
+				);
+			}
+
+			return simulatedOutputs;
+		}
+
+		// shorten a divergent sequence while it still diverges: remove runs of steps, from half of
+		// the sequence down to single steps; gives the trace of the shortest one found
+		async function shortenTrace(deviceNumber, devicePorts, model, sequence, deviceOutputDirectory) {
+			let shortest = sequence,
+				comparison = await simulateAndCompare(
+					deviceNumber,
+					devicePorts,
+					model,
+					shortest,
+					deviceOutputDirectory
+				),
+				runLength = Math.floor(shortest.length / 2),
+				attemptCount = 1;
+
+			while (runLength >= 1 && attemptCount < maxShortenAttemptCount) {
+				let start = 0;
+
+				while (start < shortest.length && attemptCount < maxShortenAttemptCount) {
+					const candidate = [...shortest.slice(0, start), ...shortest.slice(start + runLength)];
+
+					if (!candidate.length) {
+						break;
+					}
+
+					const candidateComparison = await simulateAndCompare(
+						deviceNumber,
+						devicePorts,
+						model,
+						candidate,
+						deviceOutputDirectory
+					);
+
+					attemptCount++;
+
+					if (candidateComparison.stepIndex !== -1) {
+						shortest = candidate.slice(0, candidateComparison.stepIndex + 1);
+						comparison = candidateComparison;
+					} else {
+						start += runLength;
+					}
+				}
+
+				runLength = Math.floor(runLength / 2);
+			}
+
+			return comparison.steps.slice(0, comparison.stepIndex + 1);
+		}
+	}
+}
+
+// give the random sequence of input values, one set per step (also the stimulus of
+// timing-service.js)
+//
+export function generateSequence({ inputs }, isSequential, seed, stepCount) {
+	const random = createRandom(seed),
+		clockPort = isSequential ? inputs.find(({ name }) => name === clockPortName) : null,
+		dataPorts = inputs.filter((port) => port !== clockPort),
+		sequence = [];
+
+	// start with the clocks low, so that the first step that raises one is an edge
+	let inputValues = Object.fromEntries(
+		inputs.map(({ name, width }) => [name, name === clockPortName ? 0 : randomBits(random, width)])
+	);
+
+	sequence.push(inputValues);
+
+	for (let stepIndex = 1; stepIndex < stepCount; stepIndex++) {
+		inputValues = { ...inputValues };
+
+		if (clockPort && (!dataPorts.length || random() < 0.5)) {
+			// toggle at least one clock bit
+			const toggledBits = randomBits(random, clockPort.width) || 1;
+
+			inputValues[clockPort.name] = (inputValues[clockPort.name] ^ toggledBits) >>> 0;
+		} else {
+			// change each other input by even chance, and at least one of them
+			const changedPorts = dataPorts.filter(() => random() < 0.5);
+
+			(changedPorts.length ? changedPorts : [dataPorts[Math.floor(random() * dataPorts.length)]])
+				.forEach(({ name, width }) => {
+					inputValues[name] = randomBits(random, width);
+				});
+		}
+
+		sequence.push(inputValues);
+	}
+
+	return sequence;
+}
+
+// compare the simulated outputs of one step with the model's, port by port
+//
+function compareStep({ inputs, outputs }, inputValues, simulatedOutputs, modelOutputs) {
+	const toBinary = (value, width) =>
+		value === null || value === undefined ? null : Number(value).toString(2).padStart(width, '0');
+
+	const binaryModelOutputs = Object.fromEntries(
+		outputs.map(({ name, width }) => [name, toBinary(modelOutputs[name], width)])
+	);
+
+	return {
+		inputs: Object.fromEntries(
+			inputs.map(({ name, width }) => [name, toBinary(inputValues[name], width)])
+		),
+		outputs: simulatedOutputs,
+		modelOutputs: binaryModelOutputs,
+		divergentPorts: outputs
+			.filter(
+				({ name }) =>
+					binaryModelOutputs[name] !== null &&
+					/^[01]+$/.test(simulatedOutputs[name]) &&
+					binaryModelOutputs[name] !== simulatedOutputs[name]
+			)
+			.map(({ name }) => name)
+	};
+}
+
+// write the test bench that applies every step in turn and displays the outputs after each
+//
+function generateFuzzTestBench(
+	deviceNumber,
+	moduleName,
+	inputs,
+	outputs,
+	sequence,
+	stimulusFileName
+) {
+	const stepCount = sequence.length;
+
+	const toDeclaration = (type, { name, width }, value = null) =>
+		type + (width > 1 ? ' [' + (width - 1) + ':0]' : '') + ' ' + name +
+		(value === null ? '' : ' = ' + width + "'h" + value.toString(16)) + ';';
+
+	const inputConcatenation = '{' + inputs.map(({ name }) => name).join(', ') + '}',
+		outputConcatenation = '{' + outputs.map(({ name }) => name).join(', ') + '}';
+
+	return [
+		'// Fuzz test: ' + moduleName + ' against scripts/models/' + deviceNumber + '.js',
+		'// (generated by fuzz-devices.js)',
+		'',
+		'module test;',
+		'',
+		'// DUT inputs',
+		...inputs.map((port) => toDeclaration('reg', port, sequence[0][port.name])),
+		'',
+		'// DUT outputs',
+		...outputs.map((port) => toDeclaration('wire', port)),
+		'',
+		'// input values, by step',
+		'reg [' + (getPortsWidth(inputs) - 1) + ':0] fz_stimulus [0:' + (stepCount - 1) + '];',
+		'',
+		'// DUT',
+		moduleName + ' dut(',
+		[...inputs, ...outputs].map(({ name }) => '  .' + name + '(' + name + ')').join(',' + EOL),
+		');',
+		'',
+		'initial',
+		'begin',
+		'  integer fz_step;',
+		'',
+		'  $readmemh("' + stimulusFileName + '", fz_stimulus);',
+		'',
+		'  for (fz_step = 0; fz_step < ' + stepCount + '; fz_step++)',
+		'  begin',
+		'    ' + inputConcatenation + ' = fz_stimulus[fz_step];',
+		'#10',
+		'    $display("Step: %0d %b", fz_step, ' + outputConcatenation + ');',
+		'  end',
+		'',
+		'  $finish;',
+		'end',
+		'',
+		'endmodule',
+		''
+	].join(EOL);
+}
@@ -0,0 +1,96 @@
+// simulator-backends.js
+//
+// the simulators that a test bench can be run with, each as a backend for exec-verilog.js
+//
+// - a backend gives:
+//   - compileCommand: the command to compile the source files (helper.v, tbhelper.v, the test
+//     bench, the device) into a simulation that can run in the device's output directory, with
+//     any overrides of the test bench's parameters and of defines: { parameters, defines }, and
+//     with code coverage compiled in if asked for
+//   - runCommand: the command to run that simulation; a dump file, if made, is written in the
+//     same directory, and "-s" (suppress dump file) is honoured at compile or run time
+//   - coverageDataFileName: where a run with coverage writes its coverage data, relative to the
+//     device's output directory; null if the simulator does not give code coverage
+//   - normalizeOutput: convert the simulation output to the form that Icarus Verilog gives, so
+//     the same analysis of the 'Passed:' and '-Failed:' lines applies to every simulator
+//
+// © 2026 Tim Rudy
+
+import { EOL } from '../common/constants.js';
+
+export const DEFAULT_SIMULATOR = 'icarus';
+
+const quote = (filePath) => '"' + filePath + '"';
+
+const toOptions = (prefix, values = {}) =>
+	Object.entries(values).map(([name, value]) => ' ' + prefix + name + '=' + value).join('');
+
+export const SIMULATOR_BACKENDS = {
+	icarus: {
+		name: 'icarus',
+		displayName: 'Icarus Verilog',
+
+		compileCommand: (sourceFilePaths, isSuppressDumpFile, overrides = {}) =>
+			'iverilog -g2012 -o test.vvp' +
+			toOptions('-Ptest.', overrides.parameters) +
+			toOptions('-D', overrides.defines) +
+			' ' + sourceFilePaths.map(quote).join(' '),
+
+		runCommand: (isSuppressDumpFile) => 'vvp test.vvp' + (isSuppressDumpFile ? ' -none' : ''),
+
+		coverageDataFileName: null,
+
+		normalizeOutput: (output) => output
+	},
+
+	verilator: {
+		name: 'verilator',
+		displayName: 'Verilator',
+
+		// the test bench module is 'test'; dump files are only made if tracing is compiled in
+		compileCommand: (sourceFilePaths, isSuppressDumpFile, overrides = {}, isCoverage = false) =>
+			'verilator --binary --timing -Wno-fatal -Wno-lint -Wno-style' +
+			(isSuppressDumpFile ? '' : ' --trace') +
+			(isCoverage ? ' --coverage-line --coverage-toggle' : '') +
+			toOptions('-G', overrides.parameters) +
+			toOptions('-D', overrides.defines) +
+			' --top-module test -Mdir obj_dir -o Vtest ' +
+			sourceFilePaths.map(quote).join(' '),
+
+		runCommand: () => './obj_dir/Vtest',
+
+		coverageDataFileName: 'logs/coverage.dat',
+
+		// drop Verilator's own report lines ('- ...: Verilog $finish', '- S i m u l a t i o n ...'),
+		// and the padding that a wide string register may be displayed with
+		normalizeOutput: (output) =>
+			output
+				.split(EOL)
+				.filter((line) => !line.startsWith('- '))
+				.map((line) => line.trim())
+				.join(EOL)
+	}
+};
+
+// read the option '--simulator <name>[,<name>...]' from command line arguments
+//
+export function getSimulatorBackendsOption(args) {
+	const optionIndex = args.indexOf('--simulator'),
+		names = optionIndex === -1 ? [DEFAULT_SIMULATOR] : (args[optionIndex + 1] || '').split(',');
+
+	return names.map((name) => {
+		const backend = SIMULATOR_BACKENDS[name.trim().toLowerCase()];
+
+		if (!backend) {
+			throw (
+				'Error: Unknown simulator: ' +
+				name +
+				' (expected one or more of: ' +
+				Object.keys(SIMULATOR_BACKENDS).join(', ') +
+				')'
+			);
+		}
+
+		return backend;
+	});
+}
@@ -0,0 +1,169 @@
+// synthesis-service.js
+//
+// synthesize an IC device '*.v' (with includes/helper.v) with yosys, for a given target
+//
+// - parameters of the module may be set to other than their defaults, e.g. { WIDTH: 8 }
+// - a device's DIP package wrapper (source-7400-dip/<device>-dip<pins>.v) may be synthesized
+//   too, with the device, for the generic target: a pin connected to a port that the device
+//   does not have is an error, and one of the wrong width gives a warning
+// - the yosys script, its log, and the statistics of the synthesized design are written in the
+//   given output directory
+// - the result gives what a check or a report needs:
+//   - cells: { cellCount, cellsByType }, or null if yosys stopped with an error
+//   - errorMessage: the yosys error, or null
+//   - latches: the log lines and cell types that show an inferred latch
+//   - warnings: the unique warning lines of the log
+//
+// © 2026 Tim Rudy
+
+import { exec } from 'child_process';
+import fs from 'fs';
+import util from 'util';
+
+import { EOL } from '../common/constants.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { FsPathHelper } from '../common/fs-path-helper.js';
+import { parseVerilogModule } from '../common/verilog-module-parser.js';
+
+// the synthesis command for each target
+export const SYNTHESIS_TARGETS = {
+	generic: (topModuleName) => 'synth -top ' + topModuleName,
+	ice40: (topModuleName) => 'synth_ice40 -top ' + topModuleName
+};
+
+const execAsync = util.promisify(exec);
+
+// yosys logs every pass, so its output is long
+const execMaxBuffer = 16 * 1024 * 1024;
+
+export class SynthesisService {
+	constructor(devicesDirectory, includesDirectory, dipWrappersDirectory) {
+		const fsDevicesInput = new FsReadFileHelper(devicesDirectory);
+
+		this.synthesizeDevice = async (
+			deviceNumber,
+			target,
+			targetOutputDirectory,
+			parameterValues = {}
+		) => {
+			const deviceFileName = deviceNumber + '.v',
+				verilogModule = parseVerilogModule(fsDevicesInput.readFile(deviceFileName));
+
+			if (!SYNTHESIS_TARGETS[target]) {
+				throw 'Error: Unknown synthesis target: ' + target;
+			}
+
+			FsWriteDirectoryHelper.confirmDirectoryExists(targetOutputDirectory);
+
+			const result = await runYosys(
+				[
+					FsPathHelper.resolve(includesDirectory, 'helper.v'),
+					FsPathHelper.resolve(devicesDirectory, deviceFileName)
+				],
+				[
+					...Object.entries(parameterValues).map(
+						([name, value]) => 'chparam -set ' + name + ' ' + value + ' ' + verilogModule.name
+					),
+					SYNTHESIS_TARGETS[target](verilogModule.name)
+				],
+				targetOutputDirectory
+			);
+
+			return { moduleName: verilogModule.name, ...result };
+		};
+
+		this.synthesizeDipWrapper = async (deviceNumber, dipWrapperFileName, targetOutputDirectory) => {
+			const wrapperModule = parseVerilogModule(
+				new FsReadFileHelper(dipWrappersDirectory).readFile(dipWrapperFileName)
+			);
+
+			FsWriteDirectoryHelper.confirmDirectoryExists(targetOutputDirectory);
+
+			const result = await runYosys(
+				[
+					FsPathHelper.resolve(includesDirectory, 'helper.v'),
+					FsPathHelper.resolve(devicesDirectory, deviceNumber + '.v'),
+					FsPathHelper.resolve(dipWrappersDirectory, dipWrapperFileName)
+				],
+				[
+					'hierarchy -check -top ' + wrapperModule.name,
+					SYNTHESIS_TARGETS.generic(wrapperModule.name)
+				],
+				targetOutputDirectory
+			);
+
+			return { moduleName: wrapperModule.name, ...result };
+		};
+
+		// run yosys with a script file written beside its outputs: the log, and the statistics
+		// of the synthesized design as JSON
+		async function runYosys(sourceFilePaths, synthesisCommands, targetOutputDirectory) {
+			const fsTargetOutput = new FsReadWriteFileHelper(targetOutputDirectory),
+				scriptFileName = 'synth.ys',
+				logFileName = 'yosys.log',
+				statFileName = 'stat.json';
+
+			fsTargetOutput.writeFile(
+				scriptFileName,
+				[
+					'read_verilog -sv ' + sourceFilePaths.map((filePath) => '"' + filePath + '"').join(' '),
+					...synthesisCommands,
+					'check',
+					'tee -q -o ' + statFileName + ' stat -json'
+				].join(EOL) + EOL
+			);
+
+			fs.rmSync(FsPathHelper.resolve(targetOutputDirectory, statFileName), { force: true });
+
+			let log;
+
+			try {
+				const { stdout } = await execAsync('yosys -l ' + logFileName + ' -s ' + scriptFileName, {
+					cwd: targetOutputDirectory,
+					encoding: 'utf8',
+					maxBuffer: execMaxBuffer
+				});
+
+				log = stdout;
+			} catch (error) {
+				const output = String(error.stdout || '') + String(error.stderr || ''),
+					errorLines = output.split(EOL).filter((line) => line.startsWith('ERROR:'));
+
+				return {
+					cells: null,
+					errorMessage: errorLines.length ? errorLines.join(' ') : String(error.message).trim(),
+					latches: [],
+					warnings: []
+				};
+			}
+
+			const logLines = log.split(EOL),
+				cells = readCellCounts(fsTargetOutput.readFile(statFileName));
+
+			return {
+				cells,
+				errorMessage: null,
+				latches: [
+					...logLines.filter((line) => /Latch inferred for signal/.test(line)).map((line) => line.trim()),
+					...Object.keys(cells.cellsByType)
+						.filter((cellType) => /latch/i.test(cellType))
+						.map((cellType) => 'Latch cells: ' + cellType)
+				],
+				warnings: [...new Set(logLines.filter((line) => line.startsWith('Warning:')))]
+			};
+		}
+
+		// read the cell counts from the output of 'stat -json', which may be preceded by
+		// other log text
+		function readCellCounts(statOutput) {
+			const stat = JSON.parse(statOutput.substring(statOutput.indexOf('{'))),
+				design = stat.design || Object.values(stat.modules)[0];
+
+			return {
+				cellCount: design.num_cells,
+				cellsByType: design.num_cells_by_type || {}
+			};
+		}
+	}
+}
@@ -0,0 +1,229 @@
+// timing-service.js
+//
+// check the output delays of an IC device '*.v': with known DELAY_RISE and DELAY_FALL, every
+// output transition must come exactly that long after the input change that causes it
+//
+// - the device is driven by a seeded random sequence of inputs (as in fuzz-service.js), one
+//   step per period, so that every cause is a step: the input changes and clock edges all
+//   happen at the start of a step, and the logic behind the delayed outputs has no delay of
+//   its own; a generated test bench <device>-timing-tb.v applies the steps under Icarus
+//   Verilog and dumps the outputs to <device>-timing.vcd
+// - each output port transition is found in the dump, and its delay is the time from the start
+//   of its step; a transition to zero is a falling one, which is due DELAY_FALL after the
+//   step, and any other a rising one, due DELAY_RISE after (Verilog's rule for the delay of a
+//   vector); a transition from or to a value with x or z bits is not checked
+// - the result is:
+//   - transitionCount: the number of transitions checked
+//   - violations: [{ portName, time, fromValue, toValue, delay, expectedDelay, delayName }],
+//     with the values in binary and the times in nanoseconds
+//   - errorMessage: a compile or simulation error, or null
+//
+// © 2026 Tim Rudy
+
+import { exec } from 'child_process';
+import util from 'util';
+
+import { EOL } from '../common/constants.js';
+import { concatenatePorts, getDevicePorts, getPortsWidth } from '../common/device-ports-helper.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { FsPathHelper } from '../common/fs-path-helper.js';
+import { parseTime, parseVcd } from '../common/vcd-helper.js';
+import { generateSequence } from './fuzz-service.js';
+import { SIMULATOR_BACKENDS } from './simulator-backends.js';
+
+const execAsync = util.promisify(exec);
+
+const execMaxBuffer = 16 * 1024 * 1024;
+
+const simulatorBackend = SIMULATOR_BACKENDS.icarus;
+
+const clockPortName = 'Clk';
+
+export class TimingService {
+	constructor(devicesDirectory, includesDirectory) {
+		const fsDevicesInput = new FsReadFileHelper(devicesDirectory);
+
+		// delays: { rise, fall, period } in nanoseconds, where the period of a step is longer
+		// than either delay
+		this.checkDevice = async (deviceNumber, seed, stepCount, delays, deviceOutputDirectory) => {
+			const devicePorts = getDevicePorts(fsDevicesInput.readFile(deviceNumber + '.v')),
+				fsDeviceOutput = new FsReadWriteFileHelper(deviceOutputDirectory),
+				stimulusFileName = deviceNumber + '-timing-stimulus.hex',
+				testBenchFileName = deviceNumber + '-timing-tb.v',
+				dumpFileName = deviceNumber + '-timing.vcd';
+
+			const isSequential = devicePorts.inputs.some(({ name }) => name === clockPortName),
+				sequence = generateSequence(devicePorts, isSequential, seed, stepCount),
+				hexDigitCount = Math.ceil(getPortsWidth(devicePorts.inputs) / 4);
+
+			FsWriteDirectoryHelper.confirmDirectoryExists(deviceOutputDirectory);
+
+			fsDeviceOutput.writeFile(
+				stimulusFileName,
+				sequence
+					.map((inputValues) =>
+						concatenatePorts(inputValues, devicePorts.inputs)
+							.toString(16)
+							.padStart(hexDigitCount, '0')
+					)
+					.join(EOL) + EOL
+			);
+
+			fsDeviceOutput.writeFile(
+				testBenchFileName,
+				generateTimingTestBench(devicePorts, sequence, delays, stimulusFileName, dumpFileName)
+			);
+
+			try {
+				const execOptions = {
+					cwd: deviceOutputDirectory,
+					encoding: 'utf8',
+					maxBuffer: execMaxBuffer
+				};
+
+				await execAsync(
+					simulatorBackend.compileCommand(
+						[
+							FsPathHelper.resolve(includesDirectory, 'helper.v'),
+							FsPathHelper.resolve(includesDirectory, 'tbhelper.v'),
+							FsPathHelper.resolve(deviceOutputDirectory, testBenchFileName),
+							FsPathHelper.resolve(devicesDirectory, deviceNumber + '.v')
+						],
+						false
+					),
+					execOptions
+				);
+
+				await execAsync(simulatorBackend.runCommand(false), execOptions);
+			} catch (error) {
+				return {
+					transitionCount: 0,
+					violations: [],
+					errorMessage: String(error.stderr || error.message || error).trim()
+				};
+			}
+
+			if (!fsDeviceOutput.isExistingFile(dumpFileName)) {
+				return {
+					transitionCount: 0,
+					violations: [],
+					errorMessage: 'No dump file ' + dumpFileName
+				};
+			}
+
+			return {
+				...checkTransitions(parseVcd(fsDeviceOutput.readFile(dumpFileName)), devicePorts, delays),
+				errorMessage: null
+			};
+		};
+	}
+}
+
+// check the delay of each transition of the output ports in the dump
+//
+function checkTransitions(vcd, { outputs }, delays) {
+	const isKnown = (value) => /^[01]+$/.test(value),
+		rise = parseTime(delays.rise),
+		fall = parseTime(delays.fall),
+		period = parseTime(delays.period),
+		toNs = (timeFs) => timeFs / parseTime('1ns');
+
+	const violations = [];
+
+	let transitionCount = 0;
+
+	outputs.forEach(({ name }) => {
+		const signal = vcd.signals.find((signal) => signal.name === 'test.' + name),
+			changes = signal ? vcd.changesById[signal.id] : [];
+
+		changes.forEach(({ time, value }, changeIndex) => {
+			const fromValue = changeIndex ? changes[changeIndex - 1].value : null;
+
+			if (fromValue === null || !isKnown(fromValue) || !isKnown(value)) {
+				return;
+			}
+
+			const isFalling = /^0+$/.test(value),
+				expectedDelay = isFalling ? fall : rise,
+				delay = time % period;
+
+			transitionCount++;
+
+			if (delay !== expectedDelay) {
+				violations.push({
+					portName: name,
+					time: toNs(time),
+					fromValue,
+					toValue: value,
+					delay: toNs(delay),
+					expectedDelay: toNs(expectedDelay),
+					delayName: isFalling ? 'DELAY_FALL' : 'DELAY_RISE'
+				});
+			}
+		});
+	});
+
+	return { transitionCount, violations };
+}
+
+// write the test bench that applies a step per period, dumping its own signals
+//
+function generateTimingTestBench(
+	{ moduleName, inputs, outputs },
+	sequence,
+	delays,
+	stimulusFileName,
+	dumpFileName
+) {
+	const stepCount = sequence.length;
+
+	const toDeclaration = (type, { name, width }, value = null) =>
+		type + (width > 1 ? ' [' + (width - 1) + ':0]' : '') + ' ' + name +
+		(value === null ? '' : ' = ' + width + "'h" + value.toString(16)) + ';';
+
+	const inputConcatenation = '{' + inputs.map(({ name }) => name).join(', ') + '}';
+
+	return [
+		'// Timing test: ' + moduleName + ' with DELAY_RISE ' + delays.rise + ', DELAY_FALL ' +
+			delays.fall,
+		'// (generated by check-timing.js)',
+		'',
+		'module test;',
+		'',
+		'// DUT inputs',
+		...inputs.map((port) => toDeclaration('reg', port, sequence[0][port.name])),
+		'',
+		'// DUT outputs',
+		...outputs.map((port) => toDeclaration('wire', port)),
+		'',
+		'// input values, by step',
+		'reg [' + (getPortsWidth(inputs) - 1) + ':0] tm_stimulus [0:' + (stepCount - 1) + '];',
+		'',
+		'// DUT',
+		moduleName + ' #(.DELAY_RISE(' + delays.rise + '), .DELAY_FALL(' + delays.fall + ')) dut(',
+		[...inputs, ...outputs].map(({ name }) => '  .' + name + '(' + name + ')').join(',' + EOL),
+		');',
+		'',
+		'initial',
+		'begin',
+		'  integer tm_step;',
+		'',
+		'  $dumpfile("' + dumpFileName + '");',
+		'  $dumpvars(1, test);',
+		'',
+		'  $readmemh("' + stimulusFileName + '", tm_stimulus);',
+		'',
+		'  for (tm_step = 0; tm_step < ' + stepCount + '; tm_step++)',
+		'  begin',
+		'    ' + inputConcatenation + ' = tm_stimulus[tm_step];',
+		'    #' + delays.period + ';',
+		'  end',
+		'',
+		'  $finish;',
+		'end',
+		'',
+		'endmodule',
+		''
+	].join(EOL);
+}
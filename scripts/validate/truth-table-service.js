@@ -0,0 +1,238 @@
+// truth-table-service.js
+//
+// check an IC device '*.v' of combinational logic against its reference model
+// (scripts/models/<device>.js) for every combination of its inputs, at default parameters
+//
+// - the expected outputs of every input vector are given by the model, and written as
+//   <device>-expected.hex; a generated, self-checking test bench <device>-truth-table-tb.v
+//   applies each vector and compares the outputs with the expected ones, under Icarus Verilog
+// - a vector is the input ports concatenated in declaration order (the first port gives the
+//   most significant bits), as are the outputs; the test bench displays each vector whose
+//   outputs differ as 'Mismatch: <vector> <outputs> <expected outputs>', in binary
+// - the result is:
+//   - vectorCount: the number of input vectors, 2 ** (total input bits)
+//   - mismatches: [{ inputs, outputs, expectedOutputs }], each giving the port values in
+//     binary by port name
+//   - errorMessage: a compile or simulation error, or a model that does not give the outputs,
+//     or null
+//
+// © 2026 Tim Rudy
+
+import { exec } from 'child_process';
+import util from 'util';
+
+import { EOL } from '../common/constants.js';
+import { FsWriteDirectoryHelper } from '../common/fs-directory-helper.js';
+import { FsReadFileHelper, FsReadWriteFileHelper } from '../common/fs-file-helper.js';
+import { FsPathHelper } from '../common/fs-path-helper.js';
+import {
+	concatenatePorts,
+	getDevicePorts,
+	getPortsWidth,
+	splitBinaryPorts,
+	splitPorts
+} from '../common/device-ports-helper.js';
+import { DEVICE_MODELS } from '../models/index.js';
+import { SIMULATOR_BACKENDS } from './simulator-backends.js';
+
+const execAsync = util.promisify(exec);
+
+// a test bench with many mismatches displays many lines
+const execMaxBuffer = 64 * 1024 * 1024;
+
+const simulatorBackend = SIMULATOR_BACKENDS.icarus;
+
+export class TruthTableService {
+	constructor(devicesDirectory, includesDirectory) {
+		const fsDevicesInput = new FsReadFileHelper(devicesDirectory);
+
+		// give the number of input bits of a device, to decide whether to check it
+		this.getInputBitCount = (deviceNumber) =>
+			getPortsWidth(getDevicePorts(fsDevicesInput.readFile(deviceNumber + '.v')).inputs);
+
+		this.checkDevice = async (deviceNumber, deviceOutputDirectory) => {
+			const devicePorts = getDevicePorts(fsDevicesInput.readFile(deviceNumber + '.v')),
+				model = DEVICE_MODELS[deviceNumber],
+				fsDeviceOutput = new FsReadWriteFileHelper(deviceOutputDirectory),
+				expectedFileName = deviceNumber + '-expected.hex',
+				testBenchFileName = deviceNumber + '-truth-table-tb.v';
+
+			const inputBitCount = getPortsWidth(devicePorts.inputs),
+				vectorCount = 2 ** inputBitCount;
+
+			FsWriteDirectoryHelper.confirmDirectoryExists(deviceOutputDirectory);
+
+			let expectedLines;
+
+			try {
+				expectedLines = getExpectedLines(model, devicePorts, vectorCount);
+			} catch (errorMessage) {
+				return { vectorCount, mismatches: [], errorMessage: 'Model: ' + errorMessage };
+			}
+
+			fsDeviceOutput.writeFile(expectedFileName, expectedLines.join(EOL) + EOL);
+			fsDeviceOutput.writeFile(
+				testBenchFileName,
+				generateTruthTableTestBench(deviceNumber, devicePorts, vectorCount, expectedFileName)
+			);
+
+			let output;
+
+			try {
+				const execOptions = {
+					cwd: deviceOutputDirectory,
+					encoding: 'utf8',
+					maxBuffer: execMaxBuffer
+				};
+
+				await execAsync(
+					simulatorBackend.compileCommand(
+						[
+							FsPathHelper.resolve(includesDirectory, 'helper.v'),
+							FsPathHelper.resolve(deviceOutputDirectory, testBenchFileName),
+							FsPathHelper.resolve(devicesDirectory, deviceNumber + '.v')
+						],
+						true
+					),
+					execOptions
+				);
+
+				output = (await execAsync(simulatorBackend.runCommand(true), execOptions)).stdout;
+			} catch (error) {
+				return {
+					vectorCount,
+					mismatches: [],
+					errorMessage: String(error.stderr || error.message || error).trim()
+				};
+			}
+
+			fsDeviceOutput.writeFile(deviceNumber + '-truth-table.log', output);
+
+			return { vectorCount, ...parseTruthTableOutput(output, devicePorts) };
+		};
+
+		// give the expected outputs of every vector, in hexadecimal, one line per vector
+		function getExpectedLines(model, { inputs, outputs, parameterValues }, vectorCount) {
+			if (typeof model.evaluate !== 'function') {
+				throw 'No evaluate() function';
+			}
+
+			const outputBitCount = getPortsWidth(outputs),
+				hexDigitCount = Math.ceil(outputBitCount / 4),
+				expectedLines = [];
+
+			for (let vector = 0; vector < vectorCount; vector++) {
+				const inputValues = Object.fromEntries(
+						Object.entries(splitPorts(vector, inputs)).map(([name, value]) => [name, Number(value)])
+					),
+					outputValues = model.evaluate(inputValues, parameterValues);
+
+				outputs.forEach(({ name }) => {
+					if (!Number.isInteger(Number(outputValues[name]))) {
+						throw 'No value for output ' + name + ' from inputs ' + JSON.stringify(inputValues);
+					}
+				});
+
+				expectedLines.push(
+					concatenatePorts(outputValues, outputs).toString(16).padStart(hexDigitCount, '0')
+				);
+			}
+
+			return expectedLines;
+		}
+
+		// read the mismatch lines and the final line that the test bench displays
+		function parseTruthTableOutput(output, { inputs, outputs }) {
+			const mismatchRegExp = /^Mismatch: ([01xz]+) ([01xz]+) ([01]+)$/,
+				checkedRegExp = /^Checked: ([0-9]+) vectors/;
+
+			const lines = output.split(EOL).map((line) => line.trim()),
+				mismatches = [];
+
+			lines.forEach((line) => {
+				const subMatches = mismatchRegExp.exec(line);
+
+				if (subMatches) {
+					mismatches.push({
+						inputs: splitBinaryPorts(subMatches[1], inputs),
+						outputs: splitBinaryPorts(subMatches[2], outputs),
+						expectedOutputs: splitBinaryPorts(subMatches[3], outputs)
+					});
+				}
+			});
+
+			if (!lines.some((line) => checkedRegExp.test(line))) {
+				return { mismatches, errorMessage: 'Test bench did not finish: ' + lines.slice(-3).join(' ') };
+			}
+
+			return { mismatches, errorMessage: null };
+		}
+	}
+}
+
+// write the self-checking test bench: every vector in turn, then a count of those that differ
+//
+function generateTruthTableTestBench(
+	deviceNumber,
+	{ moduleName, inputs, outputs },
+	vectorCount,
+	expectedFileName
+) {
+	const toDeclaration = (type, { name, width }) =>
+		type + (width > 1 ? ' [' + (width - 1) + ':0]' : '') + ' ' + name + ';';
+
+	const inputConcatenation = '{' + inputs.map(({ name }) => name).join(', ') + '}',
+		outputConcatenation = '{' + outputs.map(({ name }) => name).join(', ') + '}',
+		inputBitCount = getPortsWidth(inputs),
+		outputBitCount = getPortsWidth(outputs);
+
+	return [
+		'// Truth table test: ' + moduleName + ' against scripts/models/' + deviceNumber + '.js',
+		'// (generated by check-truth-tables.js)',
+		'',
+		'module test;',
+		'',
+		'// DUT inputs',
+		...inputs.map((port) => toDeclaration('reg', port)),
+		'',
+		'// DUT outputs',
+		...outputs.map((port) => toDeclaration('wire', port)),
+		'',
+		'// expected outputs, by vector',
+		'reg [' + (outputBitCount - 1) + ':0] tt_expected [0:' + (vectorCount - 1) + '];',
+		'',
+		'// DUT',
+		moduleName + ' dut(',
+		[...inputs, ...outputs].map(({ name }) => '  .' + name + '(' + name + ')').join(',' + EOL),
+		');',
+		'',
+		'initial',
+		'begin',
+		// one bit wider than the inputs, to count past the last vector
+		'  reg [' + inputBitCount + ':0] tt_vector;',
+		'  integer tt_mismatches;',
+		'',
+		'  $readmemh("' + expectedFileName + '", tt_expected);',
+		'  tt_mismatches = 0;',
+		'',
+		'  for (tt_vector = 0; tt_vector < ' + (inputBitCount + 1) + "'d" + vectorCount + ';' +
+			' tt_vector++)',
+		'  begin',
+		'    ' + inputConcatenation + ' = tt_vector[' + (inputBitCount - 1) + ':0];',
+		'#10',
+		'    if (' + outputConcatenation + ' !== tt_expected[tt_vector])',
+		'    begin',
+		'      $display("Mismatch: %b %b %b", ' + inputConcatenation + ', ' + outputConcatenation +
+			', tt_expected[tt_vector]);',
+		'      tt_mismatches++;',
+		'    end',
+		'  end',
+		'',
+		'  $display("Checked: %0d vectors, %0d mismatches", ' + vectorCount + ', tt_mismatches);',
+		'  $finish;',
+		'end',
+		'',
+		'endmodule',
+		''
+	].join(EOL);
+}
@@ -0,0 +1,28 @@
+// Quad 2-input NOR gate
+// DIP14 package of ttl_7402: a port per pin, for wiring pin-for-pin;
+// VCC (pin 14), GND (pin 7) and any NC pins are placeholders, not connected
+
+module ttl_7402_dip14 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  output pin1_Y0,
+  input pin2_A0_0,
+  input pin3_A0_1,
+  output pin4_Y1,
+  input pin5_A1_0,
+  input pin6_A1_1,
+  input pin7_GND,
+  input pin8_A2_0,
+  input pin9_A2_1,
+  output pin10_Y2,
+  input pin11_A3_0,
+  input pin12_A3_1,
+  output pin13_Y3,
+  input pin14_VCC
+);
+
+ttl_7402 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A_2D({pin12_A3_1, pin11_A3_0, pin9_A2_1, pin8_A2_0, pin6_A1_1, pin5_A1_0, pin3_A0_1, pin2_A0_0}),
+  .Y({pin13_Y3, pin10_Y2, pin4_Y1, pin1_Y0})
+);
+
+endmodule
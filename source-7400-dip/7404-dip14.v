@@ -0,0 +1,28 @@
+// Hex inverter
+// DIP14 package of ttl_7404: a port per pin, for wiring pin-for-pin;
+// VCC (pin 14), GND (pin 7) and any NC pins are placeholders, not connected
+
+module ttl_7404_dip14 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_A0,
+  output pin2_Y0,
+  input pin3_A1,
+  output pin4_Y1,
+  input pin5_A2,
+  output pin6_Y2,
+  input pin7_GND,
+  output pin8_Y3,
+  input pin9_A3,
+  output pin10_Y4,
+  input pin11_A4,
+  output pin12_Y5,
+  input pin13_A5,
+  input pin14_VCC
+);
+
+ttl_7404 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A({pin13_A5, pin11_A4, pin9_A3, pin5_A2, pin3_A1, pin1_A0}),
+  .Y({pin12_Y5, pin10_Y4, pin8_Y3, pin6_Y2, pin4_Y1, pin2_Y0})
+);
+
+endmodule
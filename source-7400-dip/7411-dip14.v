@@ -0,0 +1,31 @@
+// Triple 3-input AND gate
+// DIP14 package of ttl_7411: a port per pin, for wiring pin-for-pin;
+// VCC (pin 14), GND (pin 7) and any NC pins are placeholders, not connected
+
+module ttl_7411_dip14 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_A0_0,
+  input pin2_A0_1,
+  input pin3_A1_0,
+  input pin4_A1_1,
+  input pin5_A1_2,
+  output pin6_Y1,
+  input pin7_GND,
+  output pin8_Y2,
+  input pin9_A2_0,
+  input pin10_A2_1,
+  input pin11_A2_2,
+  output pin12_Y0,
+  input pin13_A0_2,
+  input pin14_VCC
+);
+
+ttl_7411 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A_2D({
+    pin11_A2_2, pin10_A2_1, pin9_A2_0, pin5_A1_2, pin4_A1_1, pin3_A1_0, pin13_A0_2, pin2_A0_1,
+    pin1_A0_0
+  }),
+  .Y({pin8_Y2, pin6_Y1, pin12_Y0})
+);
+
+endmodule
@@ -0,0 +1,35 @@
+// Dual J-K flip-flop with set and clear; negative-edge-triggered
+// DIP16 package of ttl_74112: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74112_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_Clk0,
+  input pin2_K0,
+  input pin3_J0,
+  input pin4_Preset0_bar,
+  output pin5_Q0,
+  output pin6_Q0_bar,
+  output pin7_Q1_bar,
+  input pin8_GND,
+  output pin9_Q1,
+  input pin10_Preset1_bar,
+  input pin11_J1,
+  input pin12_K1,
+  input pin13_Clk1,
+  input pin14_Clear1_bar,
+  input pin15_Clear0_bar,
+  input pin16_VCC
+);
+
+ttl_74112 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Preset_bar({pin10_Preset1_bar, pin4_Preset0_bar}),
+  .Clear_bar({pin14_Clear1_bar, pin15_Clear0_bar}),
+  .J({pin11_J1, pin3_J0}),
+  .K({pin12_K1, pin2_K0}),
+  .Clk({pin13_Clk1, pin1_Clk0}),
+  .Q({pin9_Q1, pin5_Q0}),
+  .Q_bar({pin7_Q1_bar, pin6_Q0_bar})
+);
+
+endmodule
@@ -0,0 +1,31 @@
+// Dual 2-line to 4-line decoder/demultiplexer (inverted outputs)
+// DIP16 package of ttl_74139: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74139_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_Enable0_bar,
+  input pin2_A0_0,
+  input pin3_A0_1,
+  output pin4_Y0_0,
+  output pin5_Y0_1,
+  output pin6_Y0_2,
+  output pin7_Y0_3,
+  input pin8_GND,
+  output pin9_Y1_3,
+  output pin10_Y1_2,
+  output pin11_Y1_1,
+  output pin12_Y1_0,
+  input pin13_A1_1,
+  input pin14_A1_0,
+  input pin15_Enable1_bar,
+  input pin16_VCC
+);
+
+ttl_74139 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Enable_bar({pin15_Enable1_bar, pin1_Enable0_bar}),
+  .A_2D({pin13_A1_1, pin14_A1_0, pin3_A0_1, pin2_A0_0}),
+  .Y_2D({pin9_Y1_3, pin10_Y1_2, pin11_Y1_1, pin12_Y1_0, pin7_Y0_3, pin6_Y0_2, pin5_Y0_1, pin4_Y0_0})
+);
+
+endmodule
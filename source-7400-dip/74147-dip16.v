@@ -0,0 +1,33 @@
+// 10-line to 4-line priority encoder
+// DIP16 package of ttl_74147: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74147_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_A3_bar,
+  input pin2_A4_bar,
+  input pin3_A5_bar,
+  input pin4_A6_bar,
+  input pin5_A7_bar,
+  output pin6_Y2_bar,
+  output pin7_Y1_bar,
+  input pin8_GND,
+  output pin9_Y0_bar,
+  input pin10_A8_bar,
+  input pin11_A0_bar,
+  input pin12_A1_bar,
+  input pin13_A2_bar,
+  output pin14_Y3_bar,
+  input pin15_NC,
+  input pin16_VCC
+);
+
+ttl_74147 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A_bar({
+    pin10_A8_bar, pin5_A7_bar, pin4_A6_bar, pin3_A5_bar, pin2_A4_bar, pin1_A3_bar, pin13_A2_bar,
+    pin12_A1_bar, pin11_A0_bar
+  }),
+  .Y_bar({pin14_Y3_bar, pin6_Y2_bar, pin7_Y1_bar, pin9_Y0_bar})
+);
+
+endmodule
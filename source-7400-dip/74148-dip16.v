@@ -0,0 +1,36 @@
+// 8-line to 3-line priority encoder
+// DIP16 package of ttl_74148: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74148_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_A4_bar,
+  input pin2_A5_bar,
+  input pin3_A6_bar,
+  input pin4_A7_bar,
+  input pin5_EI_bar,
+  output pin6_Y2_bar,
+  output pin7_Y1_bar,
+  input pin8_GND,
+  output pin9_Y0_bar,
+  input pin10_A0_bar,
+  input pin11_A1_bar,
+  input pin12_A2_bar,
+  input pin13_A3_bar,
+  output pin14_GS_bar,
+  output pin15_EO_bar,
+  input pin16_VCC
+);
+
+ttl_74148 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .EI_bar(pin5_EI_bar),
+  .A_bar({
+    pin4_A7_bar, pin3_A6_bar, pin2_A5_bar, pin1_A4_bar, pin13_A3_bar, pin12_A2_bar, pin11_A1_bar,
+    pin10_A0_bar
+  }),
+  .EO_bar(pin15_EO_bar),
+  .GS_bar(pin14_GS_bar),
+  .Y_bar({pin6_Y2_bar, pin7_Y1_bar, pin9_Y0_bar})
+);
+
+endmodule
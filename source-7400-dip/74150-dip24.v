@@ -0,0 +1,43 @@
+// 16-input multiplexer
+// DIP24 package of ttl_74150: a port per pin, for wiring pin-for-pin;
+// VCC (pin 24), GND (pin 12) and any NC pins are placeholders, not connected
+
+module ttl_74150_dip24 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_D7,
+  input pin2_D6,
+  input pin3_D5,
+  input pin4_D4,
+  input pin5_D3,
+  input pin6_D2,
+  input pin7_D1,
+  input pin8_D0,
+  input pin9_Enable_bar,
+  output pin10_Y_bar,
+  input pin11_Select3,
+  input pin12_GND,
+  input pin13_Select2,
+  input pin14_Select1,
+  input pin15_Select0,
+  input pin16_D15,
+  input pin17_D14,
+  input pin18_D13,
+  input pin19_D12,
+  input pin20_D11,
+  input pin21_D10,
+  input pin22_D9,
+  input pin23_D8,
+  input pin24_VCC
+);
+
+ttl_74150 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Enable_bar(pin9_Enable_bar),
+  .Select({pin11_Select3, pin13_Select2, pin14_Select1, pin15_Select0}),
+  .D({
+    pin16_D15, pin17_D14, pin18_D13, pin19_D12, pin20_D11, pin21_D10, pin22_D9, pin23_D8, pin1_D7,
+    pin2_D6, pin3_D5, pin4_D4, pin5_D3, pin6_D2, pin7_D1, pin8_D0
+  }),
+  .Y_bar(pin10_Y_bar)
+);
+
+endmodule
@@ -0,0 +1,33 @@
+// 8-input multiplexer
+// DIP16 package of ttl_74151: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74151_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_D3,
+  input pin2_D2,
+  input pin3_D1,
+  input pin4_D0,
+  output pin5_Y,
+  output pin6_Y_bar,
+  input pin7_Enable_bar,
+  input pin8_GND,
+  input pin9_Select2,
+  input pin10_Select1,
+  input pin11_Select0,
+  input pin12_D7,
+  input pin13_D6,
+  input pin14_D5,
+  input pin15_D4,
+  input pin16_VCC
+);
+
+ttl_74151 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Enable_bar(pin7_Enable_bar),
+  .Select({pin9_Select2, pin10_Select1, pin11_Select0}),
+  .D({pin12_D7, pin13_D6, pin14_D5, pin15_D4, pin1_D3, pin2_D2, pin3_D1, pin4_D0}),
+  .Y(pin5_Y),
+  .Y_bar(pin6_Y_bar)
+);
+
+endmodule
@@ -0,0 +1,34 @@
+// Dual 4-input multiplexer
+// DIP16 package of ttl_74153: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74153_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_Enable0_bar,
+  input pin2_Select1,
+  input pin3_A0_3,
+  input pin4_A0_2,
+  input pin5_A0_1,
+  input pin6_A0_0,
+  output pin7_Y0,
+  input pin8_GND,
+  output pin9_Y1,
+  input pin10_A1_0,
+  input pin11_A1_1,
+  input pin12_A1_2,
+  input pin13_A1_3,
+  input pin14_Select0,
+  input pin15_Enable1_bar,
+  input pin16_VCC
+);
+
+ttl_74153 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Enable_bar({pin15_Enable1_bar, pin1_Enable0_bar}),
+  .Select({pin2_Select1, pin14_Select0}),
+  .A_2D({
+    pin13_A1_3, pin12_A1_2, pin11_A1_1, pin10_A1_0, pin3_A0_3, pin4_A0_2, pin5_A0_1, pin6_A0_0
+  }),
+  .Y({pin9_Y1, pin7_Y0})
+);
+
+endmodule
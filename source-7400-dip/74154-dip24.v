@@ -0,0 +1,43 @@
+// 4-line to 16-line decoder/demultiplexer (inverted outputs)
+// DIP24 package of ttl_74154: a port per pin, for wiring pin-for-pin;
+// VCC (pin 24), GND (pin 12) and any NC pins are placeholders, not connected
+
+module ttl_74154_dip24 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  output pin1_Y0,
+  output pin2_Y1,
+  output pin3_Y2,
+  output pin4_Y3,
+  output pin5_Y4,
+  output pin6_Y5,
+  output pin7_Y6,
+  output pin8_Y7,
+  output pin9_Y8,
+  output pin10_Y9,
+  output pin11_Y10,
+  input pin12_GND,
+  output pin13_Y11,
+  output pin14_Y12,
+  output pin15_Y13,
+  output pin16_Y14,
+  output pin17_Y15,
+  input pin18_Enable1_bar,
+  input pin19_Enable2_bar,
+  input pin20_A3,
+  input pin21_A2,
+  input pin22_A1,
+  input pin23_A0,
+  input pin24_VCC
+);
+
+ttl_74154 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Enable1_bar(pin18_Enable1_bar),
+  .Enable2_bar(pin19_Enable2_bar),
+  .A({pin20_A3, pin21_A2, pin22_A1, pin23_A0}),
+  .Y({
+    pin17_Y15, pin16_Y14, pin15_Y13, pin14_Y12, pin13_Y11, pin11_Y10, pin10_Y9, pin9_Y8, pin8_Y7,
+    pin7_Y6, pin6_Y5, pin5_Y4, pin4_Y3, pin3_Y2, pin2_Y1, pin1_Y0
+  })
+);
+
+endmodule
@@ -0,0 +1,34 @@
+// Dual 2-line to 4-line decoder/demultiplexer (inverted outputs)
+// DIP16 package of ttl_74155: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74155_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_Enable1C,
+  input pin2_Enable1G_bar,
+  input pin3_A1,
+  output pin4_Y0_3,
+  output pin5_Y0_2,
+  output pin6_Y0_1,
+  output pin7_Y0_0,
+  input pin8_GND,
+  output pin9_Y1_0,
+  output pin10_Y1_1,
+  output pin11_Y1_2,
+  output pin12_Y1_3,
+  input pin13_A0,
+  input pin14_Enable2G_bar,
+  input pin15_Enable2C_bar,
+  input pin16_VCC
+);
+
+ttl_74155 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Enable1C(pin1_Enable1C),
+  .Enable1G_bar(pin2_Enable1G_bar),
+  .Enable2C_bar(pin15_Enable2C_bar),
+  .Enable2G_bar(pin14_Enable2G_bar),
+  .A({pin3_A1, pin13_A0}),
+  .Y_2D({pin12_Y1_3, pin11_Y1_2, pin10_Y1_1, pin9_Y1_0, pin4_Y0_3, pin5_Y0_2, pin6_Y0_1, pin7_Y0_0})
+);
+
+endmodule
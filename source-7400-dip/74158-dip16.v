@@ -0,0 +1,34 @@
+// Quad 2-input multiplexer (inverted outputs)
+// DIP16 package of ttl_74158: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74158_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_Select0,
+  input pin2_A0_0,
+  input pin3_A0_1,
+  output pin4_Y0_bar,
+  input pin5_A1_0,
+  input pin6_A1_1,
+  output pin7_Y1_bar,
+  input pin8_GND,
+  output pin9_Y2_bar,
+  input pin10_A2_1,
+  input pin11_A2_0,
+  output pin12_Y3_bar,
+  input pin13_A3_1,
+  input pin14_A3_0,
+  input pin15_Enable_bar,
+  input pin16_VCC
+);
+
+ttl_74158 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Enable_bar(pin15_Enable_bar),
+  .Select({pin1_Select0}),
+  .A_2D({
+    pin13_A3_1, pin14_A3_0, pin10_A2_1, pin11_A2_0, pin6_A1_1, pin5_A1_0, pin3_A0_1, pin2_A0_0
+  }),
+  .Y_bar({pin12_Y3_bar, pin9_Y2_bar, pin7_Y1_bar, pin4_Y0_bar})
+);
+
+endmodule
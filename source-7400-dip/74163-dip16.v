@@ -0,0 +1,36 @@
+// 4-bit modulo 16 binary counter with parallel load, synchronous clear
+// DIP16 package of ttl_74163: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74163_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_Clear_bar,
+  input pin2_Clk,
+  input pin3_D0,
+  input pin4_D1,
+  input pin5_D2,
+  input pin6_D3,
+  input pin7_ENP,
+  input pin8_GND,
+  input pin9_Load_bar,
+  input pin10_ENT,
+  output pin11_Q3,
+  output pin12_Q2,
+  output pin13_Q1,
+  output pin14_Q0,
+  output pin15_RCO,
+  input pin16_VCC
+);
+
+ttl_74163 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Clear_bar(pin1_Clear_bar),
+  .Load_bar(pin9_Load_bar),
+  .ENT(pin10_ENT),
+  .ENP(pin7_ENP),
+  .D({pin6_D3, pin5_D2, pin4_D1, pin3_D0}),
+  .Clk(pin2_Clk),
+  .RCO(pin15_RCO),
+  .Q({pin11_Q3, pin12_Q2, pin13_Q1, pin14_Q0})
+);
+
+endmodule
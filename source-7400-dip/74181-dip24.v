@@ -0,0 +1,46 @@
+// 4-bit arithmetic logic unit
+// DIP24 package of ttl_74181: a port per pin, for wiring pin-for-pin;
+// VCC (pin 24), GND (pin 12) and any NC pins are placeholders, not connected
+
+module ttl_74181_dip24 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_B0_bar,
+  input pin2_A0_bar,
+  input pin3_Select3,
+  input pin4_Select2,
+  input pin5_Select1,
+  input pin6_Select0,
+  input pin7_C_in,
+  input pin8_Mode,
+  output pin9_F0_bar,
+  output pin10_F1_bar,
+  output pin11_F2_bar,
+  input pin12_GND,
+  output pin13_F3_bar,
+  output pin14_Equal,
+  output pin15_CP_bar,
+  output pin16_C_out,
+  output pin17_CG_bar,
+  input pin18_B3_bar,
+  input pin19_A3_bar,
+  input pin20_B2_bar,
+  input pin21_A2_bar,
+  input pin22_B1_bar,
+  input pin23_A1_bar,
+  input pin24_VCC
+);
+
+ttl_74181 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Select({pin3_Select3, pin4_Select2, pin5_Select1, pin6_Select0}),
+  .Mode(pin8_Mode),
+  .C_in(pin7_C_in),
+  .A_bar({pin19_A3_bar, pin21_A2_bar, pin23_A1_bar, pin2_A0_bar}),
+  .B_bar({pin18_B3_bar, pin20_B2_bar, pin22_B1_bar, pin1_B0_bar}),
+  .CP_bar(pin15_CP_bar),
+  .CG_bar(pin17_CG_bar),
+  .Equal(pin14_Equal),
+  .C_out(pin16_C_out),
+  .F_bar({pin13_F3_bar, pin11_F2_bar, pin10_F1_bar, pin9_F0_bar})
+);
+
+endmodule
@@ -0,0 +1,30 @@
+// Dual 4-input NAND gate
+// DIP14 package of ttl_7420: a port per pin, for wiring pin-for-pin;
+// VCC (pin 14), GND (pin 7) and any NC pins are placeholders, not connected
+
+module ttl_7420_dip14 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_A0_0,
+  input pin2_A0_1,
+  input pin3_NC,
+  input pin4_A0_2,
+  input pin5_A0_3,
+  output pin6_Y0,
+  input pin7_GND,
+  output pin8_Y1,
+  input pin9_A1_0,
+  input pin10_A1_1,
+  input pin11_NC,
+  input pin12_A1_2,
+  input pin13_A1_3,
+  input pin14_VCC
+);
+
+ttl_7420 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A_2D({
+    pin13_A1_3, pin12_A1_2, pin10_A1_1, pin9_A1_0, pin5_A0_3, pin4_A0_2, pin2_A0_1, pin1_A0_0
+  }),
+  .Y({pin8_Y1, pin6_Y0})
+);
+
+endmodule
@@ -0,0 +1,33 @@
+// 3-line to 8-line decoder/demultiplexer (active high outputs)
+// DIP16 package of ttl_74238: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74238_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_A0,
+  input pin2_A1,
+  input pin3_A2,
+  input pin4_Enable1_bar,
+  input pin5_Enable2_bar,
+  input pin6_Enable3,
+  output pin7_Y7,
+  input pin8_GND,
+  output pin9_Y6,
+  output pin10_Y5,
+  output pin11_Y4,
+  output pin12_Y3,
+  output pin13_Y2,
+  output pin14_Y1,
+  output pin15_Y0,
+  input pin16_VCC
+);
+
+ttl_74238 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Enable1_bar(pin4_Enable1_bar),
+  .Enable2_bar(pin5_Enable2_bar),
+  .Enable3(pin6_Enable3),
+  .A({pin3_A2, pin2_A1, pin1_A0}),
+  .Y({pin7_Y7, pin9_Y6, pin10_Y5, pin11_Y4, pin12_Y3, pin13_Y2, pin14_Y1, pin15_Y0})
+);
+
+endmodule
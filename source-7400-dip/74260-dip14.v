@@ -0,0 +1,31 @@
+// Dual 5-input NOR gate
+// DIP14 package of ttl_74260: a port per pin, for wiring pin-for-pin;
+// VCC (pin 14), GND (pin 7) and any NC pins are placeholders, not connected
+
+module ttl_74260_dip14 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_A0_0,
+  input pin2_A0_1,
+  input pin3_A0_2,
+  input pin4_A1_0,
+  output pin5_Y0,
+  output pin6_Y1,
+  input pin7_GND,
+  input pin8_A1_1,
+  input pin9_A1_2,
+  input pin10_A1_3,
+  input pin11_A1_4,
+  input pin12_A0_3,
+  input pin13_A0_4,
+  input pin14_VCC
+);
+
+ttl_74260 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A_2D({
+    pin11_A1_4, pin10_A1_3, pin9_A1_2, pin8_A1_1, pin4_A1_0, pin13_A0_4, pin12_A0_3, pin3_A0_2,
+    pin2_A0_1, pin1_A0_0
+  }),
+  .Y({pin6_Y1, pin5_Y0})
+);
+
+endmodule
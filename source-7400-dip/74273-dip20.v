@@ -0,0 +1,36 @@
+// Octal D flip-flop with clear
+// DIP20 package of ttl_74273: a port per pin, for wiring pin-for-pin;
+// VCC (pin 20), GND (pin 10) and any NC pins are placeholders, not connected
+
+module ttl_74273_dip20 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_Clear_bar,
+  output pin2_Q0,
+  input pin3_D0,
+  input pin4_D1,
+  output pin5_Q1,
+  output pin6_Q2,
+  input pin7_D2,
+  input pin8_D3,
+  output pin9_Q3,
+  input pin10_GND,
+  input pin11_Clk,
+  output pin12_Q4,
+  input pin13_D4,
+  input pin14_D5,
+  output pin15_Q5,
+  output pin16_Q6,
+  input pin17_D6,
+  input pin18_D7,
+  output pin19_Q7,
+  input pin20_VCC
+);
+
+ttl_74273 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Clear_bar(pin1_Clear_bar),
+  .D({pin18_D7, pin17_D6, pin14_D5, pin13_D4, pin8_D3, pin7_D2, pin4_D1, pin3_D0}),
+  .Clk(pin11_Clk),
+  .Q({pin19_Q7, pin16_Q6, pin15_Q5, pin12_Q4, pin9_Q3, pin6_Q2, pin5_Q1, pin2_Q0})
+);
+
+endmodule
@@ -0,0 +1,33 @@
+// 4-bit binary full adder with fast carry
+// DIP16 package of ttl_74283: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_74283_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  output pin1_Sum1,
+  input pin2_B1,
+  input pin3_A1,
+  output pin4_Sum0,
+  input pin5_A0,
+  input pin6_B0,
+  input pin7_C_in,
+  input pin8_GND,
+  output pin9_C_out,
+  output pin10_Sum3,
+  input pin11_B3,
+  input pin12_A3,
+  output pin13_Sum2,
+  input pin14_A2,
+  input pin15_B2,
+  input pin16_VCC
+);
+
+ttl_74283 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A({pin12_A3, pin14_A2, pin3_A1, pin5_A0}),
+  .B({pin11_B3, pin15_B2, pin2_B1, pin6_B0}),
+  .C_in(pin7_C_in),
+  .Sum({pin10_Sum3, pin13_Sum2, pin1_Sum1, pin4_Sum0}),
+  .C_out(pin9_C_out)
+);
+
+endmodule
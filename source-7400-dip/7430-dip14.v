@@ -0,0 +1,28 @@
+// 8-input NAND gate
+// DIP14 package of ttl_7430: a port per pin, for wiring pin-for-pin;
+// VCC (pin 14), GND (pin 7) and any NC pins are placeholders, not connected
+
+module ttl_7430_dip14 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_A0,
+  input pin2_A1,
+  input pin3_A2,
+  input pin4_A3,
+  input pin5_A4,
+  input pin6_A5,
+  input pin7_GND,
+  output pin8_Y,
+  input pin9_NC,
+  input pin10_NC,
+  input pin11_A6,
+  input pin12_A7,
+  input pin13_NC,
+  input pin14_VCC
+);
+
+ttl_7430 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A({pin12_A7, pin11_A6, pin6_A5, pin5_A4, pin4_A3, pin3_A2, pin2_A1, pin1_A0}),
+  .Y(pin8_Y)
+);
+
+endmodule
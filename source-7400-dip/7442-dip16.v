@@ -0,0 +1,30 @@
+// BCD to decimal one-of-ten decoder
+// DIP16 package of ttl_7442: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_7442_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  output pin1_Y0,
+  output pin2_Y1,
+  output pin3_Y2,
+  output pin4_Y3,
+  output pin5_Y4,
+  output pin6_Y5,
+  output pin7_Y6,
+  input pin8_GND,
+  output pin9_Y7,
+  output pin10_Y8,
+  output pin11_Y9,
+  input pin12_A3,
+  input pin13_A2,
+  input pin14_A1,
+  input pin15_A0,
+  input pin16_VCC
+);
+
+ttl_7442 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A({pin12_A3, pin13_A2, pin14_A1, pin15_A0}),
+  .Y({pin11_Y9, pin10_Y8, pin9_Y7, pin7_Y6, pin6_Y5, pin5_Y4, pin4_Y3, pin3_Y2, pin2_Y1, pin1_Y0})
+);
+
+endmodule
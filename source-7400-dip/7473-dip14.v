@@ -0,0 +1,32 @@
+// Dual J-K flip-flop with clear; negative-edge-triggered
+// DIP14 package of ttl_7473: a port per pin, for wiring pin-for-pin;
+// VCC (pin 4), GND (pin 11) and any NC pins are placeholders, not connected
+
+module ttl_7473_dip14 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_Clk0,
+  input pin2_Clear0_bar,
+  input pin3_K0,
+  input pin4_VCC,
+  input pin5_Clk1,
+  input pin6_Clear1_bar,
+  input pin7_J1,
+  output pin8_Q1_bar,
+  output pin9_Q1,
+  input pin10_K1,
+  input pin11_GND,
+  output pin12_Q0,
+  output pin13_Q0_bar,
+  input pin14_J0
+);
+
+ttl_7473 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Clear_bar({pin6_Clear1_bar, pin2_Clear0_bar}),
+  .J({pin7_J1, pin14_J0}),
+  .K({pin10_K1, pin3_K0}),
+  .Clk({pin5_Clk1, pin1_Clk0}),
+  .Q({pin9_Q1, pin12_Q0}),
+  .Q_bar({pin8_Q1_bar, pin13_Q0_bar})
+);
+
+endmodule
@@ -0,0 +1,32 @@
+// Dual D flip-flop with set and clear; positive-edge-triggered
+// DIP14 package of ttl_7474: a port per pin, for wiring pin-for-pin;
+// VCC (pin 14), GND (pin 7) and any NC pins are placeholders, not connected
+
+module ttl_7474_dip14 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_Clear0_bar,
+  input pin2_D0,
+  input pin3_Clk0,
+  input pin4_Preset0_bar,
+  output pin5_Q0,
+  output pin6_Q0_bar,
+  input pin7_GND,
+  output pin8_Q1_bar,
+  output pin9_Q1,
+  input pin10_Preset1_bar,
+  input pin11_Clk1,
+  input pin12_D1,
+  input pin13_Clear1_bar,
+  input pin14_VCC
+);
+
+ttl_7474 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .Preset_bar({pin10_Preset1_bar, pin4_Preset0_bar}),
+  .Clear_bar({pin13_Clear1_bar, pin1_Clear0_bar}),
+  .D({pin12_D1, pin2_D0}),
+  .Clk({pin11_Clk1, pin3_Clk0}),
+  .Q({pin9_Q1, pin5_Q0}),
+  .Q_bar({pin8_Q1_bar, pin6_Q0_bar})
+);
+
+endmodule
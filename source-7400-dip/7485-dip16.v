@@ -0,0 +1,36 @@
+// 4-bit magnitude comparator
+// DIP16 package of ttl_7485: a port per pin, for wiring pin-for-pin;
+// VCC (pin 16), GND (pin 8) and any NC pins are placeholders, not connected
+
+module ttl_7485_dip16 #(parameter DELAY_RISE = 0, DELAY_FALL = 0)
+(
+  input pin1_B3,
+  input pin2_ALess_in,
+  input pin3_Equal_in,
+  input pin4_AGreater_in,
+  output pin5_AGreater_out,
+  output pin6_Equal_out,
+  output pin7_ALess_out,
+  input pin8_GND,
+  input pin9_B0,
+  input pin10_A0,
+  input pin11_B1,
+  input pin12_A1,
+  input pin13_A2,
+  input pin14_B2,
+  input pin15_A3,
+  input pin16_VCC
+);
+
+ttl_7485 #(.DELAY_RISE(DELAY_RISE), .DELAY_FALL(DELAY_FALL)) chip(
+  .A({pin15_A3, pin13_A2, pin12_A1, pin10_A0}),
+  .B({pin1_B3, pin14_B2, pin11_B1, pin9_B0}),
+  .ALess_in(pin2_ALess_in),
+  .Equal_in(pin3_Equal_in),
+  .AGreater_in(pin4_AGreater_in),
+  .ALess_out(pin7_ALess_out),
+  .Equal_out(pin6_Equal_out),
+  .AGreater_out(pin5_AGreater_out)
+);
+
+endmodule